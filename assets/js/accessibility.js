@@ -20,6 +20,14 @@ class AccessibilityManager {
             largeText: false,
             screenReader: false
         };
+        this.storage = window.preferenceStore || null;
+
+        this.storage?.register('accessibility', {
+            version: 1,
+            defaults: { highContrast: false, reducedMotion: false, largeText: false },
+            // v0: objeto completo de settings (inclusive screenReader, que é detectado e não é salvo)
+            legacyKeys: ['accessibility_preferences']
+        });
     }
 
     async init() {
@@ -34,6 +42,7 @@ class AccessibilityManager {
         this.setupTextResize();
         this.setupErrorHandling();
         this.loadUserPreferences();
+        this.setupStateSync();
         this.setupAccessibilityMenu();
     }
 
@@ -754,7 +763,7 @@ class AccessibilityManager {
      */
     loadUserPreferences() {
         try {
-            const preferences = JSON.parse(localStorage.getItem('accessibility_preferences') || '{}');
+            const preferences = this.storage?.read('accessibility') || {};
 
             Object.assign(this.settings, preferences);
 
@@ -779,11 +788,54 @@ class AccessibilityManager {
      * Salvar preferências do usuário
      */
     saveUserPreferences() {
-        try {
-            localStorage.setItem('accessibility_preferences', JSON.stringify(this.settings));
-        } catch (error) {
-            console.warn('Erro ao salvar preferências de acessibilidade:', error);
+        this.storage?.write('accessibility', this.getUserSettings());
+
+        window.stateManager?.setState({ accessibility: this.getUserSettings() }, 'set-accessibility');
+    }
+
+    /**
+     * Sincronizar preferências com o StateManager (e, por ele, com as outras abas)
+     */
+    setupStateSync() {
+        const stateManager = window.stateManager;
+        if (!stateManager) return;
+
+        stateManager.subscribe((state) => this.applyUserSettings(state.accessibility), 'accessibility');
+    }
+
+    /**
+     * Preferências escolhidas pelo usuário (leitor de tela é detectado, não escolhido)
+     */
+    getUserSettings() {
+        const { highContrast, reducedMotion, largeText } = this.settings;
+        return { highContrast, reducedMotion, largeText };
+    }
+
+    /**
+     * Aplicar preferências vindas do estado (já salvas pela aba de origem)
+     */
+    applyUserSettings(settings) {
+        if (!settings) return;
+
+        Object.assign(this.settings, settings);
+
+        document.documentElement.classList.toggle('high-contrast', this.settings.highContrast);
+        document.documentElement.classList.toggle('large-text', this.settings.largeText);
+        document.documentElement.classList.toggle('reduced-motion', this.settings.reducedMotion);
+
+        if (this.settings.reducedMotion) {
+            this.disableAnimations();
         }
+
+        const toggles = {
+            'high-contrast-toggle': this.settings.highContrast,
+            'large-text-toggle': this.settings.largeText,
+            'reduced-motion-toggle': this.settings.reducedMotion
+        };
+        Object.entries(toggles).forEach(([id, checked]) => {
+            const toggle = document.getElementById(id);
+            if (toggle) toggle.checked = checked;
+        });
     }
 
     /**
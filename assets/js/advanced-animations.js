@@ -570,8 +570,12 @@ class AdvancedAnimations {
         input.addEventListener('blur', () => {
             if (typeof gsap === 'undefined') return;
 
+            // Cor da borda segue o tema atual (token --color-border)
+            const borderColor = getComputedStyle(document.documentElement)
+                .getPropertyValue('--color-border').trim() || '#e5e7eb';
+
             gsap.to(input, {
-                borderColor: '#e5e7eb',
+                borderColor,
                 boxShadow: 'none',
                 duration: 0.3,
                 ease: "power2.out"
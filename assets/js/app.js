@@ -362,58 +362,50 @@ class AccessibilityManager {
 
 /**
  * Theme Manager
+ * Adaptador do ThemeService (assets/js/theme-service.js): modo, persistência e data-theme ficam lá
  */
 class ThemeManager {
     constructor() {
-        this.currentTheme = this.getSavedTheme() || this.getSystemTheme();
+        this.service = window.themeService || null;
         this.init();
     }
 
     init() {
-        this.applyTheme(this.currentTheme);
-        this.setupThemeToggle();
-        this.setupSystemThemeListener();
-    }
+        if (!this.service) {
+            console.warn('⚠️ ThemeService não encontrado: carregue theme-service.js no <head>');
+            return;
+        }
 
-    getSavedTheme() {
-        return localStorage.getItem('theme');
+        this.setupThemeToggle();
+        this.setupThemeListener();
     }
 
-    getSystemTheme() {
-        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    get currentTheme() {
+        return this.service ? this.service.getTheme() : 'light';
     }
 
     applyTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        this.currentTheme = theme;
-        localStorage.setItem('theme', theme);
-
-        // Anunciar mudança para leitores de tela
-        const accessibility = window.app?.accessibility;
-        if (accessibility) {
-            accessibility.announce(`Tema ${theme === 'dark' ? 'escuro' : 'claro'} aplicado`);
-        }
+        this.service?.setMode(theme);
     }
 
     toggleTheme() {
-        const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-        this.applyTheme(newTheme);
+        this.service?.toggle();
     }
 
     setupThemeToggle() {
-        const toggle = document.querySelector('.theme-toggle');
+        // Botões com data-action="toggle-theme" já são tratados pelo StateManager/ThemeService
+        const toggle = document.querySelector('.theme-toggle:not([data-action])');
         if (toggle) {
             toggle.addEventListener('click', () => this.toggleTheme());
         }
     }
 
-    setupSystemThemeListener() {
-        const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-
-        mediaQuery.addEventListener('change', (e) => {
-            // Só mudar se não há tema salvo
-            if (!this.getSavedTheme()) {
-                this.applyTheme(e.matches ? 'dark' : 'light');
+    setupThemeListener() {
+        window.addEventListener('themechange', (e) => {
+            // Anunciar mudança para leitores de tela
+            const accessibility = window.app?.accessibility;
+            if (accessibility && e.detail.theme !== e.detail.previous) {
+                accessibility.announce(`Tema ${e.detail.theme === 'dark' ? 'escuro' : 'claro'} aplicado`);
             }
         });
     }
@@ -480,7 +472,30 @@ class NotificationManager {
         `;
 
         const closeBtn = element.querySelector('.notification__close');
-        closeBtn.addEventListener('click', () => this.remove(id));
+        closeBtn.addEventListener('click', () => {
+            this.remove(id);
+            options.onClose?.();
+        });
+
+        // Ações: [{ text, action }] — o clique executa a ação e fecha a notificação
+        if (options.actions?.length) {
+            const actions = document.createElement('div');
+            actions.className = 'notification__actions';
+
+            options.actions.forEach(({ text, action }, index) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `notification__action${index === 0 ? ' notification__action--primary' : ''}`;
+                button.textContent = text;
+                button.addEventListener('click', () => {
+                    this.remove(id);
+                    action?.();
+                });
+                actions.appendChild(button);
+            });
+
+            element.querySelector('.notification__content').appendChild(actions);
+        }
 
         return {
             element,
@@ -0,0 +1,631 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - BRIEFING DE PROJETO
+ * Formulário de contato em etapas (tipo, local, investimento, detalhes, dados e revisão)
+ */
+
+'use strict';
+
+// Rascunho no sessionStorage (mesmo prefixo do PreferenceStore): dura só enquanto a aba estiver aberta
+const BRIEFING_DRAFT_KEY = 'rafael-munaro:briefing-draft';
+
+const BRIEFING_MAX_PHOTOS = 3;
+const BRIEFING_MAX_PHOTO_SIZE = 5 * 1024 * 1024;
+const BRIEFING_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Texto do catálogo de idiomas (ou o texto em português quando o i18n não carregou)
+ */
+function briefingText(key, defaultValue, params = {}) {
+    return window.i18n ? window.i18n.t(key, { ...params, defaultValue }) : defaultValue;
+}
+
+/**
+ * Assistente de briefing construído sobre o ContactManager
+ * (validação, segurança, limite de tentativas, envio e fila offline)
+ */
+class BriefingWizard extends ContactManager {
+    constructor(form) {
+        super(form);
+        this.steps = [];
+        this.currentStep = 0;
+        this.statusElement = null;
+        this.photoInput = null;
+        this.submitter = null;
+        this.draftTimeout = null;
+    }
+
+    async init() {
+        if (!this.form) return;
+
+        this.steps = Array.from(this.form.querySelectorAll('.briefing__step'));
+        this.progressItems = Array.from(this.form.querySelectorAll('.briefing__progress-item'));
+        this.progressBar = this.form.querySelector('.briefing__progress-bar');
+        this.statusElement = this.form.querySelector('.briefing__status');
+        this.photoInput = this.form.querySelector('input[name="fotos"]');
+
+        await super.init();
+
+        this.setupSteps();
+        this.setupPhotoUpload();
+        this.restoreDraft();
+        this.showStep(this.currentStep, { focus: false });
+
+        console.log('📝 Briefing wizard initialized');
+    }
+
+    /**
+     * Regras de validação (nome, e-mail, telefone e mensagem vêm do esquema de contato)
+     */
+    setupValidation() {
+        super.setupValidation();
+
+        this.validator = this.validator.extend({
+            'tipo-projeto': {
+                required: true,
+                messages: {
+                    'pt-BR': { required: 'Escolha o tipo de projeto' },
+                    en: { required: 'Choose the project type' },
+                    es: { required: 'Elija el tipo de proyecto' }
+                }
+            },
+            localizacao: {
+                required: true,
+                minLength: 2,
+                maxLength: 120,
+                messages: {
+                    'pt-BR': {
+                        required: 'Informe a cidade ou bairro do imóvel',
+                        minLength: 'Localização deve ter pelo menos 2 caracteres',
+                        maxLength: 'Localização deve ter no máximo 120 caracteres'
+                    },
+                    en: {
+                        required: 'Enter the city or neighborhood of the property',
+                        minLength: 'Location must have at least 2 characters',
+                        maxLength: 'Location must have at most 120 characters'
+                    },
+                    es: {
+                        required: 'Indique la ciudad o el barrio del inmueble',
+                        minLength: 'La ubicación debe tener al menos 2 caracteres',
+                        maxLength: 'La ubicación debe tener como máximo 120 caracteres'
+                    }
+                }
+            },
+            area: {
+                pattern: /^\d{1,6}([.,]\d{1,2})?$/,
+                messages: {
+                    'pt-BR': { pattern: 'Informe a área em m² usando apenas números' },
+                    en: { pattern: 'Enter the area in m² using numbers only' },
+                    es: { pattern: 'Indique el área en m² usando solo números' }
+                }
+            },
+            orcamento: {
+                required: true,
+                messages: {
+                    'pt-BR': { required: 'Selecione uma faixa de investimento' },
+                    en: { required: 'Select an investment range' },
+                    es: { required: 'Seleccione un rango de inversión' }
+                }
+            },
+            prazo: {
+                required: true,
+                messages: {
+                    'pt-BR': { required: 'Selecione quando pretende começar' },
+                    en: { required: 'Select when you plan to start' },
+                    es: { required: 'Seleccione cuándo piensa empezar' }
+                }
+            },
+            fotos: {
+                maxFiles: BRIEFING_MAX_PHOTOS,
+                fileTypes: BRIEFING_PHOTO_TYPES,
+                maxFileSize: BRIEFING_MAX_PHOTO_SIZE,
+                messages: {
+                    'pt-BR': {
+                        maxFiles: `Envie no máximo ${BRIEFING_MAX_PHOTOS} fotos`,
+                        fileTypes: 'Envie fotos em JPG, PNG ou WebP'
+                    },
+                    en: {
+                        maxFiles: `Send at most ${BRIEFING_MAX_PHOTOS} photos`,
+                        fileTypes: 'Send photos as JPG, PNG or WebP'
+                    },
+                    es: {
+                        maxFiles: `Envíe como máximo ${BRIEFING_MAX_PHOTOS} fotos`,
+                        fileTypes: 'Envíe fotos en JPG, PNG o WebP'
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Configurar navegação entre etapas
+     */
+    setupSteps() {
+        this.form.addEventListener('click', (e) => {
+            if (e.target.closest('[data-briefing-next]')) {
+                this.next();
+            } else if (e.target.closest('[data-briefing-prev]')) {
+                this.prev();
+            } else if (e.target.closest('[data-briefing-goto]')) {
+                this.goTo(Number(e.target.closest('[data-briefing-goto]').dataset.briefingGoto));
+            }
+        });
+
+        // Selects e opções não disparam a validação em tempo real do ContactManager
+        this.form.addEventListener('change', (e) => {
+            if (e.target.matches('select, input[type="radio"]')) {
+                this.validateField(e.target, true);
+            }
+            this.saveDraft();
+        });
+
+        this.form.addEventListener('input', () => this.saveDraft());
+
+        // Resumo é montado a partir dos rótulos da página, que mudam com o idioma
+        window.addEventListener('i18n:change', () => {
+            if (this.isReviewStep()) this.renderSummary();
+        });
+    }
+
+    /**
+     * Exibir etapa
+     */
+    showStep(index, { focus = true } = {}) {
+        this.currentStep = Math.max(0, Math.min(index, this.steps.length - 1));
+
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== this.currentStep;
+        });
+
+        this.progressItems.forEach((item, i) => {
+            item.classList.toggle('briefing__progress-item--active', i === this.currentStep);
+            item.classList.toggle('briefing__progress-item--done', i < this.currentStep);
+            if (i === this.currentStep) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        if (this.progressBar) {
+            const percent = Math.round(((this.currentStep + 1) / this.steps.length) * 100);
+            this.progressBar.style.width = `${percent}%`;
+            this.progressBar.parentElement.setAttribute('aria-valuenow', String(this.currentStep + 1));
+        }
+
+        if (this.isReviewStep()) {
+            this.renderSummary();
+            this.updateSubmitButton();
+        }
+
+        if (focus) {
+            const heading = this.steps[this.currentStep].querySelector('.briefing__step-title');
+            heading?.focus();
+            this.announceStep();
+        }
+
+        this.saveDraft();
+    }
+
+    next() {
+        if (!this.validateStep(this.currentStep, true)) return;
+        this.showStep(this.currentStep + 1);
+    }
+
+    prev() {
+        this.showStep(this.currentStep - 1);
+    }
+
+    /**
+     * Ir para uma etapa sem pular etapas anteriores inválidas
+     */
+    goTo(index) {
+        const firstInvalid = this.findFirstInvalidStep(index);
+        this.showStep(firstInvalid === -1 ? index : firstInvalid);
+    }
+
+    isReviewStep(index = this.currentStep) {
+        return index === this.steps.length - 1;
+    }
+
+    announceStep() {
+        const title = this.steps[this.currentStep].querySelector('.briefing__step-title')?.textContent.trim();
+        const message = briefingText('briefing.stepAnnouncement', `Etapa ${this.currentStep + 1} de ${this.steps.length}: ${title}`, {
+            current: this.currentStep + 1,
+            total: this.steps.length,
+            title
+        });
+
+        if (window.app?.accessibility) {
+            window.app.accessibility.announce(message);
+        } else if (this.statusElement) {
+            this.statusElement.textContent = message;
+        }
+    }
+
+    /**
+     * Campos com nome de uma etapa (grupos de opções contam uma vez)
+     */
+    getStepFields(index) {
+        const seen = new Set();
+
+        return Array.from(this.steps[index].querySelectorAll('input[name], select[name], textarea[name]'))
+            .filter(field => field.type !== 'hidden')
+            .filter(field => {
+                if (seen.has(field.name)) return false;
+                seen.add(field.name);
+                return true;
+            });
+    }
+
+    /**
+     * Validar etapa (mostra todos os erros e foca o primeiro)
+     */
+    validateStep(index, showErrors = false) {
+        const results = this.getStepFields(index).map(field => ({
+            field,
+            isValid: this.validateField(field, showErrors)
+        }));
+
+        const firstInvalid = results.find(result => !result.isValid);
+
+        if (firstInvalid && showErrors) {
+            firstInvalid.field.focus();
+        }
+
+        return !firstInvalid;
+    }
+
+    findFirstInvalidStep(limit = this.steps.length - 1) {
+        for (let i = 0; i < limit; i++) {
+            if (!this.validateStep(i)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Valor do campo para validação (opção marcada do grupo, lista de fotos)
+     */
+    getFieldValue(field) {
+        if (field.type === 'radio') {
+            return this.form.querySelector(`input[name="${field.name}"]:checked`)?.value || '';
+        }
+
+        if (field.type === 'file') {
+            return Array.from(field.files || []);
+        }
+
+        return super.getFieldValue(field);
+    }
+
+    /**
+     * Grupos de opções mostram o erro no primeiro item
+     */
+    validateField(field, showErrors = false) {
+        if (field.type === 'radio') {
+            field = this.form.querySelector(`input[name="${field.name}"]`);
+        }
+
+        return super.validateField(field, showErrors);
+    }
+
+    /**
+     * Todas as etapas anteriores à revisão precisam ser válidas
+     */
+    validateAllFields() {
+        return this.findFirstInvalidStep() === -1;
+    }
+
+    /**
+     * Botão de envio só existe na revisão; validar o formulário inteiro antes
+     * apagaria os erros exibidos na etapa atual
+     */
+    updateSubmitButton() {
+        if (this.isReviewStep()) {
+            super.updateSubmitButton();
+        }
+    }
+
+    /**
+     * Configurar envio de fotos de referência
+     */
+    setupPhotoUpload() {
+        if (!this.photoInput) return;
+
+        this.photoList = this.form.querySelector('.briefing__photos');
+
+        this.photoInput.addEventListener('change', () => {
+            this.validateField(this.photoInput, true);
+            this.renderPhotoList();
+        });
+
+        this.photoList?.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-remove-photo]');
+            if (removeButton) {
+                this.removePhoto(Number(removeButton.dataset.removePhoto));
+            }
+        });
+    }
+
+    renderPhotoList() {
+        if (!this.photoList) return;
+
+        this.photoList.querySelectorAll('img').forEach(img => URL.revokeObjectURL(img.src));
+        this.photoList.innerHTML = '';
+
+        Array.from(this.photoInput.files || []).forEach((file, index) => {
+            const item = document.createElement('li');
+            item.className = 'briefing__photo';
+
+            const image = document.createElement('img');
+            image.src = URL.createObjectURL(file);
+            image.alt = '';
+
+            const name = document.createElement('span');
+            name.className = 'briefing__photo-name';
+            name.textContent = file.name;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'briefing__photo-remove';
+            remove.dataset.removePhoto = String(index);
+            remove.setAttribute('aria-label', briefingText('briefing.details.photoRemove', `Remover ${file.name}`, { name: file.name }));
+            remove.textContent = '×';
+
+            item.append(image, name, remove);
+            this.photoList.appendChild(item);
+        });
+    }
+
+    removePhoto(index) {
+        const transfer = new DataTransfer();
+
+        Array.from(this.photoInput.files)
+            .filter((_, i) => i !== index)
+            .forEach(file => transfer.items.add(file));
+
+        this.photoInput.files = transfer.files;
+        this.validateField(this.photoInput, true);
+        this.renderPhotoList();
+    }
+
+    /**
+     * Texto exibido para o valor de um campo (rótulo da opção escolhida)
+     */
+    getDisplayValue(field) {
+        if (field.type === 'radio') {
+            const checked = this.form.querySelector(`input[name="${field.name}"]:checked`);
+            return checked?.closest('label')?.querySelector('.briefing__option-title')?.textContent.trim() || '';
+        }
+
+        if (field.tagName === 'SELECT') {
+            return field.value ? field.selectedOptions[0].textContent.trim() : '';
+        }
+
+        if (field.type === 'file') {
+            return Array.from(field.files || []).map(file => file.name).join(', ');
+        }
+
+        return field.value.trim();
+    }
+
+    /**
+     * Montar resumo para revisão
+     */
+    renderSummary() {
+        const summary = this.form.querySelector('.briefing__summary');
+        if (!summary) return;
+
+        summary.innerHTML = '';
+
+        this.steps.slice(0, -1).forEach((step, index) => {
+            const section = document.createElement('div');
+            section.className = 'briefing__summary-section';
+
+            const header = document.createElement('div');
+            header.className = 'briefing__summary-header';
+
+            const title = document.createElement('h4');
+            title.textContent = step.querySelector('.briefing__step-title').textContent.trim();
+
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'briefing__summary-edit';
+            edit.dataset.briefingGoto = String(index);
+            edit.textContent = briefingText('briefing.edit', 'Editar');
+            edit.setAttribute('aria-label', briefingText('briefing.editStep', `Editar ${title.textContent}`, { step: title.textContent }));
+
+            header.append(title, edit);
+
+            const list = document.createElement('dl');
+            this.getStepFields(index).forEach(field => {
+                const term = document.createElement('dt');
+                term.textContent = field.dataset.summaryLabel || field.name;
+
+                const value = document.createElement('dd');
+                value.textContent = this.getDisplayValue(field) || briefingText('briefing.notInformed', 'Não informado');
+
+                list.append(term, value);
+            });
+
+            section.append(header, list);
+            summary.appendChild(section);
+        });
+    }
+
+    /**
+     * Dados enviados (opções com o rótulo legível, fotos como lista de arquivos)
+     */
+    getFormData() {
+        const data = {};
+
+        this.steps.slice(0, -1).forEach((_, index) => {
+            this.getStepFields(index).forEach(field => {
+                data[field.name] = field.type === 'file'
+                    ? Array.from(field.files || [])
+                    : this.getDisplayValue(field);
+            });
+        });
+
+        data.csrf_token = this.csrfToken;
+        return data;
+    }
+
+    /**
+     * Enviar (botão do WhatsApp escolhe o próprio transporte)
+     */
+    async submitForm(data) {
+        const transport = this.submitter?.dataset.transport;
+
+        if (transport && window.ContactSubmission) {
+            this.submission = this.submission || new ContactSubmission();
+            return this.submission.submit(data, { transports: [transport] });
+        }
+
+        return super.submitForm(data);
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        // Enter em etapas intermediárias avança em vez de enviar
+        if (!this.isReviewStep()) {
+            this.next();
+            return;
+        }
+
+        const invalidStep = this.findFirstInvalidStep();
+        if (invalidStep !== -1) {
+            this.showStep(invalidStep);
+            this.validateStep(invalidStep, true);
+            return;
+        }
+
+        this.submitter = e.submitter || null;
+        await super.handleSubmit(e);
+        this.submitter = null;
+    }
+
+    showSuccess(response = {}) {
+        super.showSuccess(response);
+
+        if (!response.handoff) {
+            this.resetWizard();
+        }
+    }
+
+    async queueMessage(data) {
+        const queued = await super.queueMessage(data);
+
+        if (queued) {
+            this.resetWizard();
+        }
+
+        return queued;
+    }
+
+    resetWizard() {
+        this.form.reset();
+        this.renderPhotoList();
+        this.clearDraft();
+        this.showStep(0, { focus: false });
+    }
+
+    /**
+     * RASCUNHO (sessionStorage)
+     * Nome, e-mail, telefone e detalhes do projeto são dados pessoais: não vão para o localStorage
+     * nem para o StateManager (log de estado, sincronização entre abas e analytics)
+     */
+    getDraftValues() {
+        const values = {};
+
+        for (const [key, value] of new FormData(this.form).entries()) {
+            if (key !== 'csrf_token' && typeof value === 'string') {
+                values[key] = value;
+            }
+        }
+
+        return values;
+    }
+
+    saveDraft() {
+        clearTimeout(this.draftTimeout);
+        this.draftTimeout = setTimeout(() => {
+            try {
+                sessionStorage.setItem(BRIEFING_DRAFT_KEY, JSON.stringify({
+                    step: this.currentStep,
+                    values: this.getDraftValues()
+                }));
+            } catch (error) {
+                console.warn('Falha ao salvar rascunho do briefing:', error);
+            }
+        }, 500);
+    }
+
+    readDraft() {
+        try {
+            return JSON.parse(sessionStorage.getItem(BRIEFING_DRAFT_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    restoreDraft() {
+        const draft = this.readDraft();
+        if (!draft?.values) return;
+
+        const hasValues = Object.values(draft.values).some(value => value.trim() !== '');
+        if (!hasValues) return;
+
+        Object.entries(draft.values).forEach(([name, value]) => {
+            this.form.querySelectorAll(`[name="${name}"]`).forEach(field => {
+                if (field.type === 'radio') {
+                    field.checked = field.value === value;
+                } else if (field.type !== 'file') {
+                    field.value = value;
+                }
+            });
+        });
+
+        const firstInvalid = this.findFirstInvalidStep(draft.step);
+        this.currentStep = firstInvalid === -1 ? draft.step : firstInvalid;
+
+        this.showNotification(briefingText('briefing.draftRestored', 'Recuperamos o rascunho do seu briefing.'), 'info');
+    }
+
+    clearDraft() {
+        clearTimeout(this.draftTimeout);
+
+        try {
+            sessionStorage.removeItem(BRIEFING_DRAFT_KEY);
+        } catch (error) {
+            console.warn('Falha ao remover rascunho do briefing:', error);
+        }
+    }
+
+    /**
+     * Mensagens no próprio formulário quando não há sistema de notificações
+     */
+    showNotification(message, type = 'info') {
+        if (window.app?.notifications || !this.statusElement) {
+            super.showNotification(message, type);
+            return;
+        }
+
+        this.statusElement.textContent = message;
+        this.statusElement.dataset.type = type;
+    }
+}
+
+// Inicialização
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.querySelector('[data-briefing-wizard]');
+    if (form) {
+        window.briefingWizard = new BriefingWizard(form);
+        window.briefingWizard.init().catch(error => {
+            console.error('Falha ao iniciar o briefing:', error);
+        });
+    }
+});
+
+// Exportar para uso global
+window.BriefingWizard = BriefingWizard;
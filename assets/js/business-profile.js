@@ -0,0 +1,331 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - PERFIL DO ESCRITÓRIO
+ * Fonte única dos dados do negócio (endereço, telefones, horários, redes sociais e serviços)
+ * usada pelos dados estruturados (StructuredDataManager e SEOManager), pelo contato/rodapé do index.html e pelos geradores em scripts/
+ */
+
+'use strict';
+
+const BUSINESS_PROFILE = {
+    name: 'Rafael Munaro Arquitetura',
+    alternateName: 'RM Arquitetura',
+    description: 'Arquiteto e Designer de Interiores em Capivari/SP. Projetos com alma, espaços com identidade.',
+    url: 'https://rafaelmunaro.com',
+    email: 'contato@rafaelmunaroarquitetura.com',
+    founder: {
+        name: 'Rafael Munaro',
+        jobTitle: 'Arquiteto e Designer de Interiores',
+        image: '/assets/images/Perfil Rafael Munaro.png'
+    },
+    // number: formato internacional dos dados estruturados; display: como aparece na página
+    phones: [
+        {
+            id: 'whatsapp',
+            number: '+55-19-99690-8104',
+            display: '(19) 99690-8104',
+            whatsapp: true,
+            contactType: 'customer service'
+        }
+    ],
+    address: {
+        street: 'Rua Padre Fabiano, 1072',
+        district: 'Centro',
+        city: 'Capivari',
+        region: 'SP',
+        postalCode: '13360-000',
+        country: 'BR'
+    },
+    geo: {
+        latitude: -22.9953,
+        longitude: -47.4567
+    },
+    // Raio de atendimento a partir do escritório, em metros
+    serviceRadius: 50000,
+    areaServed: [
+        { city: 'Capivari', region: 'SP', country: 'BR' }
+    ],
+    hours: [
+        { days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'], opens: '08:00', closes: '18:00' },
+        { days: ['Saturday'], opens: '08:00', closes: '12:00' }
+    ],
+    languages: ['Portuguese'],
+    social: {
+        instagram: 'https://www.instagram.com/rafaelmunaro.arq/',
+        facebook: 'https://www.facebook.com/rafael.munaro.2025',
+        linkedin: 'https://br.linkedin.com/in/rafael-soares-munaro'
+    },
+    priceRange: '$$$',
+    currency: 'BRL',
+    paymentAccepted: ['Cash', 'Credit Card', 'Bank Transfer'],
+    // Mesmos cards da seção #servicos (i18nKey: services.<id>.title/.text); price em BRL, null = sob consulta
+    services: [
+        {
+            id: 'architecture',
+            i18nKey: 'services.architecture',
+            name: 'Projetos Arquitetônicos',
+            description: 'Criação de projetos residenciais e comerciais completos, desde o conceito até o executivo.',
+            serviceType: 'Arquitetura',
+            price: null
+        },
+        {
+            id: 'interiors',
+            i18nKey: 'services.interiors',
+            name: 'Design de Interiores',
+            description: 'Elaboração de ambientes internos que aliam beleza, conforto e personalidade.',
+            serviceType: 'Design de Interiores',
+            price: null
+        },
+        {
+            id: 'construction',
+            i18nKey: 'services.construction',
+            name: 'Acompanhamento de Obra',
+            description: 'Gerenciamento e supervisão para garantir que o projeto seja executado com fidelidade e qualidade.',
+            serviceType: 'Acompanhamento de Obra',
+            price: null
+        },
+        {
+            id: 'consulting',
+            i18nKey: 'services.consulting',
+            name: 'Consultoria',
+            description: 'Orientação especializada para ajudar você a tomar as melhores decisões para seu espaço.',
+            serviceType: 'Consultoria',
+            price: 150
+        }
+    ]
+};
+
+// Abreviações de dias do formato openingHours do Schema.org
+const SCHEMA_DAY_CODES = {
+    Monday: 'Mo',
+    Tuesday: 'Tu',
+    Wednesday: 'We',
+    Thursday: 'Th',
+    Friday: 'Fr',
+    Saturday: 'Sa',
+    Sunday: 'Su'
+};
+
+/**
+ * Perfil do escritório
+ * Monta os fragmentos Schema.org e os valores exibidos na página a partir de BUSINESS_PROFILE
+ */
+class BusinessProfile {
+    constructor(profile = BUSINESS_PROFILE) {
+        this.profile = profile;
+    }
+
+    get name() {
+        return this.profile.name;
+    }
+
+    get url() {
+        return this.profile.url;
+    }
+
+    get email() {
+        return this.profile.email;
+    }
+
+    /**
+     * URL absoluta de um caminho do site
+     */
+    absoluteUrl(pathname = '/') {
+        return `${this.profile.url}${encodeURI(pathname)}`;
+    }
+
+    getPhone(id = 'whatsapp') {
+        return this.profile.phones.find(phone => phone.id === id) || this.profile.phones[0];
+    }
+
+    getWhatsAppUrl() {
+        const phone = this.profile.phones.find(item => item.whatsapp);
+        return phone ? `https://api.whatsapp.com/send/?phone=${BusinessProfile.digits(phone.number)}` : null;
+    }
+
+    getSameAs() {
+        return Object.values(this.profile.social);
+    }
+
+    /**
+     * SCHEMA.ORG
+     */
+    getPostalAddress() {
+        const { street, city, region, postalCode, country } = this.profile.address;
+
+        return {
+            "@type": "PostalAddress",
+            "streetAddress": street,
+            "addressLocality": city,
+            "addressRegion": region,
+            "postalCode": postalCode,
+            "addressCountry": country
+        };
+    }
+
+    getGeoCoordinates() {
+        return {
+            "@type": "GeoCoordinates",
+            "latitude": String(this.profile.geo.latitude),
+            "longitude": String(this.profile.geo.longitude)
+        };
+    }
+
+    getServiceArea() {
+        return {
+            "@type": "GeoCircle",
+            "geoMidpoint": this.getGeoCoordinates(),
+            "geoRadius": String(this.profile.serviceRadius)
+        };
+    }
+
+    getAreaServed() {
+        return this.profile.areaServed.map(area => ({
+            "@type": "City",
+            "name": area.city,
+            "addressRegion": area.region,
+            "addressCountry": area.country
+        }));
+    }
+
+    /**
+     * Horários no formato curto ("Mo-Fr 08:00-18:00"); dias consecutivos viram intervalo
+     */
+    getOpeningHours() {
+        const order = Object.keys(SCHEMA_DAY_CODES);
+
+        return this.profile.hours.map(({ days, opens, closes }) => {
+            const indexes = days.map(day => order.indexOf(day));
+            const consecutive = indexes.every((index, position) => position === 0 || index === indexes[position - 1] + 1);
+            const codes = days.map(day => SCHEMA_DAY_CODES[day]);
+            const range = consecutive && codes.length > 1 ? `${codes[0]}-${codes[codes.length - 1]}` : codes.join(',');
+
+            return `${range} ${opens}-${closes}`;
+        });
+    }
+
+    getOpeningHoursSpecification() {
+        return this.profile.hours.map(({ days, opens, closes }) => ({
+            "@type": "OpeningHoursSpecification",
+            "dayOfWeek": days,
+            "opens": opens,
+            "closes": closes
+        }));
+    }
+
+    /**
+     * Um ContactPoint por telefone e um para o e-mail
+     */
+    getContactPoints() {
+        const availableLanguage = this.profile.languages.length === 1 ? this.profile.languages[0] : this.profile.languages;
+
+        return [
+            ...this.profile.phones.map(phone => ({
+                "@type": "ContactPoint",
+                "telephone": phone.number,
+                "contactType": phone.contactType,
+                "availableLanguage": availableLanguage
+            })),
+            {
+                "@type": "ContactPoint",
+                "email": this.profile.email,
+                "contactType": "customer service",
+                "availableLanguage": availableLanguage
+            }
+        ];
+    }
+
+    getPriceSpecification(service) {
+        const specification = {
+            "@type": "PriceSpecification",
+            "priceCurrency": this.profile.currency
+        };
+
+        if (service.price !== null && service.price !== undefined) {
+            specification.price = String(service.price);
+        }
+
+        return specification;
+    }
+
+    getOfferCatalog(name = 'Serviços de Arquitetura') {
+        return {
+            "@type": "OfferCatalog",
+            "name": name,
+            "itemListElement": this.profile.services.map(service => ({
+                "@type": "Offer",
+                "itemOffered": {
+                    "@type": "Service",
+                    "name": service.name,
+                    "description": service.description
+                },
+                "priceSpecification": this.getPriceSpecification(service)
+            }))
+        };
+    }
+
+    getProvider() {
+        return {
+            "@type": "Organization",
+            "name": this.profile.name,
+            "url": `${this.profile.url}/`
+        };
+    }
+
+    /**
+     * VALORES DA PÁGINA
+     * Chaves usadas em data-business (texto) e data-business-href (link) no contato e no rodapé
+     */
+    getMarkupValues() {
+        const { street, district, city, region } = this.profile.address;
+
+        return {
+            phone: this.getPhone().display,
+            whatsapp: this.getWhatsAppUrl(),
+            email: this.profile.email,
+            mailto: `mailto:${this.profile.email}`,
+            'address-street': [street, district].filter(Boolean).join(', '),
+            'address-city': `${city}/${region}`,
+            ...Object.fromEntries(Object.entries(this.profile.social).map(([network, url]) => [`social-${network}`, url]))
+        };
+    }
+
+    /**
+     * Preencher a marcação com os dados do perfil (o HTML estático já traz os mesmos valores para rastreadores)
+     */
+    bindMarkup(root = document) {
+        const values = this.getMarkupValues();
+
+        root.querySelectorAll('[data-business]').forEach(element => {
+            const value = values[element.dataset.business];
+            if (value) element.textContent = value;
+        });
+
+        root.querySelectorAll('[data-business-href]').forEach(element => {
+            const value = values[element.dataset.businessHref];
+            if (value) element.setAttribute('href', value);
+        });
+    }
+
+    /**
+     * Só os dígitos de um telefone, para comparar formatos diferentes
+     */
+    static digits(value) {
+        return String(value || '').replace(/\D/g, '');
+    }
+}
+
+BusinessProfile.PROFILE = BUSINESS_PROFILE;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.BusinessProfile = BusinessProfile;
+    window.businessProfile = new BusinessProfile();
+
+    document.addEventListener('DOMContentLoaded', () => {
+        window.businessProfile.bindMarkup();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BusinessProfile;
+}
@@ -0,0 +1,423 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - CAIXA DE SAÍDA DE CONTATO
+ * Fila offline (IndexedDB) para mensagens não enviadas, com reenvio automático e deduplicação
+ */
+
+'use strict';
+
+const OUTBOX_DB_NAME = 'rma-contact-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'messages';
+const OUTBOX_SYNC_TAG = 'contact-outbox';
+
+const OUTBOX_RETRY_BASE = 5000;
+const OUTBOX_RETRY_MAX = 30 * 60 * 1000;
+// Tempo de posse de uma mensagem em envio (outra aba/service worker não a reenvia nesse intervalo)
+const OUTBOX_LEASE = 60 * 1000;
+// Mensagens enviadas ficam registradas para descartar reenvios idênticos
+const OUTBOX_DEDUPE_WINDOW = 24 * 60 * 60 * 1000;
+
+// Campos que identificam o conteúdo da mensagem
+const OUTBOX_ID_FIELDS = ['nome', 'email', 'telefone', 'tipo-projeto', 'localizacao', 'area', 'orcamento', 'prazo', 'mensagem'];
+
+/**
+ * Abrir banco IndexedDB da fila
+ */
+function openOutboxDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Hash FNV-1a (64 bits em dois blocos de 32) para o id da mensagem
+ */
+function hashOutboxContent(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 0x01000193);
+        h2 = Math.imul(h2 ^ code, 0x811c9dc5);
+    }
+
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Mensagem pode ser assumida para envio?
+ */
+function isOutboxEntryClaimable(entry, now) {
+    if (entry.status === 'pending') return true;
+    return entry.status === 'sending' && entry.lockedUntil <= now;
+}
+
+/**
+ * Fila de mensagens de contato pendentes
+ */
+class ContactOutbox {
+    constructor({ submission = null } = {}) {
+        this.submission = submission || new ContactSubmission();
+        this.db = null;
+        this.flushing = null;
+        this.retryTimer = null;
+        this.isStarted = false;
+
+        this.handleNetworkChange = this.handleNetworkChange.bind(this);
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Id determinístico: o mesmo conteúdo gera sempre o mesmo id
+     */
+    static getMessageId(data) {
+        const content = OUTBOX_ID_FIELDS
+            .map(field => String(data?.[field] || '').trim().toLowerCase())
+            .join('\u001f');
+
+        return `msg-${hashOutboxContent(content)}`;
+    }
+
+    /**
+     * Atraso exponencial com variação de ±20%
+     */
+    static getRetryDelay(attempts) {
+        const delay = Math.min(OUTBOX_RETRY_BASE * 2 ** Math.max(attempts - 1, 0), OUTBOX_RETRY_MAX);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Iniciar reenvio automático (páginas; no service worker use flush() no evento sync)
+     */
+    start() {
+        if (this.isStarted) return;
+        this.isStarted = true;
+
+        // Emitido por PerformanceOptimizer.handleNetworkChange()
+        window.addEventListener('network:change', this.handleNetworkChange);
+        window.addEventListener('online', this.handleNetworkChange);
+
+        this.flush().catch(error => console.warn('Falha ao processar fila de contato:', error));
+    }
+
+    stop() {
+        window.removeEventListener('network:change', this.handleNetworkChange);
+        window.removeEventListener('online', this.handleNetworkChange);
+        clearTimeout(this.retryTimer);
+        this.isStarted = false;
+    }
+
+    handleNetworkChange(event) {
+        const online = event.type === 'online' || event.detail?.online;
+        if (!online) return;
+
+        // Conexão voltou: tentar imediatamente, sem esperar o backoff
+        this.flush({ force: true }).catch(error => console.warn('Falha ao processar fila de contato:', error));
+    }
+
+    /**
+     * Executar operação em uma transação (resolve ao concluir a transação)
+     */
+    async transaction(mode, executor) {
+        if (!this.db) {
+            this.db = await openOutboxDB();
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(OUTBOX_STORE, mode);
+            const store = tx.objectStore(OUTBOX_STORE);
+            let result;
+
+            executor(store, value => {
+                result = value;
+            });
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    getAll() {
+        return this.transaction('readonly', (store, done) => {
+            const request = store.getAll();
+            request.onsuccess = () => done(request.result || []);
+        });
+    }
+
+    async getPending() {
+        const entries = await this.getAll();
+        return entries.filter(entry => entry.status === 'pending' || entry.status === 'sending');
+    }
+
+    /**
+     * Adicionar mensagem à fila
+     * Conteúdo já enfileirado ou enviado recentemente não gera novo item; falhas definitivas são substituídas
+     */
+    enqueue(data, { csrfToken = null } = {}) {
+        const id = ContactOutbox.getMessageId(data);
+        const now = Date.now();
+
+        return this.transaction('readwrite', (store, done) => {
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                const existing = request.result;
+
+                const isQueued = existing && (existing.status === 'pending' || existing.status === 'sending');
+                const isRecentlySent = existing && existing.status === 'sent' && now - existing.sentAt < OUTBOX_DEDUPE_WINDOW;
+
+                if (isQueued || isRecentlySent) {
+                    done({ entry: existing, duplicate: true });
+                    return;
+                }
+
+                const entry = {
+                    id,
+                    data,
+                    csrfToken,
+                    status: 'pending',
+                    // A tentativa direta que falhou conta como a primeira
+                    attempts: 1,
+                    createdAt: now,
+                    nextAttemptAt: now + ContactOutbox.getRetryDelay(1),
+                    lockedUntil: 0,
+                    lastError: null
+                };
+
+                store.put(entry);
+                done({ entry, duplicate: false });
+            };
+        }).then(async result => {
+            if (!result.duplicate) {
+                console.log('📥 Mensagem de contato adicionada à fila');
+                await this.registerBackgroundSync();
+                this.emitChange();
+                this.scheduleRetry();
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     * Marcar mensagem como já enviada (envio direto bem-sucedido)
+     */
+    markSent(id) {
+        return this.transaction('readwrite', store => {
+            store.put({ id, data: null, status: 'sent', sentAt: Date.now(), lockedUntil: 0 });
+        });
+    }
+
+    /**
+     * Assumir a mensagem de forma atômica (get + put na mesma transação)
+     */
+    claim(id) {
+        return this.transaction('readwrite', (store, done) => {
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                const entry = request.result;
+                const now = Date.now();
+
+                if (!entry || !isOutboxEntryClaimable(entry, now)) {
+                    done(null);
+                    return;
+                }
+
+                const claimed = { ...entry, status: 'sending', lockedUntil: now + OUTBOX_LEASE };
+                store.put(claimed);
+                done(claimed);
+            };
+        });
+    }
+
+    update(entry) {
+        return this.transaction('readwrite', store => {
+            store.put(entry);
+        });
+    }
+
+    /**
+     * Enviar mensagens pendentes cujo próximo horário de tentativa já chegou
+     */
+    flush(options = {}) {
+        if (!this.flushing) {
+            this.flushing = this.processQueue(options).finally(() => {
+                this.flushing = null;
+            });
+        }
+
+        return this.flushing;
+    }
+
+    async processQueue({ force = false } = {}) {
+        const result = { sent: [], failed: [], pending: 0 };
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            result.pending = (await this.getPending()).length;
+            return result;
+        }
+
+        const now = Date.now();
+        const entries = await this.getAll();
+        const due = entries.filter(entry => isOutboxEntryClaimable(entry, now) && (force || entry.nextAttemptAt <= now));
+
+        for (const entry of due) {
+            const claimed = await this.claim(entry.id);
+            if (!claimed) continue;
+
+            try {
+                await this.submission.submit(claimed.data, {
+                    transports: this.submission.getNetworkTransports(),
+                    csrfToken: claimed.csrfToken,
+                    submissionId: claimed.id
+                });
+
+                // Dados pessoais não ficam guardados após o envio
+                await this.update({ id: claimed.id, data: null, status: 'sent', sentAt: Date.now(), lockedUntil: 0 });
+                result.sent.push(claimed.id);
+            } catch (error) {
+                const attempts = claimed.attempts + 1;
+                // Endpoint ausente não volta a existir sozinho: sem novas tentativas
+                const failed = error.recoverable === false || Boolean(error.endpointMissing);
+
+                await this.update({
+                    ...claimed,
+                    status: failed ? 'failed' : 'pending',
+                    attempts,
+                    lockedUntil: 0,
+                    nextAttemptAt: Date.now() + ContactOutbox.getRetryDelay(attempts),
+                    lastError: error.message
+                });
+
+                if (failed) {
+                    result.failed.push({ id: claimed.id, message: error.message, endpointMissing: Boolean(error.endpointMissing) });
+                }
+            }
+        }
+
+        await this.prune();
+
+        result.pending = (await this.getPending()).length;
+
+        if (result.sent.length > 0) {
+            console.log(`📤 ${result.sent.length} mensagem(ns) pendente(s) enviada(s)`);
+        }
+
+        this.emitChange(result);
+        this.scheduleRetry();
+
+        return result;
+    }
+
+    /**
+     * Remover registros de envio fora da janela de deduplicação
+     */
+    async prune() {
+        const now = Date.now();
+        const entries = await this.getAll();
+        const expired = entries.filter(entry => entry.status === 'sent' && now - entry.sentAt >= OUTBOX_DEDUPE_WINDOW);
+
+        if (expired.length === 0) return;
+
+        await this.transaction('readwrite', store => {
+            expired.forEach(entry => store.delete(entry.id));
+        });
+    }
+
+    /**
+     * Descartar mensagem que falhou definitivamente
+     */
+    async discard(id) {
+        await this.transaction('readwrite', store => {
+            store.delete(id);
+        });
+        this.emitChange();
+    }
+
+    /**
+     * Agendar a próxima tentativa pelo menor horário pendente
+     */
+    async scheduleRetry() {
+        if (!this.isStarted) return;
+
+        clearTimeout(this.retryTimer);
+
+        const pending = (await this.getPending()).filter(entry => entry.status === 'pending');
+        if (pending.length === 0) return;
+
+        const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        const delay = Math.max(nextAttemptAt - Date.now(), 0);
+
+        this.retryTimer = setTimeout(() => {
+            this.flush().catch(error => console.warn('Falha ao processar fila de contato:', error));
+        }, delay);
+    }
+
+    /**
+     * Registrar Background Sync para o service worker reenviar com a página fechada
+     */
+    async registerBackgroundSync() {
+        try {
+            const registration = await navigator.serviceWorker?.getRegistration();
+            if (registration && 'sync' in registration) {
+                await registration.sync.register(OUTBOX_SYNC_TAG);
+            }
+        } catch (error) {
+            console.warn('Background Sync indisponível:', error);
+        }
+    }
+
+    /**
+     * Notificar interface sobre mudanças na fila
+     */
+    async emitChange(detail = {}) {
+        if (typeof dispatchEvent !== 'function' || typeof CustomEvent === 'undefined') return;
+
+        const pending = detail.pending ?? (await this.getPending()).length;
+
+        dispatchEvent(new CustomEvent('contact-outbox:change', {
+            detail: { sent: [], failed: [], ...detail, pending }
+        }));
+    }
+}
+
+ContactOutbox.SYNC_TAG = OUTBOX_SYNC_TAG;
+
+// No service worker: reenviar pelo Background Sync (importScripts deste arquivo e de contact-submission.js)
+if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+    self.addEventListener('sync', event => {
+        if (event.tag === OUTBOX_SYNC_TAG) {
+            // Rejeitar mantém o sync registrado para o navegador tentar de novo
+            event.waitUntil(new ContactOutbox().flush({ force: true }).then(result => {
+                if (result.pending > 0) {
+                    throw new Error(`${result.pending} mensagem(ns) ainda pendente(s)`);
+                }
+            }));
+        }
+    });
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.ContactOutbox = ContactOutbox;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactOutbox;
+}
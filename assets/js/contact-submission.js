@@ -0,0 +1,464 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - ENVIO DE CONTATO
+ * Módulo único de envio com transportes intercambiáveis (JSON, Formspree, e-mail e WhatsApp)
+ */
+
+'use strict';
+
+/**
+ * Configuração central do envio de contato
+ * Pode ser sobrescrita definindo window.CONTACT_SUBMISSION_CONFIG antes deste script
+ */
+const CONTACT_SUBMISSION_CONFIG = {
+    // Ordem de tentativa: o primeiro transporte que concluir encerra o envio
+    transports: ['json', 'mailto'],
+    timeout: 15000,
+    json: {
+        endpoint: '/api/contact'
+    },
+    formspree: {
+        // Ex.: https://formspree.io/f/<id-do-formulario> (vazio = desativado)
+        endpoint: ''
+    },
+    mailto: {
+        email: 'contato@rafaelmunaroarquitetura.com',
+        subject: 'Contato pelo site'
+    },
+    whatsapp: {
+        phone: '5519996908104'
+    }
+};
+
+// Rótulos usados ao montar o texto da mensagem (e-mail e WhatsApp)
+const CONTACT_FIELD_LABELS = {
+    nome: 'Nome',
+    email: 'E-mail',
+    telefone: 'Telefone',
+    'tipo-projeto': 'Tipo de projeto',
+    localizacao: 'Localização',
+    area: 'Área aproximada (m²)',
+    orcamento: 'Investimento previsto',
+    prazo: 'Prazo para início',
+    fotos: 'Fotos de referência',
+    mensagem: 'Mensagem'
+};
+
+// Campos de controle que nunca fazem parte do conteúdo enviado
+const CONTACT_PRIVATE_FIELDS = ['csrf_token', 'privacidade'];
+
+/**
+ * Erro de envio com indicação se o próximo transporte pode ser tentado
+ * endpointMissing: o endereço não existe (404/405); tentar de novo mais tarde não adianta
+ */
+class ContactSubmissionError extends Error {
+    constructor(message, { transport = null, status = null, recoverable = true, endpointMissing = false, errors = [] } = {}) {
+        super(message);
+        this.name = 'ContactSubmissionError';
+        this.transport = transport;
+        this.status = status;
+        this.recoverable = recoverable;
+        this.endpointMissing = endpointMissing;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Mesclar configuração padrão com sobrescritas (um nível por transporte)
+ */
+function mergeSubmissionConfig(base, overrides = {}) {
+    const merged = { ...base, ...overrides };
+
+    ['json', 'formspree', 'mailto', 'whatsapp'].forEach(key => {
+        merged[key] = { ...base[key], ...(overrides[key] || {}) };
+    });
+
+    return merged;
+}
+
+/**
+ * Valor é uma lista de arquivos (ex.: fotos de referência)?
+ */
+function isFileList(value) {
+    return Array.isArray(value) && typeof Blob !== 'undefined' && value.every(item => item instanceof Blob);
+}
+
+/**
+ * Separar os campos de conteúdo dos campos de controle
+ */
+function getPublicFields(data) {
+    return Object.fromEntries(
+        Object.entries(data || {}).filter(([key, value]) =>
+            !CONTACT_PRIVATE_FIELDS.includes(key) && value !== undefined && value !== null && value !== '' &&
+            !(Array.isArray(value) && value.length === 0)
+        )
+    );
+}
+
+/**
+ * Ler arquivo como data URL
+ */
+function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve({ name: file.name, type: file.type, size: file.size, data: reader.result });
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Converter anexos em data URLs para envio em JSON
+ */
+async function serializeAttachments(fields) {
+    const entries = await Promise.all(Object.entries(fields).map(async ([key, value]) => [
+        key,
+        isFileList(value) ? await Promise.all(value.map(readFileAsDataURL)) : value
+    ]));
+
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Montar o texto legível da mensagem
+ */
+function formatContactMessage(data) {
+    const fields = getPublicFields(data);
+    const lines = Object.keys(CONTACT_FIELD_LABELS)
+        .filter(key => key !== 'mensagem' && fields[key])
+        .map(key => {
+            // Links de e-mail/WhatsApp não levam anexos: listar para envio manual
+            if (isFileList(fields[key])) {
+                return `${CONTACT_FIELD_LABELS[key]}: ${fields[key].map(file => file.name).join(', ')} (anexar manualmente)`;
+            }
+            return `${CONTACT_FIELD_LABELS[key]}: ${fields[key]}`;
+        });
+
+    if (fields.mensagem) {
+        lines.push('', fields.mensagem);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Executar fetch com tempo limite
+ */
+async function fetchWithTimeout(url, options, timeout) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+    try {
+        return await fetch(url, { ...options, signal: controller?.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new ContactSubmissionError('O servidor demorou muito para responder.', { status: 408 });
+        }
+        throw new ContactSubmissionError('Não foi possível conectar ao servidor.');
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Ler corpo JSON da resposta sem falhar em respostas vazias
+ */
+async function readJSONResponse(response) {
+    try {
+        return await response.json();
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Converter resposta HTTP de erro em ContactSubmissionError
+ * Erros 4xx indicam dados rejeitados e encerram as tentativas; endpoint ausente (404/405),
+ * tempo esgotado (408) e limite de requisições (429) seguem para o próximo transporte.
+ * Endpoint ausente (ex.: hospedagem estática sem /api/contact) não vai para a fila offline: ContactManager passa ao e-mail/WhatsApp
+ */
+function createHTTPError(response, body) {
+    const status = response.status;
+    const errors = Array.isArray(body.errors) ? body.errors : [];
+    const message = body.message
+        || errors.map(error => error.message).filter(Boolean).join(' ')
+        || `HTTP ${status}: ${response.statusText}`;
+
+    const endpointMissing = [404, 405].includes(status);
+
+    return new ContactSubmissionError(message, {
+        status,
+        errors,
+        endpointMissing,
+        recoverable: status >= 500 || endpointMissing || [408, 429].includes(status)
+    });
+}
+
+/**
+ * Transporte JSON (API própria em /api/contact)
+ */
+class JsonTransport {
+    constructor(config) {
+        this.name = 'json';
+        this.config = config;
+    }
+
+    isAvailable() {
+        return Boolean(this.config.json.endpoint) && typeof fetch === 'function';
+    }
+
+    async send(data, { csrfToken, submissionId } = {}) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest'
+        };
+
+        if (csrfToken) {
+            headers['X-CSRF-Token'] = csrfToken;
+        }
+
+        // Mesmo id em todas as tentativas: o servidor descarta reenvios
+        if (submissionId) {
+            headers['Idempotency-Key'] = submissionId;
+        }
+
+        const response = await fetchWithTimeout(this.config.json.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                ...await serializeAttachments(getPublicFields(data)),
+                ...(csrfToken ? { csrf_token: csrfToken } : {}),
+                ...(submissionId ? { submission_id: submissionId } : {})
+            }),
+            credentials: 'same-origin'
+        }, this.config.timeout);
+
+        const body = await readJSONResponse(response);
+
+        if (!response.ok || body.success === false) {
+            throw createHTTPError(response, body);
+        }
+
+        return { success: true, message: body.message };
+    }
+}
+
+/**
+ * Transporte de formulário no estilo Formspree (multipart + Accept: application/json)
+ */
+class FormspreeTransport {
+    constructor(config) {
+        this.name = 'formspree';
+        this.config = config;
+    }
+
+    isAvailable() {
+        return Boolean(this.config.formspree.endpoint) && typeof fetch === 'function';
+    }
+
+    async send(data, { submissionId } = {}) {
+        const formData = new FormData();
+        const fields = getPublicFields(data);
+
+        Object.entries(fields).forEach(([key, value]) => {
+            if (isFileList(value)) {
+                value.forEach(file => formData.append(key, file, file.name));
+            } else {
+                formData.append(key, value);
+            }
+        });
+
+        // Campos especiais reconhecidos pelo Formspree
+        if (fields.email) formData.append('_replyto', fields.email);
+        formData.append('_subject', this.config.mailto.subject);
+        if (submissionId) formData.append('_submission_id', submissionId);
+
+        const response = await fetchWithTimeout(this.config.formspree.endpoint, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' },
+            body: formData
+        }, this.config.timeout);
+
+        const body = await readJSONResponse(response);
+
+        if (!response.ok || body.ok === false) {
+            throw createHTTPError(response, body);
+        }
+
+        return { success: true };
+    }
+}
+
+/**
+ * Transporte por e-mail (abre o aplicativo de e-mail com a mensagem preenchida)
+ */
+class MailtoTransport {
+    constructor(config) {
+        this.name = 'mailto';
+        this.config = config;
+        this.handoff = true;
+    }
+
+    isAvailable() {
+        return Boolean(this.config.mailto.email);
+    }
+
+    buildURL(data) {
+        const { email, subject } = this.config.mailto;
+        const fields = getPublicFields(data);
+        const fullSubject = fields.nome ? `${subject} - ${fields.nome}` : subject;
+
+        return `mailto:${email}?subject=${encodeURIComponent(fullSubject)}&body=${encodeURIComponent(formatContactMessage(data))}`;
+    }
+
+    async send(data) {
+        window.location.href = this.buildURL(data);
+
+        return {
+            success: true,
+            message: 'Abrimos seu aplicativo de e-mail com a mensagem preenchida. Basta confirmar o envio.'
+        };
+    }
+}
+
+/**
+ * Transporte por WhatsApp (link direto para o número da seção de contato)
+ */
+class WhatsAppTransport {
+    constructor(config) {
+        this.name = 'whatsapp';
+        this.config = config;
+        this.handoff = true;
+    }
+
+    isAvailable() {
+        return Boolean(this.config.whatsapp.phone);
+    }
+
+    buildURL(data) {
+        const phone = String(this.config.whatsapp.phone).replace(/\D/g, '');
+        const text = `Olá! Vim pelo site.\n\n${formatContactMessage(data)}`;
+
+        return `https://api.whatsapp.com/send/?phone=${phone}&text=${encodeURIComponent(text)}`;
+    }
+
+    async send(data) {
+        const url = this.buildURL(data);
+        const opened = window.open(url, '_blank', 'noopener');
+
+        // Bloqueador de pop-up: seguir na mesma aba
+        if (!opened) {
+            window.location.href = url;
+        }
+
+        return {
+            success: true,
+            message: 'Abrimos o WhatsApp com a mensagem preenchida. Basta confirmar o envio.'
+        };
+    }
+}
+
+const CONTACT_TRANSPORTS = {
+    json: JsonTransport,
+    formspree: FormspreeTransport,
+    mailto: MailtoTransport,
+    whatsapp: WhatsAppTransport
+};
+
+/**
+ * Serviço de envio de contato
+ */
+class ContactSubmission {
+    constructor(overrides = {}) {
+        const globalConfig = typeof window !== 'undefined' ? window.CONTACT_SUBMISSION_CONFIG : null;
+        this.config = mergeSubmissionConfig(mergeSubmissionConfig(CONTACT_SUBMISSION_CONFIG, globalConfig || {}), overrides);
+
+        this.transports = Object.fromEntries(
+            Object.entries(CONTACT_TRANSPORTS).map(([name, Transport]) => [name, new Transport(this.config)])
+        );
+    }
+
+    /**
+     * Registrar transporte adicional ou substituir um existente
+     */
+    registerTransport(name, transport) {
+        this.transports[name] = transport;
+        return this;
+    }
+
+    getTransport(name) {
+        return this.transports[name] || null;
+    }
+
+    /**
+     * Transportes configurados que enviam sem depender do usuário (exclui e-mail e WhatsApp)
+     */
+    getNetworkTransports() {
+        return this.config.transports.filter(name => {
+            const transport = this.getTransport(name);
+            return transport && !transport.handoff;
+        });
+    }
+
+    /**
+     * Transportes configurados que entregam a mensagem ao usuário para concluir o envio (e-mail e WhatsApp)
+     */
+    getHandoffTransports() {
+        return this.config.transports.filter(name => Boolean(this.getTransport(name)?.handoff));
+    }
+
+    /**
+     * Enviar dados tentando os transportes na ordem configurada
+     * Retorna { success, message, transport, handoff }
+     */
+    async submit(data, { transports = this.config.transports, csrfToken = data?.csrf_token, submissionId = null } = {}) {
+        let lastError = null;
+
+        for (const name of transports) {
+            const transport = this.getTransport(name);
+
+            if (!transport || !transport.isAvailable()) {
+                continue;
+            }
+
+            try {
+                const result = await transport.send(data, { csrfToken, submissionId });
+                console.log(`📨 Contato enviado via ${name}`);
+
+                return {
+                    success: true,
+                    message: result.message || 'Mensagem enviada com sucesso!',
+                    transport: name,
+                    handoff: Boolean(transport.handoff)
+                };
+            } catch (error) {
+                lastError = error instanceof ContactSubmissionError
+                    ? error
+                    : new ContactSubmissionError(error.message);
+                lastError.transport = name;
+
+                console.warn(`Falha no envio via ${name}:`, lastError.message);
+
+                if (!lastError.recoverable) {
+                    break;
+                }
+            }
+        }
+
+        throw lastError || new ContactSubmissionError('Nenhum meio de envio disponível.', { recoverable: false });
+    }
+}
+
+ContactSubmission.DEFAULT_CONFIG = CONTACT_SUBMISSION_CONFIG;
+ContactSubmission.TRANSPORTS = CONTACT_TRANSPORTS;
+ContactSubmission.formatMessage = formatContactMessage;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.ContactSubmission = ContactSubmission;
+    window.ContactSubmissionError = ContactSubmissionError;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContactSubmission, ContactSubmissionError };
+}
@@ -5,16 +5,23 @@
 
 'use strict';
 
+/**
+ * Texto do catálogo de idiomas (ou o texto em português quando o i18n não carregou)
+ */
+function contactText(key, defaultValue, params = {}) {
+    return window.i18n ? window.i18n.t(key, { ...params, defaultValue }) : defaultValue;
+}
+
 /**
  * Gerenciador de formulário de contato
  */
 class ContactManager {
-    constructor() {
-        this.form = document.getElementById('contact-form');
+    constructor(form = document.getElementById('contact-form')) {
+        this.form = form;
         this.submitButton = this.form?.querySelector('.btn-submit');
         this.isSubmitting = false;
-        this.validationRules = {};
-        this.rateLimiter = new RateLimiter();
+        this.validator = null;
+        this.rateLimiter = RateLimiter.shared('form');
     }
 
     async init() {
@@ -24,50 +31,14 @@ class ContactManager {
         this.setupEventListeners();
         this.setupAccessibility();
         this.setupSecurity();
+        this.setupOutbox();
     }
 
     /**
-     * Configurar validação
+     * Configurar validação (regras compartilhadas em validation.js)
      */
     setupValidation() {
-        this.validationRules = {
-            nome: {
-                required: true,
-                minLength: 2,
-                maxLength: 100,
-                pattern: /^[A-Za-zÀ-ÿ\s]+$/,
-                message: {
-                    required: 'Nome é obrigatório',
-                    minLength: 'Nome deve ter pelo menos 2 caracteres',
-                    maxLength: 'Nome deve ter no máximo 100 caracteres',
-                    pattern: 'Nome deve conter apenas letras'
-                }
-            },
-            email: {
-                required: true,
-                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                message: {
-                    required: 'E-mail é obrigatório',
-                    pattern: 'Digite um e-mail válido'
-                }
-            },
-            mensagem: {
-                required: true,
-                minLength: 10,
-                maxLength: 1000,
-                message: {
-                    required: 'Mensagem é obrigatória',
-                    minLength: 'Mensagem deve ter pelo menos 10 caracteres',
-                    maxLength: 'Mensagem deve ter no máximo 1000 caracteres'
-                }
-            },
-            privacidade: {
-                required: true,
-                message: {
-                    required: 'Você deve aceitar a política de privacidade'
-                }
-            }
-        };
+        this.validator = new ValidationEngine(ValidationEngine.schemas.contact);
     }
 
     /**
@@ -95,6 +66,12 @@ class ContactManager {
         if (privacyCheckbox) {
             privacyCheckbox.addEventListener('change', () => this.updateSubmitButton());
         }
+
+        // Troca de idioma: mensagens de erro já exibidas são refeitas no novo idioma
+        window.addEventListener('i18n:change', (e) => {
+            this.validator.setLocale(e.detail.locale);
+            this.form.querySelectorAll('[aria-invalid="true"]').forEach(field => this.validateField(field, true));
+        });
     }
 
     /**
@@ -160,40 +137,22 @@ class ContactManager {
      * Detectar tentativas de injeção
      */
     detectInjectionAttempt() {
-        const formData = new FormData(this.form);
-        const suspiciousPatterns = [
-            /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
-            /javascript:/gi,
-            /on\w+\s*=/gi,
-            /<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi,
-            /<object\b[^<]*(?:(?!<\/object>)<[^<]*)*<\/object>/gi,
-            /<embed\b[^<]*(?:(?!<\/embed>)<[^<]*)*<\/embed>/gi
-        ];
-
-        for (const [key, value] of formData.entries()) {
-            const stringValue = String(value);
-            if (suspiciousPatterns.some(pattern => pattern.test(stringValue))) {
-                console.warn(`Tentativa de injeção detectada no campo ${key}`);
-                return true;
-            }
+        const field = this.validator.detectInjection(new FormData(this.form));
+
+        if (field) {
+            console.warn(`Tentativa de injeção detectada no campo ${field}`);
+            return true;
         }
 
         return false;
     }
 
     /**
-     * Sanitizar campo
+     * Sanitizar campo (sem remover espaços para não atrapalhar a digitação)
      */
     sanitizeField(field) {
         const value = field.value;
-        const sanitized = value
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/javascript:/gi, '')
-            .replace(/on\w+\s*=/gi, '')
-            .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')
-            .replace(/<object\b[^<]*(?:(?!<\/object>)<[^<]*)*<\/object>/gi, '')
-            .replace(/<embed\b[^<]*(?:(?!<\/embed>)<[^<]*)*<\/embed>/gi, '')
-            .trim();
+        const sanitized = this.validator.sanitize(value, { trim: false });
 
         if (sanitized !== value) {
             field.value = sanitized;
@@ -202,45 +161,46 @@ class ContactManager {
         return sanitized;
     }
 
+    /**
+     * Valor do campo para validação
+     */
+    getFieldValue(field) {
+        if (field.type === 'checkbox') {
+            return field.checked;
+        }
+
+        return this.sanitizeField(field).trim();
+    }
+
     /**
      * Validar campo individual
      */
     validateField(field, showErrors = false) {
-        const rules = this.validationRules[field.name];
-        if (!rules) return true;
+        if (!this.validator.hasRule(field.name)) return true;
 
-        const value = field.value.trim();
-        let isValid = true;
-        let errorMessage = '';
+        const { valid, message } = this.validator.validateField(field.name, this.getFieldValue(field));
 
-        // Sanitizar primeiro
-        field.value = this.sanitizeField(field);
+        // Atualizar estado visual
+        this.updateFieldState(field, valid, showErrors ? message : '');
 
-        // Verificar required
-        if (rules.required && !value) {
-            isValid = false;
-            errorMessage = rules.message.required;
-        }
-        // Verificar minLength
-        else if (rules.minLength && value.length < rules.minLength) {
-            isValid = false;
-            errorMessage = rules.message.minLength;
-        }
-        // Verificar maxLength
-        else if (rules.maxLength && value.length > rules.maxLength) {
-            isValid = false;
-            errorMessage = rules.message.maxLength;
-        }
-        // Verificar pattern
-        else if (rules.pattern && !rules.pattern.test(value)) {
-            isValid = false;
-            errorMessage = rules.message.pattern;
-        }
+        return valid;
+    }
 
-        // Atualizar estado visual
-        this.updateFieldState(field, isValid, showErrors ? errorMessage : '');
+    /**
+     * Validadores assíncronos das regras (executados apenas no envio)
+     */
+    async validateAsync(data) {
+        const fields = Array.from(new Set(Array.from(this.form.elements, element => element.name)));
+        const { valid, errors } = await this.validator.validateAsync(data, { fields });
+
+        Object.entries(errors).forEach(([name, message]) => {
+            const field = this.form.elements[name];
+            if (field) {
+                this.showFieldError(field.length && !field.tagName ? field[0] : field, message);
+            }
+        });
 
-        return isValid;
+        return valid;
     }
 
     /**
@@ -264,8 +224,11 @@ class ContactManager {
             }
 
             field.setAttribute('aria-invalid', 'true');
-        } else if (field.value.trim() && isValid) {
-            field.classList.add('form-input--valid');
+        } else if (isValid) {
+            // Campos opcionais esvaziados também limpam o erro anterior
+            if (field.value.trim()) {
+                field.classList.add('form-input--valid');
+            }
 
             if (errorElement) {
                 errorElement.style.display = 'none';
@@ -281,20 +244,33 @@ class ContactManager {
      * Atualizar botão de submit
      */
     updateSubmitButton() {
-        if (!this.submitButton) return;
+        // validateAllFields() passa por updateFieldState(), que chama este método de novo
+        if (!this.submitButton || this.isUpdatingSubmitButton) return;
+        this.isUpdatingSubmitButton = true;
 
-        const allFieldsValid = this.validateAllFields();
-        const privacyAccepted = this.isPrivacyAccepted();
+        try {
+            const allFieldsValid = this.validateAllFields();
+            const privacyAccepted = this.isPrivacyAccepted();
 
-        this.submitButton.disabled = !allFieldsValid || !privacyAccepted;
+            this.submitButton.disabled = !allFieldsValid || !privacyAccepted;
 
-        if (!allFieldsValid || !privacyAccepted) {
-            this.submitButton.setAttribute('aria-describedby', 'submit-help');
-        } else {
-            this.submitButton.removeAttribute('aria-describedby');
+            if (!allFieldsValid || !privacyAccepted) {
+                this.submitButton.setAttribute('aria-describedby', 'submit-help');
+            } else {
+                this.submitButton.removeAttribute('aria-describedby');
+            }
+        } finally {
+            this.isUpdatingSubmitButton = false;
         }
     }
 
+    /**
+     * Mostrar erro em um campo
+     */
+    showFieldError(field, message) {
+        this.updateFieldState(field, false, message);
+    }
+
     /**
      * Validar todos os campos
      */
@@ -311,6 +287,119 @@ class ContactManager {
         return privacyCheckbox ? privacyCheckbox.checked : true;
     }
 
+    /**
+     * Configurar fila offline de mensagens
+     */
+    setupOutbox() {
+        if (!window.ContactOutbox || !window.ContactSubmission || !ContactOutbox.isSupported()) return;
+
+        this.submission = this.submission || new ContactSubmission();
+        this.outbox = new ContactOutbox({ submission: this.submission });
+
+        this.outboxStatus = document.createElement('div');
+        this.outboxStatus.className = 'contact-outbox';
+        this.outboxStatus.setAttribute('role', 'status');
+        this.outboxStatus.setAttribute('aria-live', 'polite');
+        this.outboxStatus.hidden = true;
+        this.form.appendChild(this.outboxStatus);
+
+        this.outboxStatus.addEventListener('click', (e) => {
+            if (e.target.closest('.contact-outbox__retry')) {
+                this.outbox.flush({ force: true }).catch(error => console.warn('Falha ao reenviar:', error));
+            }
+        });
+
+        window.addEventListener('contact-outbox:change', (e) => this.updateOutboxStatus(e.detail));
+        this.outbox.start();
+
+        this.setupQueuedMode();
+    }
+
+    /**
+     * Modo fila: sem conexão, o formulário avisa que a mensagem será guardada e enviada depois
+     */
+    setupQueuedMode() {
+        this.queuedNotice = document.createElement('p');
+        this.queuedNotice.className = 'contact-outbox contact-outbox--queued';
+        this.queuedNotice.setAttribute('role', 'status');
+        this.queuedNotice.dataset.i18n = 'contact.queued';
+        this.queuedNotice.textContent = contactText('contact.queued', 'Você está offline. Sua mensagem será guardada e enviada automaticamente quando a conexão voltar.');
+        this.form.insertBefore(this.queuedNotice, this.outboxStatus);
+
+        const update = () => this.updateQueuedMode();
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        // Emitido por PerformanceOptimizer.handleNetworkChange()
+        window.addEventListener('network:change', update);
+
+        this.updateQueuedMode();
+    }
+
+    updateQueuedMode() {
+        const queued = !navigator.onLine;
+
+        this.form.classList.toggle('contact-form--queued', queued);
+        this.form.dataset.mode = queued ? 'queued' : 'online';
+        this.queuedNotice.hidden = !queued;
+    }
+
+    /**
+     * Atualizar aviso de mensagens pendentes
+     */
+    updateOutboxStatus({ pending = 0, sent = [], failed = [] }) {
+        if (sent.length > 0) {
+            this.showNotification(contactText('contact.outbox.sent', sent.length === 1
+                ? 'Sua mensagem pendente foi enviada com sucesso!'
+                : `${sent.length} mensagens pendentes foram enviadas com sucesso!`, { count: sent.length }), 'success');
+        }
+
+        failed.forEach(item => {
+            this.showNotification(item.endpointMissing
+                ? contactText('contact.outbox.unavailable', 'Não foi possível enviar a mensagem pendente pelo site. Envie por e-mail ou WhatsApp.')
+                : contactText('contact.outbox.failed', `Não foi possível enviar a mensagem pendente: ${item.message}`, { message: item.message }), 'error');
+        });
+
+        if (pending === 0) {
+            this.outboxStatus.hidden = true;
+            this.outboxStatus.innerHTML = '';
+            return;
+        }
+
+        const text = pending === 1
+            ? '1 mensagem pendente. Ela será enviada automaticamente quando a conexão voltar.'
+            : `${pending} mensagens pendentes. Elas serão enviadas automaticamente quando a conexão voltar.`;
+
+        // data-i18n: a troca de idioma refaz os textos (translatePage)
+        this.outboxStatus.hidden = false;
+        this.outboxStatus.innerHTML = `
+            <span class="contact-outbox__text" data-i18n="contact.outbox.pending" data-i18n-params='{"count":${pending}}'>${contactText('contact.outbox.pending', text, { count: pending })}</span>
+            <button type="button" class="contact-outbox__retry" data-i18n="contact.outbox.retry">${contactText('contact.outbox.retry', 'Tentar agora')}</button>
+        `;
+    }
+
+    /**
+     * Guardar mensagem na fila offline
+     */
+    async queueMessage(data) {
+        try {
+            const { entry, duplicate } = await this.outbox.enqueue(data, { csrfToken: this.csrfToken });
+
+            if (duplicate && entry.status === 'sent') {
+                this.showNotification(contactText('contact.outbox.duplicate', 'Esta mensagem já foi enviada.'), 'info');
+            } else {
+                this.showNotification(contactText('contact.outbox.queued', 'Sem conexão no momento. Sua mensagem ficou pendente e será enviada automaticamente.'), 'warning');
+            }
+
+            this.form.reset();
+            this.clearAllErrors();
+            this.updateSubmitButton();
+            return true;
+        } catch (error) {
+            console.warn('Falha ao guardar mensagem na fila:', error);
+            return false;
+        }
+    }
+
     /**
      * Manipular submissão do formulário
      */
@@ -340,18 +429,37 @@ class ContactManager {
         this.isSubmitting = true;
         this.setFormState('loading');
 
+        const formData = this.getFormData();
+
         try {
-            const formData = this.getFormData();
+            if (!await this.validateAsync(formData)) {
+                this.showNotification('Por favor, corrija os erros no formulário.', 'error');
+                return;
+            }
+
+            // Sem conexão: guardar direto na fila
+            if (this.outbox && !navigator.onLine) {
+                if (!await this.queueMessage(formData)) {
+                    this.showError('Sem conexão. Tente novamente quando estiver online.');
+                }
+                return;
+            }
+
             const response = await this.submitForm(formData);
 
             if (response.success) {
-                this.showSuccess();
+                this.showSuccess(response);
             } else {
                 throw new Error(response.message || 'Erro ao enviar mensagem');
             }
         } catch (error) {
             console.error('Erro no formulário:', error);
-            this.showError(error.message);
+
+            // Falhas de rede ficam na fila; dados rejeitados pelo servidor não
+            const queued = this.outbox && error.recoverable !== false && await this.queueMessage(formData);
+            if (!queued) {
+                this.showError(error.message);
+            }
         } finally {
             this.isSubmitting = false;
             this.setFormState('idle');
@@ -376,20 +484,38 @@ class ContactManager {
      * Enviar formulário
      */
     async submitForm(data) {
-        // Simulação de envio - substitua pela implementação real
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                // Simular sucesso (90% das vezes)
-                if (Math.random() > 0.1) {
-                    resolve({
-                        success: true,
-                        message: 'Mensagem enviada com sucesso!'
-                    });
-                } else {
-                    reject(new Error('Erro no servidor. Tente novamente.'));
-                }
-            }, 2000);
-        });
+        if (!window.ContactSubmission) {
+            throw new Error('Serviço de envio indisponível. Tente novamente mais tarde.');
+        }
+
+        this.submission = this.submission || new ContactSubmission();
+
+        if (!this.outbox) {
+            return this.submission.submit(data, { csrfToken: this.csrfToken });
+        }
+
+        // Com fila offline, falhas de rede vão para a fila em vez de abrir o e-mail
+        const submissionId = ContactOutbox.getMessageId(data);
+        let response;
+
+        try {
+            response = await this.submission.submit(data, {
+                transports: this.submission.getNetworkTransports(),
+                csrfToken: this.csrfToken,
+                submissionId
+            });
+        } catch (error) {
+            // Sem endpoint (404/405, ex.: site estático sem /api/contact) a fila tentaria para sempre: seguir para e-mail/WhatsApp
+            if (!error.endpointMissing) throw error;
+
+            return this.submission.submit(data, {
+                transports: this.submission.getHandoffTransports(),
+                csrfToken: this.csrfToken
+            });
+        }
+
+        await this.outbox.markSent(submissionId).catch(() => {});
+        return response;
     }
 
     /**
@@ -419,7 +545,13 @@ class ContactManager {
     /**
      * Mostrar sucesso
      */
-    showSuccess() {
+    showSuccess(response = {}) {
+        // E-mail/WhatsApp: o envio ainda depende do usuário, manter os dados no formulário
+        if (response.handoff) {
+            this.showNotification(response.message, 'info');
+            return;
+        }
+
         this.showNotification('Mensagem enviada com sucesso! Retornaremos em breve.', 'success');
         this.form.reset();
         this.clearAllErrors();
@@ -482,50 +614,6 @@ class ContactManager {
     }
 }
 
-/**
- * Rate Limiter para formulários
- */
-class RateLimiter {
-    constructor() {
-        this.attempts = new Map();
-        this.maxAttempts = 3;
-        this.timeWindow = 60 * 60 * 1000; // 1 hora
-    }
-
-    canProceed(identifier) {
-        const now = Date.now();
-        const userAttempts = this.attempts.get(identifier) || [];
-
-        // Limpar tentativas antigas
-        const recentAttempts = userAttempts.filter(attempt => now - attempt < this.timeWindow);
-
-        if (recentAttempts.length >= this.maxAttempts) {
-            return false;
-        }
-
-        // Registrar nova tentativa
-        recentAttempts.push(now);
-        this.attempts.set(identifier, recentAttempts);
-
-        return true;
-    }
-
-    getRemainingTime(identifier) {
-        const userAttempts = this.attempts.get(identifier) || [];
-        if (userAttempts.length === 0) return 0;
-
-        const lastAttempt = Math.max(...userAttempts);
-        const now = Date.now();
-        const timeSinceLastAttempt = now - lastAttempt;
-
-        if (timeSinceLastAttempt < this.timeWindow) {
-            return this.timeWindow - timeSinceLastAttempt;
-        }
-
-        return 0;
-    }
-}
-
 // Inicialização
 document.addEventListener('DOMContentLoaded', () => {
     window.contactManager = new ContactManager();
@@ -533,4 +621,3 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Exportar para uso global
 window.ContactManager = ContactManager;
-window.RateLimiter = RateLimiter;
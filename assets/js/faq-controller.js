@@ -13,6 +13,21 @@ class FAQController {
         this.setupEventListeners();
         this.setupKeyboardNavigation();
         this.setupAnimations();
+        this.setupLanguageRefresh();
+    }
+
+    setupLanguageRefresh() {
+        // Textos traduzidos mudam a altura das respostas abertas
+        window.addEventListener('i18n:change', () => {
+            this.faqItems.forEach(item => {
+                const question = item.querySelector('.faq__question');
+                const answer = item.querySelector('.faq__answer');
+
+                if (question.getAttribute('aria-expanded') === 'true') {
+                    answer.style.maxHeight = answer.scrollHeight + 'px';
+                }
+            });
+        });
     }
 
     setupEventListeners() {
@@ -9,8 +9,8 @@ class FormValidator {
     constructor(formElement) {
         this.form = formElement;
         this.csrfToken = this.generateCSRFToken();
-        this.rateLimiter = new RateLimiter();
-        this.inputValidator = new InputValidator();
+        this.rateLimiter = RateLimiter.shared('form');
+        this.validator = new ValidationEngine(ValidationEngine.schemas.contact);
         this.init();
     }
 
@@ -75,64 +75,16 @@ class FormValidator {
      * VALIDAÇÃO INDIVIDUAL DE CAMPO
      */
     validateField(field, showErrors = false) {
-        const value = field.value.trim();
-        const fieldName = field.name;
-        let isValid = true;
-        let errorMessage = '';
-
-        // Sanitização primeiro
-        field.value = this.inputValidator.sanitize(value);
-
-        // Validações específicas por campo
-        switch (fieldName) {
-            case 'nome':
-                if (!value) {
-                    isValid = false;
-                    errorMessage = 'Nome é obrigatório';
-                } else if (value.length < 2) {
-                    isValid = false;
-                    errorMessage = 'Nome deve ter pelo menos 2 caracteres';
-                } else if (!this.inputValidator.validateName(value)) {
-                    isValid = false;
-                    errorMessage = 'Nome contém caracteres inválidos';
-                }
-                break;
-
-            case 'email':
-                if (!value) {
-                    isValid = false;
-                    errorMessage = 'E-mail é obrigatório';
-                } else if (!this.inputValidator.validateEmail(value)) {
-                    isValid = false;
-                    errorMessage = 'E-mail inválido';
-                }
-                break;
-
-            case 'telefone':
-                if (value && !this.inputValidator.validatePhone(value)) {
-                    isValid = false;
-                    errorMessage = 'Telefone inválido';
-                }
-                break;
-
-            case 'mensagem':
-                if (!value) {
-                    isValid = false;
-                    errorMessage = 'Mensagem é obrigatória';
-                } else if (value.length < 10) {
-                    isValid = false;
-                    errorMessage = 'Mensagem deve ter pelo menos 10 caracteres';
-                } else if (!this.inputValidator.validateMessage(value)) {
-                    isValid = false;
-                    errorMessage = 'Mensagem contém caracteres inválidos';
-                }
-                break;
-        }
+        // Sanitização primeiro (sem remover espaços durante a digitação)
+        this.sanitizeField(field);
+
+        const value = field.type === 'checkbox' ? field.checked : field.value.trim();
+        const { valid, message } = this.validator.validateField(field.name, value);
 
         // Atualizar estado visual do campo
-        this.updateFieldState(field, isValid, showErrors ? errorMessage : '');
+        this.updateFieldState(field, valid, showErrors ? message : '');
 
-        return isValid;
+        return valid;
     }
 
     /**
@@ -167,8 +119,10 @@ class FormValidator {
      * SANITIZAÇÃO DE CAMPO
      */
     sanitizeField(field) {
-        const sanitized = this.inputValidator.sanitize(field.value);
-        field.value = sanitized;
+        const sanitized = this.validator.sanitize(field.value, { trim: false });
+        if (sanitized !== field.value) {
+            field.value = sanitized;
+        }
     }
 
     /**
@@ -178,24 +132,14 @@ class FormValidator {
         // Monitorar tentativas de injeção
         this.form.addEventListener('submit', (e) => {
             const formData = new FormData(this.form);
-            const suspiciousPatterns = [
-                /<script/i,
-                /javascript:/i,
-                /on\w+\s*=/i,
-                /<iframe/i,
-                /<object/i,
-                /<embed/i
-            ];
-
-            for (const [key, value] of formData.entries()) {
-                const stringValue = String(value);
-                if (suspiciousPatterns.some(pattern => pattern.test(stringValue))) {
-                    console.warn(`Tentativa de injeção detectada no campo ${key}`);
-                    this.logSecurityEvent('injection_attempt', { field: key, value: stringValue });
-                    e.preventDefault();
-                    this.showSecurityAlert();
-                    return false;
-                }
+            const key = this.validator.detectInjection(formData);
+
+            if (key) {
+                console.warn(`Tentativa de injeção detectada no campo ${key}`);
+                this.logSecurityEvent('injection_attempt', { field: key, value: String(formData.get(key)) });
+                e.preventDefault();
+                this.showSecurityAlert();
+                return false;
             }
         });
     }
@@ -261,16 +205,23 @@ class FormValidator {
         this.setLoadingState(true);
 
         try {
-            // Preparar dados sanitizados
+            // Preparar dados sanitizados (validadores assíncronos rodam só no envio)
             const formData = new FormData(this.form);
-            const sanitizedData = this.inputValidator.validateFormData(formData);
+            const { valid, values } = await this.validator.validateAsync(formData, {
+                fields: Array.from(formData.keys())
+            });
 
-            if (!sanitizedData) {
+            if (!valid) {
                 throw new Error('Dados do formulário inválidos');
             }
 
-            // Enviar formulário (simulado por enquanto)
-            await this.submitForm(sanitizedData);
+            const response = await this.submitForm(values);
+
+            // E-mail/WhatsApp: o envio ainda depende do usuário, manter os dados no formulário
+            if (response.handoff) {
+                this.showNotification(response.message, 'info');
+                return;
+            }
 
             // Sucesso
             this.showSuccessMessage();
@@ -289,17 +240,12 @@ class FormValidator {
      * ENVIO DO FORMULÁRIO
      */
     async submitForm(data) {
-        // Simulação de envio - substitua pela integração real
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                // Simular sucesso (90% das vezes)
-                if (Math.random() > 0.1) {
-                    resolve({ success: true });
-                } else {
-                    reject(new Error('Erro no servidor'));
-                }
-            }, 2000);
-        });
+        if (!window.ContactSubmission) {
+            throw new Error('Serviço de envio indisponível. Tente novamente mais tarde.');
+        }
+
+        this.submission = this.submission || new ContactSubmission();
+        return this.submission.submit(data);
     }
 
     /**
@@ -385,138 +331,6 @@ class FormValidator {
     }
 }
 
-/**
- * RATE LIMITER PARA FORMULÁRIOS
- */
-class RateLimiter {
-    constructor() {
-        this.attempts = new Map();
-        this.maxAttempts = 3; // 3 tentativas por hora para formulários
-        this.timeWindow = 60 * 60 * 1000; // 1 hora
-    }
-
-    canProceed(identifier) {
-        const now = Date.now();
-        const userAttempts = this.attempts.get(identifier) || [];
-
-        // Limpar tentativas antigas
-        const recentAttempts = userAttempts.filter(attempt => now - attempt < this.timeWindow);
-
-        if (recentAttempts.length >= this.maxAttempts) {
-            return false;
-        }
-
-        // Registrar nova tentativa
-        recentAttempts.push(now);
-        this.attempts.set(identifier, recentAttempts);
-
-        return true;
-    }
-
-    getRemainingTime(identifier) {
-        const userAttempts = this.attempts.get(identifier) || [];
-        if (userAttempts.length === 0) return 0;
-
-        const lastAttempt = Math.max(...userAttempts);
-        const now = Date.now();
-        const timeSinceLastAttempt = now - lastAttempt;
-
-        if (timeSinceLastAttempt < this.timeWindow) {
-            return this.timeWindow - timeSinceLastAttempt;
-        }
-
-        return 0;
-    }
-}
-
-/**
- * VALIDADOR DE ENTRADAS AVANÇADO
- */
-class InputValidator {
-    constructor() {
-        this.patterns = {
-            email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
-            phone: /^\+?[\d\s\-\(\)]{10,}$/,
-            name: /^[a-zA-ZÀ-ÿ\s]{2,50}$/,
-            message: /^[\w\sÀ-ÿ.,!?\-\n]{10,1000}$/
-        };
-    }
-
-    sanitize(input) {
-        if (typeof input !== 'string') return '';
-
-        return input
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/javascript:/gi, '')
-            .replace(/on\w+\s*=/gi, '')
-            .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')
-            .replace(/<object\b[^<]*(?:(?!<\/object>)<[^<]*)*<\/object>/gi, '')
-            .replace(/<embed\b[^<]*(?:(?!<\/embed>)<[^<]*)*<\/embed>/gi, '')
-            .replace(/<form\b[^<]*(?:(?!<\/form>)<[^<]*)*<\/form>/gi, '')
-            .replace(/<input\b[^<]*(?:(?!<\/input>)<[^<]*)*\/?>/gi, '')
-            .replace(/<meta\b[^<]*(?:(?!<\/meta>)<[^<]*)*\/?>/gi, '')
-            .trim();
-    }
-
-    validateEmail(email) {
-        const sanitized = this.sanitize(email);
-        return this.patterns.email.test(sanitized) ? sanitized : false;
-    }
-
-    validatePhone(phone) {
-        const sanitized = this.sanitize(phone);
-        return this.patterns.phone.test(sanitized) ? sanitized : false;
-    }
-
-    validateName(name) {
-        const sanitized = this.sanitize(name);
-        return this.patterns.name.test(sanitized) ? sanitized : false;
-    }
-
-    validateMessage(message) {
-        const sanitized = this.sanitize(message);
-        return this.patterns.message.test(sanitized) ? sanitized : false;
-    }
-
-    validateFormData(formData) {
-        const validated = {};
-        let isValid = true;
-
-        for (const [key, value] of formData.entries()) {
-            const stringValue = String(value);
-            switch (key) {
-                case 'nome':
-                    validated[key] = this.validateName(stringValue);
-                    break;
-                case 'email':
-                    validated[key] = this.validateEmail(stringValue);
-                    break;
-                case 'telefone':
-                    validated[key] = this.validatePhone(stringValue) || '';
-                    break;
-                case 'mensagem':
-                    validated[key] = this.validateMessage(stringValue);
-                    break;
-                case 'tipo-projeto':
-                    validated[key] = this.sanitize(stringValue);
-                    break;
-                case 'csrf_token':
-                    validated[key] = stringValue; // Não sanitizar token CSRF
-                    break;
-                default:
-                    validated[key] = this.sanitize(stringValue);
-            }
-
-            if (key !== 'telefone' && key !== 'csrf_token' && !validated[key]) {
-                isValid = false;
-                console.warn(`Campo ${key} contém dados inválidos`);
-            }
-        }
-
-        return isValid ? validated : false;
-    }
-}
-
 // Inicializar validação quando DOM estiver pronto
 document.addEventListener('DOMContentLoaded', () => {
     const contactForm = document.getElementById('contact-form');
@@ -527,5 +341,3 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Exportar para uso global
 window.FormValidator = FormValidator;
-window.InputValidator = InputValidator;
-window.RateLimiter = RateLimiter;
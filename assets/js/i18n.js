@@ -0,0 +1,363 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - INTERNACIONALIZAÇÃO
+ * Catálogos de mensagens (pt-BR, en, es), ligação com data-i18n, plurais e formatação via Intl
+ */
+
+'use strict';
+
+const I18N_CONFIG = {
+    locales: ['pt-BR', 'en', 'es'],
+    defaultLocale: 'pt-BR',
+    catalogPath: './assets/i18n/{locale}.json',
+    currency: 'BRL',
+    // Valores usados por og:locale
+    ogLocales: { 'pt-BR': 'pt_BR', en: 'en_US', es: 'es_ES' }
+};
+
+/**
+ * Idioma suportado mais próximo do informado (ou null)
+ */
+function matchLocale(locale, locales = I18N_CONFIG.locales) {
+    if (!locale) return null;
+
+    const requested = String(locale).toLowerCase();
+    const exact = locales.find(item => item.toLowerCase() === requested);
+    if (exact) return exact;
+
+    const language = requested.split('-')[0];
+    return locales.find(item => item.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+ * Mesclar tradução sobre o registro original
+ * (listas de objetos são mescladas por posição; textos e listas de textos são substituídos)
+ */
+function mergeTranslation(base, translation) {
+    if (Array.isArray(base) && Array.isArray(translation)) {
+        if (!base.every(item => item && typeof item === 'object')) {
+            return translation.slice();
+        }
+        return base.map((item, index) => mergeTranslation(item, translation[index]));
+    }
+
+    if (base && translation && typeof base === 'object' && typeof translation === 'object') {
+        const merged = { ...base };
+        Object.keys(translation).forEach(key => {
+            merged[key] = mergeTranslation(base[key], translation[key]);
+        });
+        return merged;
+    }
+
+    return translation === undefined ? base : translation;
+}
+
+/**
+ * Gerenciador de idiomas
+ */
+class I18nManager {
+    constructor(config = {}) {
+        this.config = { ...I18N_CONFIG, ...config };
+        this.locale = matchLocale(document.documentElement.lang) || this.config.defaultLocale;
+        // Raiz do site nas páginas por idioma (<base href="../"> em en/index.html, gerado por scripts/generate-project-pages.js)
+        this.baseUrl = document.baseURI;
+        this.catalogs = new Map();
+        this.loading = new Map();
+        this.originals = new WeakMap();
+        this.pluralRules = new Map();
+    }
+
+    async init() {
+        await this.setLocale(this.detectLocale(), { force: true, detected: true });
+        console.log(`🌍 I18n initialized (${this.locale})`);
+    }
+
+    /**
+     * Idioma inicial: prefixo da URL, escolha salva e, na primeira visita, idiomas do navegador
+     */
+    detectLocale() {
+        const fromUrl = this.getLocaleFromUrl();
+        if (fromUrl) return fromUrl;
+
+        const stateManager = window.stateManager;
+        if (stateManager?.isPersisted('language')) {
+            const saved = matchLocale(stateManager.get('language'), this.config.locales);
+            if (saved) return saved;
+        }
+
+        const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+        for (const language of preferred) {
+            const match = matchLocale(language, this.config.locales);
+            if (match) return match;
+        }
+
+        return this.config.defaultLocale;
+    }
+
+    /**
+     * Idioma indicado pelo prefixo do caminho (/en/, /es/) ou null
+     */
+    getLocaleFromUrl(url = window.location.href) {
+        const segment = new URL(url, window.location.origin).pathname.split('/')[1];
+        const locale = matchLocale(segment, this.config.locales);
+
+        return locale && !this.isDefaultLocale(locale) && segment.toLowerCase() === locale.toLowerCase()
+            ? locale
+            : null;
+    }
+
+    /**
+     * Carregar catálogo sob demanda (uma requisição por idioma)
+     */
+    loadCatalog(locale) {
+        if (this.catalogs.has(locale)) {
+            return Promise.resolve(this.catalogs.get(locale));
+        }
+
+        if (!this.loading.has(locale)) {
+            const url = new URL(this.config.catalogPath.replace('{locale}', locale), this.baseUrl).href;
+            const request = fetch(url, { headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    return response.json();
+                })
+                .then(catalog => {
+                    this.catalogs.set(locale, catalog);
+                    return catalog;
+                })
+                .catch(error => {
+                    console.warn(`Falha ao carregar catálogo ${locale}:`, error);
+                    return null;
+                })
+                .finally(() => this.loading.delete(locale));
+
+            this.loading.set(locale, request);
+        }
+
+        return this.loading.get(locale);
+    }
+
+    /**
+     * Trocar idioma: carrega o catálogo, traduz a página e avisa os módulos
+     * detected: idioma inicial (detectLocale), não escolhido pelo visitante
+     */
+    async setLocale(locale, { force = false, detected = false } = {}) {
+        const next = matchLocale(locale, this.config.locales) || this.config.defaultLocale;
+        const previous = this.locale;
+
+        if (next === previous && !force) return next;
+
+        // Idioma padrão também é carregado: textos sem tradução caem nele
+        await Promise.all([this.loadCatalog(next), this.loadCatalog(this.config.defaultLocale)]);
+
+        this.locale = next;
+        document.documentElement.setAttribute('lang', next);
+        this.translatePage();
+
+        window.dispatchEvent(new CustomEvent('i18n:change', {
+            detail: { locale: next, previous, detected }
+        }));
+
+        return next;
+    }
+
+    getLocale() {
+        return this.locale;
+    }
+
+    getSupportedLocales() {
+        return [...this.config.locales];
+    }
+
+    isDefaultLocale(locale = this.locale) {
+        return locale === this.config.defaultLocale;
+    }
+
+    /**
+     * Buscar mensagem por chave ("secao.chave") no catálogo do idioma atual ou no padrão
+     */
+    lookup(key, locale = this.locale) {
+        const find = (catalog) => key.split('.').reduce((value, part) => value?.[part], catalog);
+
+        const value = find(this.catalogs.get(locale));
+        return value !== undefined ? value : find(this.catalogs.get(this.config.defaultLocale));
+    }
+
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    /**
+     * Traduzir chave com interpolação ({nome}) e plural (params.count)
+     */
+    t(key, params = {}) {
+        let message = this.lookup(key);
+
+        if (message && typeof message === 'object' && !Array.isArray(message)) {
+            message = this.selectPlural(message, params.count);
+        }
+
+        if (typeof message !== 'string') {
+            return params.defaultValue !== undefined ? params.defaultValue : key;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (params[name] === undefined) return match;
+            return typeof params[name] === 'number' ? this.formatNumber(params[name]) : String(params[name]);
+        });
+    }
+
+    /**
+     * Escolher forma plural (zero, one, few, many, other) conforme Intl.PluralRules
+     */
+    selectPlural(forms, count = 0) {
+        if (count === 0 && forms.zero !== undefined) {
+            return forms.zero;
+        }
+
+        if (!this.pluralRules.has(this.locale)) {
+            this.pluralRules.set(this.locale, new Intl.PluralRules(this.locale));
+        }
+
+        const category = this.pluralRules.get(this.locale).select(count);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    /**
+     * FORMATAÇÃO
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    formatCurrency(value, currency = this.config.currency, options = {}) {
+        return this.formatNumber(value, { style: 'currency', currency, ...options });
+    }
+
+    formatDate(value, options = { dateStyle: 'long' }) {
+        const date = value instanceof Date ? value : new Date(value);
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    }
+
+    formatList(values, options = { type: 'conjunction' }) {
+        return typeof Intl.ListFormat === 'function'
+            ? new Intl.ListFormat(this.locale, options).format(values)
+            : values.join(', ');
+    }
+
+    /**
+     * Registro de dados com o bloco `translations` do idioma atual aplicado
+     */
+    localize(record, locale = this.locale) {
+        if (!record || typeof record !== 'object') return record;
+
+        const { translations, ...base } = record;
+        const translation = translations?.[locale];
+
+        return translation ? mergeTranslation(base, translation) : base;
+    }
+
+    /**
+     * URL do mesmo conteúdo em outro idioma (/en/..., /es/...; padrão sem prefixo)
+     * A página inicial e as de projeto existem em cada prefixo (scripts/generate-project-pages.js)
+     */
+    getLocalizedUrl(locale, url = window.location.href) {
+        const target = new URL(url, window.location.origin);
+        const prefixes = this.config.locales
+            .filter(item => item !== this.config.defaultLocale)
+            .map(item => item.toLowerCase());
+        const segments = target.pathname.split('/');
+
+        if (prefixes.includes(segments[1]?.toLowerCase())) {
+            segments.splice(1, 1);
+        }
+
+        const matched = matchLocale(locale, this.config.locales) || this.config.defaultLocale;
+        if (matched !== this.config.defaultLocale) {
+            segments.splice(1, 0, matched.toLowerCase());
+        }
+
+        target.pathname = segments.join('/') || '/';
+        return target.href;
+    }
+
+    /**
+     * Caminho relativo à raiz do site no idioma (projetos/x/ → en/projetos/x/; padrão sem prefixo)
+     * Nas páginas por idioma a raiz é a base do documento (<base href="../">)
+     */
+    getLocalizedPath(path, locale = this.locale) {
+        return this.isDefaultLocale(locale) ? path : `${locale.toLowerCase()}/${path}`;
+    }
+
+    /**
+     * LIGAÇÃO COM O DOM
+     * data-i18n="chave"              texto do elemento
+     * data-i18n-html="chave"         HTML do elemento (apenas catálogos do próprio site)
+     * data-i18n-attr="attr:chave;…"  atributos (placeholder, aria-label, alt, data-*)
+     * data-i18n-params='{"count":3}' parâmetros de interpolação
+     */
+    translatePage(root = document) {
+        const selector = '[data-i18n], [data-i18n-html], [data-i18n-attr]';
+        const elements = root.querySelectorAll(selector);
+
+        if (root !== document && root.matches?.(selector)) {
+            this.translateElement(root);
+        }
+
+        elements.forEach(element => this.translateElement(element));
+    }
+
+    translateElement(element) {
+        let params = {};
+
+        if (element.dataset.i18nParams) {
+            try {
+                params = JSON.parse(element.dataset.i18nParams);
+            } catch (error) {
+                console.warn('data-i18n-params inválido:', element, error);
+            }
+        }
+
+        // Conteúdo original do HTML serve de fallback quando a chave não existe
+        if (!this.originals.has(element)) {
+            this.originals.set(element, {
+                text: element.textContent,
+                html: element.innerHTML,
+                attrs: {}
+            });
+        }
+        const original = this.originals.get(element);
+
+        if (element.dataset.i18n) {
+            element.textContent = this.t(element.dataset.i18n, { defaultValue: original.text, ...params });
+        } else if (element.dataset.i18nHtml) {
+            element.innerHTML = this.t(element.dataset.i18nHtml, { defaultValue: original.html, ...params });
+        }
+
+        if (element.dataset.i18nAttr) {
+            element.dataset.i18nAttr.split(';').forEach(binding => {
+                const [attribute, key] = binding.split(':').map(part => part.trim());
+                if (!attribute || !key) return;
+
+                if (!(attribute in original.attrs)) {
+                    original.attrs[attribute] = element.getAttribute(attribute) || '';
+                }
+
+                element.setAttribute(attribute, this.t(key, { defaultValue: original.attrs[attribute], ...params }));
+            });
+        }
+    }
+}
+
+I18nManager.CONFIG = I18N_CONFIG;
+I18nManager.matchLocale = matchLocale;
+
+// Inicialização
+document.addEventListener('DOMContentLoaded', () => {
+    window.i18n = new I18nManager();
+    window.i18n.init();
+});
+
+// Exportar para uso global
+window.I18nManager = I18nManager;
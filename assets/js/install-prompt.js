@@ -0,0 +1,220 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - INSTALAÇÃO DO APP
+ * Convite para instalar o site (beforeinstallprompt) via NotificationManager ou faixa de avisos, botão [data-install-app] e modo standalone
+ */
+
+'use strict';
+
+const INSTALL_PROMPT_CONFIG = {
+    // Nome no PreferenceStore
+    storageKey: 'install-prompt',
+    // Convite só a partir desta visita (clientes que voltam ao portfólio)
+    minVisits: 2,
+    // Espera na página antes do convite
+    delay: 15000,
+    // "Agora não" adia o próximo convite
+    snoozeDays: 30,
+    sessionKey: 'rafael-munaro:install-prompt-visit'
+};
+
+/**
+ * Texto do catálogo de idiomas (ou o texto em português quando o i18n não carregou)
+ */
+function installText(key, defaultValue, params = {}) {
+    return window.i18n ? window.i18n.t(key, { ...params, defaultValue }) : defaultValue;
+}
+
+/**
+ * Convite de instalação
+ * O navegador dispara beforeinstallprompt quando o site é instalável (manifest.webmanifest + sw.js);
+ * o evento fica guardado até o convite da notificação ou o clique no botão do rodapé.
+ */
+class InstallPrompt {
+    constructor(config = {}) {
+        this.config = { ...INSTALL_PROMPT_CONFIG, ...config };
+        this.storage = window.preferenceStore || null;
+        this.deferredPrompt = null;
+        this.offerTimer = null;
+        this.buttons = [];
+        this.standaloneQuery = window.matchMedia ? window.matchMedia('(display-mode: standalone)') : null;
+
+        this.handleBeforeInstallPrompt = this.handleBeforeInstallPrompt.bind(this);
+        this.handleInstalled = this.handleInstalled.bind(this);
+        this.updateStandalone = this.updateStandalone.bind(this);
+        this.install = this.install.bind(this);
+
+        this.registerPersistence();
+        this.updateStandalone();
+
+        // Registrado já na carga do script: o evento pode chegar antes do DOMContentLoaded
+        window.addEventListener('beforeinstallprompt', this.handleBeforeInstallPrompt);
+        window.addEventListener('appinstalled', this.handleInstalled);
+        this.standaloneQuery?.addEventListener('change', this.updateStandalone);
+    }
+
+    init(root = document) {
+        this.buttons = Array.from(root.querySelectorAll('[data-install-app]'));
+        this.buttons.forEach(button => button.addEventListener('click', this.install));
+
+        this.countVisit();
+        this.updateButtons();
+    }
+
+    registerPersistence() {
+        this.storage?.register(this.config.storageKey, {
+            version: 1,
+            defaults: { visits: 0, snoozedUntil: 0, installed: false }
+        });
+    }
+
+    getState() {
+        return { visits: 0, snoozedUntil: 0, installed: false, ...this.storage?.read(this.config.storageKey) };
+    }
+
+    setState(changes) {
+        this.storage?.write(this.config.storageKey, { ...this.getState(), ...changes });
+    }
+
+    /**
+     * Uma visita por sessão do navegador
+     */
+    countVisit() {
+        try {
+            if (sessionStorage.getItem(this.config.sessionKey)) return;
+            sessionStorage.setItem(this.config.sessionKey, '1');
+        } catch (error) {
+            // Sem sessionStorage: contar a carga da página
+        }
+
+        this.setState({ visits: this.getState().visits + 1 });
+    }
+
+    /**
+     * Aberto como app instalado (Android/desktop pelo display-mode; iOS por navigator.standalone)
+     */
+    isStandalone() {
+        return Boolean(this.standaloneQuery?.matches || window.navigator.standalone);
+    }
+
+    updateStandalone() {
+        const standalone = this.isStandalone();
+        document.documentElement.classList.toggle('is-standalone', standalone);
+
+        if (standalone && !this.getState().installed) {
+            this.setState({ installed: true });
+        }
+
+        this.updateButtons();
+    }
+
+    shouldOffer() {
+        const { visits, snoozedUntil, installed } = this.getState();
+
+        return Boolean(this.deferredPrompt) &&
+            !installed &&
+            !this.isStandalone() &&
+            visits >= this.config.minVisits &&
+            Date.now() >= snoozedUntil;
+    }
+
+    handleBeforeInstallPrompt(event) {
+        // Sem a mini barra automática: o convite sai pela notificação do site
+        event.preventDefault();
+        this.deferredPrompt = event;
+        this.updateButtons();
+
+        clearTimeout(this.offerTimer);
+        this.offerTimer = setTimeout(() => {
+            if (this.shouldOffer()) this.offer();
+        }, this.config.delay);
+    }
+
+    /**
+     * Convite pelo NotificationManager ou, nas páginas sem ele, pela faixa de avisos (notice-banner.js)
+     */
+    offer() {
+        const notifications = window.app?.notifications || window.noticeBanner;
+        if (!notifications) return;
+
+        notifications.show({
+            title: installText('install.title', 'Instale o app'),
+            message: installText('install.message', 'Acompanhe seu projeto e o portfólio direto da tela inicial, mesmo sem conexão.'),
+            type: 'info',
+            duration: false,
+            actions: [
+                { text: installText('install.accept', 'Instalar'), action: this.install },
+                { text: installText('install.later', 'Agora não'), action: () => this.snooze() }
+            ],
+            onClose: () => this.snooze()
+        });
+    }
+
+    snooze() {
+        this.setState({ snoozedUntil: Date.now() + this.config.snoozeDays * 24 * 60 * 60 * 1000 });
+    }
+
+    /**
+     * Abrir o diálogo de instalação do navegador (o evento só pode ser usado uma vez)
+     */
+    async install() {
+        const prompt = this.deferredPrompt;
+        if (!prompt) return false;
+
+        this.deferredPrompt = null;
+        this.updateButtons();
+
+        try {
+            prompt.prompt();
+            const { outcome } = await prompt.userChoice;
+
+            if (outcome !== 'accepted') {
+                this.snooze();
+            }
+
+            return outcome === 'accepted';
+        } catch (error) {
+            console.warn('Falha ao abrir o convite de instalação:', error);
+            return false;
+        }
+    }
+
+    handleInstalled() {
+        this.deferredPrompt = null;
+        clearTimeout(this.offerTimer);
+        this.setState({ installed: true });
+        this.updateButtons();
+
+        (window.app?.notifications || window.noticeBanner)?.show({
+            message: installText('install.installed', 'App instalado. Você pode abrir o portfólio pela tela inicial.'),
+            type: 'success',
+            duration: 4000
+        });
+    }
+
+    updateButtons() {
+        const available = Boolean(this.deferredPrompt) && !this.isStandalone();
+        this.buttons.forEach(button => {
+            button.hidden = !available;
+        });
+    }
+
+    destroy() {
+        clearTimeout(this.offerTimer);
+        window.removeEventListener('beforeinstallprompt', this.handleBeforeInstallPrompt);
+        window.removeEventListener('appinstalled', this.handleInstalled);
+        this.standaloneQuery?.removeEventListener('change', this.updateStandalone);
+        this.buttons.forEach(button => button.removeEventListener('click', this.install));
+    }
+}
+
+InstallPrompt.CONFIG = INSTALL_PROMPT_CONFIG;
+
+window.installPrompt = new InstallPrompt();
+
+// Inicialização
+document.addEventListener('DOMContentLoaded', () => {
+    window.installPrompt.init();
+});
+
+// Exportar para uso global
+window.InstallPrompt = InstallPrompt;
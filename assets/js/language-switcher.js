@@ -0,0 +1,117 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - SELETOR DE IDIOMA
+ * Botões de idioma do menu (desktop e mobile), escolha salva no StateManager e página do idioma (/en/, /es/)
+ */
+
+'use strict';
+
+/**
+ * Seletor de idioma
+ * Os botões usam data-action="set-language" (delegação do StateManager);
+ * este componente mantém o estado visual, a escolha salva e a URL em sincronia com o I18nManager
+ */
+class LanguageSwitcher {
+    constructor(root = document) {
+        this.root = root;
+        this.options = [];
+        this.stateManager = null;
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    init() {
+        this.options = Array.from(this.root.querySelectorAll('[data-action="set-language"]'));
+        this.stateManager = window.stateManager || null;
+
+        if (this.options.length === 0) return;
+
+        // Sem StateManager não há delegação de data-action: tratar o clique aqui
+        if (!this.stateManager) {
+            this.options.forEach(option => option.addEventListener('click', this.handleClick));
+        }
+
+        window.addEventListener('i18n:change', this.handleLocaleChange);
+
+        if (window.i18n) {
+            this.updateOptions(window.i18n.getLocale());
+        }
+
+        console.log('🌐 Language switcher initialized');
+    }
+
+    /**
+     * Idioma do botão (data-payload='{"language":"en"}')
+     */
+    getOptionLocale(option) {
+        try {
+            return JSON.parse(option.dataset.payload).language;
+        } catch (error) {
+            return option.getAttribute('lang');
+        }
+    }
+
+    handleClick(e) {
+        const locale = this.getOptionLocale(e.currentTarget);
+        if (locale && window.i18n) {
+            window.i18n.setLocale(locale);
+        }
+    }
+
+    /**
+     * Idioma trocado (clique ou detecção inicial)
+     * Detecção é só um palpite: não vira escolha salva nem troca de página
+     */
+    handleLocaleChange(e) {
+        const { locale, detected } = e.detail;
+
+        this.updateOptions(locale);
+        if (detected) return;
+
+        this.persist(locale);
+        this.updateUrl(locale);
+    }
+
+    updateOptions(locale) {
+        this.options.forEach(option => {
+            const isActive = this.getOptionLocale(option) === locale;
+            option.setAttribute('aria-pressed', String(isActive));
+            option.classList.toggle('language-switcher__option--active', isActive);
+        });
+    }
+
+    /**
+     * Salvar escolha (language faz parte de getPersistableState)
+     */
+    persist(locale) {
+        if (this.stateManager && this.stateManager.get('language') !== locale) {
+            this.stateManager.setState({ language: locale }, 'set-language');
+        }
+    }
+
+    /**
+     * Abrir a página do idioma (/en/, /es/; padrão na raiz), gerada por scripts/generate-project-pages.js
+     * Navegação completa, não history.replaceState: os endereços relativos da página seguem o caminho
+     */
+    updateUrl(locale) {
+        if (!window.i18n) return;
+
+        const url = window.i18n.getLocalizedUrl(locale);
+        if (url !== window.location.href) {
+            window.location.assign(url);
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('i18n:change', this.handleLocaleChange);
+        this.options.forEach(option => option.removeEventListener('click', this.handleClick));
+    }
+}
+
+// Inicialização
+document.addEventListener('DOMContentLoaded', () => {
+    window.languageSwitcher = new LanguageSwitcher();
+    window.languageSwitcher.init();
+});
+
+// Exportar para uso global
+window.LanguageSwitcher = LanguageSwitcher;
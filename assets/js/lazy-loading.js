@@ -124,13 +124,29 @@ class LazyLoadingManager {
         img.addEventListener('load', handleLoad, { once: true });
         img.addEventListener('error', handleError, { once: true });
 
-        // Carregar imagem
-        img.src = src;
-        if (srcset) img.srcset = srcset;
+        // Carregar imagem (<source> do <picture> antes: o navegador escolhe o formato ao receber o src)
+        this.loadPictureSources(img);
         if (sizes) img.sizes = sizes;
+        if (srcset) img.srcset = srcset;
+        img.src = src;
 
-        // Parar de observar
-        this.imageObserver.unobserve(img);
+        // Parar de observar (carregamento manual, ex. carrossel, pode vir antes do init)
+        this.imageObserver?.unobserve(img);
+    }
+
+    /**
+     * Ativar as <source> (AVIF/WebP) de um <picture> gerado por ResponsiveImages.render com lazy
+     */
+    loadPictureSources(img) {
+        const picture = img.parentElement;
+        if (!picture || picture.tagName !== 'PICTURE') return;
+
+        picture.querySelectorAll('source[data-srcset]').forEach(source => {
+            if (source.hasAttribute('data-sizes')) source.sizes = source.getAttribute('data-sizes');
+            source.srcset = source.getAttribute('data-srcset');
+            source.removeAttribute('data-srcset');
+            source.removeAttribute('data-sizes');
+        });
     }
 
     /**
@@ -0,0 +1,434 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - LIGHTBOX
+ * Visualização em tela cheia com zoom (roda/pinça), arraste e navegação entre fotos
+ */
+
+'use strict';
+
+/**
+ * Lightbox em tela cheia
+ */
+class Lightbox {
+    constructor(options = {}) {
+        this.options = {
+            minScale: 1,
+            maxScale: 4,
+            zoomStep: 0.5,
+            doubleTapDelay: 300,
+            swipeThreshold: 50,
+            ...options
+        };
+
+        this.element = null;
+        this.image = null;
+        this.images = [];
+        this.currentIndex = 0;
+        this.isOpen = false;
+        this.returnFocusTo = null;
+        this.onClose = null;
+
+        // Estado de zoom/arraste
+        this.scale = 1;
+        this.translate = { x: 0, y: 0 };
+        this.pointers = new Map();
+        this.pinch = null;
+        this.pan = null;
+        this.lastTap = 0;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+    }
+
+    /**
+     * Criar estrutura do lightbox (uma única vez)
+     */
+    createElement() {
+        const element = document.createElement('div');
+        element.className = 'lightbox';
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-modal', 'true');
+        element.setAttribute('aria-label', 'Visualização da imagem em tela cheia');
+        element.hidden = true;
+
+        element.innerHTML = `
+            <div class="lightbox__stage">
+                <img class="lightbox__image" alt="" draggable="false">
+            </div>
+
+            <div class="lightbox__toolbar">
+                <span class="lightbox__counter" aria-hidden="true"></span>
+                <button type="button" class="lightbox__button" data-lightbox-action="zoom-out" aria-label="Diminuir zoom">&minus;</button>
+                <button type="button" class="lightbox__button" data-lightbox-action="reset" aria-label="Restaurar zoom">1:1</button>
+                <button type="button" class="lightbox__button" data-lightbox-action="zoom-in" aria-label="Aumentar zoom">+</button>
+                <button type="button" class="lightbox__button lightbox__button--close" data-lightbox-action="close" aria-label="Sair da tela cheia">&times;</button>
+            </div>
+
+            <button type="button" class="lightbox__nav lightbox__nav--prev" data-lightbox-action="prev" aria-label="Imagem anterior">&lsaquo;</button>
+            <button type="button" class="lightbox__nav lightbox__nav--next" data-lightbox-action="next" aria-label="Próxima imagem">&rsaquo;</button>
+
+            <p class="lightbox__caption" aria-live="polite"></p>
+        `;
+
+        document.body.appendChild(element);
+
+        this.element = element;
+        this.stage = element.querySelector('.lightbox__stage');
+        this.image = element.querySelector('.lightbox__image');
+        this.caption = element.querySelector('.lightbox__caption');
+        this.counter = element.querySelector('.lightbox__counter');
+
+        this.setupEvents();
+    }
+
+    /**
+     * Configurar eventos
+     */
+    setupEvents() {
+        this.element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-lightbox-action]')?.dataset.lightboxAction;
+            if (!action) return;
+
+            switch (action) {
+                case 'zoom-in': this.zoomBy(this.options.zoomStep); break;
+                case 'zoom-out': this.zoomBy(-this.options.zoomStep); break;
+                case 'reset': this.resetZoom(); break;
+                case 'prev': this.prev(); break;
+                case 'next': this.next(); break;
+                case 'close': this.close(); break;
+            }
+        });
+
+        this.element.addEventListener('keydown', this.handleKeydown);
+        this.stage.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.stage.addEventListener('pointerdown', this.handlePointerDown);
+        this.stage.addEventListener('pointermove', this.handlePointerMove);
+        this.stage.addEventListener('pointerup', this.handlePointerUp);
+        this.stage.addEventListener('pointercancel', this.handlePointerUp);
+
+        // Duplo clique (mouse) alterna entre zoom e tamanho original
+        this.stage.addEventListener('dblclick', (e) => {
+            this.toggleZoom(this.getStagePoint(e.clientX, e.clientY));
+        });
+    }
+
+    /**
+     * Abrir lightbox
+     * @param {Array<{src: string, caption?: string}>} images
+     * @param {number} startIndex
+     * @param {{returnFocusTo?: HTMLElement, onClose?: Function}} options
+     */
+    open(images, startIndex = 0, { returnFocusTo = document.activeElement, onClose = null } = {}) {
+        if (!Array.isArray(images) || images.length === 0) return;
+
+        if (!this.element) {
+            this.createElement();
+        }
+
+        this.images = images;
+        this.returnFocusTo = returnFocusTo;
+        this.onClose = onClose;
+        this.isOpen = true;
+
+        this.element.hidden = false;
+        this.element.classList.toggle('lightbox--single', images.length === 1);
+        document.documentElement.classList.add('lightbox-open');
+
+        this.show(startIndex);
+
+        requestAnimationFrame(() => {
+            this.element.classList.add('lightbox--open');
+            this.element.querySelector('.lightbox__button--close').focus();
+        });
+
+        if (window.app?.accessibility) {
+            window.app.accessibility.announce('Imagem em tela cheia. Use as setas para navegar e Esc para sair.');
+        }
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.pointers.clear();
+        this.pinch = null;
+        this.pan = null;
+
+        this.element.classList.remove('lightbox--open');
+        this.element.hidden = true;
+        document.documentElement.classList.remove('lightbox-open');
+
+        if (typeof this.onClose === 'function') {
+            this.onClose(this.currentIndex);
+        }
+
+        // Devolver o foco ao elemento que abriu o lightbox
+        if (this.returnFocusTo && document.contains(this.returnFocusTo)) {
+            this.returnFocusTo.focus();
+        }
+
+        this.returnFocusTo = null;
+        this.onClose = null;
+    }
+
+    /**
+     * Exibir imagem pelo índice
+     */
+    show(index) {
+        const total = this.images.length;
+        this.currentIndex = (index + total) % total;
+
+        const { src, caption = '' } = this.images[this.currentIndex];
+
+        this.resetZoom();
+        this.image.src = src;
+        this.image.alt = caption;
+        this.caption.textContent = caption;
+        this.counter.textContent = `${this.currentIndex + 1} / ${total}`;
+
+        // Pré-carregar vizinhas para navegação instantânea
+        if (total > 1) {
+            [this.currentIndex + 1, this.currentIndex - 1].forEach(i => {
+                const preload = new Image();
+                preload.src = this.images[(i + total) % total].src;
+            });
+        }
+    }
+
+    next() {
+        if (this.images.length > 1) this.show(this.currentIndex + 1);
+    }
+
+    prev() {
+        if (this.images.length > 1) this.show(this.currentIndex - 1);
+    }
+
+    /**
+     * ZOOM E ARRASTE
+     */
+    zoomTo(scale, point = { x: 0, y: 0 }) {
+        const newScale = Math.min(this.options.maxScale, Math.max(this.options.minScale, scale));
+        const ratio = newScale / this.scale;
+
+        // Manter o ponto sob o cursor/dedos fixo durante o zoom
+        this.translate = {
+            x: point.x - (point.x - this.translate.x) * ratio,
+            y: point.y - (point.y - this.translate.y) * ratio
+        };
+        this.scale = newScale;
+
+        this.applyTransform();
+    }
+
+    zoomBy(delta) {
+        this.zoomTo(this.scale + delta);
+    }
+
+    toggleZoom(point) {
+        if (this.scale > this.options.minScale) {
+            this.resetZoom();
+        } else {
+            this.zoomTo(this.options.maxScale / 2, point);
+        }
+    }
+
+    resetZoom() {
+        this.scale = 1;
+        this.translate = { x: 0, y: 0 };
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        if (!this.image) return;
+
+        this.clampTranslate();
+        this.image.style.transform =
+            `translate(${this.translate.x}px, ${this.translate.y}px) scale(${this.scale})`;
+        this.element.classList.toggle('lightbox--zoomed', this.scale > this.options.minScale);
+    }
+
+    /**
+     * Impedir que a imagem seja arrastada para fora da tela
+     */
+    clampTranslate() {
+        const maxX = Math.max(0, (this.image.offsetWidth * this.scale - this.stage.clientWidth) / 2);
+        const maxY = Math.max(0, (this.image.offsetHeight * this.scale - this.stage.clientHeight) / 2);
+
+        this.translate.x = Math.min(maxX, Math.max(-maxX, this.translate.x));
+        this.translate.y = Math.min(maxY, Math.max(-maxY, this.translate.y));
+    }
+
+    /**
+     * Converter coordenadas da tela para o centro do palco
+     */
+    getStagePoint(clientX, clientY) {
+        const rect = this.stage.getBoundingClientRect();
+        return {
+            x: clientX - rect.left - rect.width / 2,
+            y: clientY - rect.top - rect.height / 2
+        };
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        const factor = Math.exp(-e.deltaY * 0.0015);
+        this.zoomTo(this.scale * factor, this.getStagePoint(e.clientX, e.clientY));
+    }
+
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        this.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 2) {
+            const [a, b] = [...this.pointers.values()];
+            this.pinch = {
+                distance: Math.hypot(b.x - a.x, b.y - a.y),
+                scale: this.scale
+            };
+            this.pan = null;
+        } else if (this.pointers.size === 1) {
+            this.pan = {
+                startX: e.clientX,
+                startY: e.clientY,
+                originX: this.translate.x,
+                originY: this.translate.y
+            };
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pinch && this.pointers.size === 2) {
+            const [a, b] = [...this.pointers.values()];
+            const distance = Math.hypot(b.x - a.x, b.y - a.y);
+            const midpoint = this.getStagePoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+            this.zoomTo(this.pinch.scale * (distance / this.pinch.distance), midpoint);
+            return;
+        }
+
+        if (this.pan && this.scale > this.options.minScale) {
+            this.translate = {
+                x: this.pan.originX + (e.clientX - this.pan.startX),
+                y: this.pan.originY + (e.clientY - this.pan.startY)
+            };
+            this.applyTransform();
+        }
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        if (this.pointers.size < 2) {
+            this.pinch = null;
+        }
+
+        if (!this.pan || this.pointers.size > 0) return;
+
+        const deltaX = e.clientX - this.pan.startX;
+        const deltaY = e.clientY - this.pan.startY;
+        this.pan = null;
+
+        // Sem zoom: gesto horizontal troca de imagem
+        if (this.scale === this.options.minScale &&
+            Math.abs(deltaX) > this.options.swipeThreshold &&
+            Math.abs(deltaX) > Math.abs(deltaY)) {
+            if (deltaX < 0) {
+                this.next();
+            } else {
+                this.prev();
+            }
+            return;
+        }
+
+        // Toque duplo (touch) alterna zoom; mouse usa dblclick
+        if (e.pointerType === 'touch' && Math.abs(deltaX) < 10 && Math.abs(deltaY) < 10) {
+            const now = Date.now();
+            if (now - this.lastTap < this.options.doubleTapDelay) {
+                this.toggleZoom(this.getStagePoint(e.clientX, e.clientY));
+                this.lastTap = 0;
+            } else {
+                this.lastTap = now;
+            }
+        }
+    }
+
+    /**
+     * Navegação por teclado
+     */
+    handleKeydown(e) {
+        // Eventos do lightbox não devem chegar aos handlers do modal/documento
+        e.stopPropagation();
+
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+
+            case 'ArrowRight':
+                e.preventDefault();
+                this.next();
+                break;
+
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.prev();
+                break;
+
+            case '+':
+            case '=':
+                e.preventDefault();
+                this.zoomBy(this.options.zoomStep);
+                break;
+
+            case '-':
+                e.preventDefault();
+                this.zoomBy(-this.options.zoomStep);
+                break;
+
+            case '0':
+                e.preventDefault();
+                this.resetZoom();
+                break;
+
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+        }
+    }
+
+    trapFocus(e) {
+        const focusableElements = [...this.element.querySelectorAll('button')]
+            .filter(button => button.offsetParent !== null);
+
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+
+        if (e.shiftKey && document.activeElement === firstElement) {
+            lastElement.focus();
+            e.preventDefault();
+        } else if (!e.shiftKey && document.activeElement === lastElement) {
+            firstElement.focus();
+            e.preventDefault();
+        }
+    }
+
+    destroy() {
+        this.close();
+
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
+
+// Exportar para uso global
+window.Lightbox = Lightbox;
@@ -0,0 +1,117 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - AVISOS NA PÁGINA
+ * Faixa de avisos com ações para páginas sem o NotificationManager (app.js), como o index.html
+ */
+
+'use strict';
+
+/**
+ * Texto do catálogo de idiomas (ou o texto em português quando o i18n não carregou)
+ */
+function noticeText(key, defaultValue, params = {}) {
+    return window.i18n ? window.i18n.t(key, { ...params, defaultValue }) : defaultValue;
+}
+
+/**
+ * Faixa de avisos
+ * Mesma interface do NotificationManager ({ title, message, type, duration, actions, onClose }),
+ * para quem mostra avisos usar window.app?.notifications || window.noticeBanner
+ */
+class NoticeBanner {
+    constructor() {
+        this.container = null;
+        this.notices = new Map();
+        this.nextId = 1;
+    }
+
+    getContainer() {
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.className = 'notice-banner';
+            this.container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.container);
+        }
+        return this.container;
+    }
+
+    show(options) {
+        const id = String(this.nextId++);
+        const element = this.createNotice(id, options);
+
+        this.notices.set(id, element);
+        this.getContainer().appendChild(element);
+
+        if (options.duration !== false) {
+            setTimeout(() => this.remove(id), options.duration || 5000);
+        }
+
+        return id;
+    }
+
+    createNotice(id, options) {
+        const element = document.createElement('div');
+        element.className = `notice-banner__item notice-banner__item--${options.type || 'info'}`;
+        element.setAttribute('role', 'status');
+
+        const content = document.createElement('div');
+        content.className = 'notice-banner__content';
+
+        if (options.title) {
+            const title = document.createElement('p');
+            title.className = 'notice-banner__title';
+            title.textContent = options.title;
+            content.appendChild(title);
+        }
+
+        const message = document.createElement('p');
+        message.className = 'notice-banner__message';
+        message.textContent = options.message;
+        content.appendChild(message);
+
+        // Ações: [{ text, action }] — o clique executa a ação e fecha o aviso
+        if (options.actions?.length) {
+            const actions = document.createElement('div');
+            actions.className = 'notice-banner__actions';
+
+            options.actions.forEach(({ text, action }, index) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `notice-banner__action${index === 0 ? ' notice-banner__action--primary' : ''}`;
+                button.textContent = text;
+                button.addEventListener('click', () => {
+                    this.remove(id);
+                    action?.();
+                });
+                actions.appendChild(button);
+            });
+
+            content.appendChild(actions);
+        }
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'notice-banner__close';
+        close.setAttribute('aria-label', noticeText('notice.close', 'Fechar aviso'));
+        close.textContent = '×';
+        close.addEventListener('click', () => {
+            this.remove(id);
+            options.onClose?.();
+        });
+
+        element.append(content, close);
+        return element;
+    }
+
+    remove(id) {
+        const element = this.notices.get(id);
+        if (!element) return;
+
+        element.remove();
+        this.notices.delete(id);
+    }
+}
+
+window.noticeBanner = new NoticeBanner();
+
+// Exportar para uso global
+window.NoticeBanner = NoticeBanner;
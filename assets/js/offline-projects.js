@@ -0,0 +1,168 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - PROJETOS OFFLINE
+ * Projetos salvos pelo visitante ("salvar para ver offline") e disponibilidade do portfólio sem conexão
+ * Usado pelo PortfolioManager, pela página offline.html e pelo service worker (importScripts em sw.js)
+ */
+
+'use strict';
+
+// Cache próprio, fora do limite de entradas do cache de imagens do service worker
+const OFFLINE_PROJECTS_CACHE = 'rma-saved-v1';
+// Registro JSON de cada projeto salvo, guardado no mesmo cache (nunca pedido à rede)
+const OFFLINE_PROJECTS_INDEX = '/__offline__/projetos/';
+// Mesmos prefixos de idioma do servidor (scripts/mock-contact-server.js): /en/assets/... é /assets/...
+const OFFLINE_LOCALE_PREFIX = /^\/(en|es)(?=\/|$)/i;
+
+/**
+ * Projetos salvos para ver offline
+ */
+class OfflineProjects {
+    constructor({ cacheName = OFFLINE_PROJECTS_CACHE, origin = self.location.origin } = {}) {
+        this.cacheName = cacheName;
+        this.origin = origin;
+    }
+
+    static isSupported() {
+        return typeof caches !== 'undefined';
+    }
+
+    /**
+     * URL canônica de um arquivo do site: caminhos relativos à raiz e sem prefixo de idioma em /assets/
+     */
+    toSiteUrl(path) {
+        const url = new URL(path, `${this.origin}/`);
+        const pathname = url.pathname.replace(OFFLINE_LOCALE_PREFIX, '');
+
+        if (pathname.startsWith('/assets/')) {
+            url.pathname = pathname;
+        }
+
+        return url.href;
+    }
+
+    /**
+     * Imagens do projeto (src e variantes responsivas escolhidas pelo navegador) e página estática (pageUrl)
+     */
+    getUrls(project, pageUrl = null) {
+        const urls = project.images
+            .flatMap(image => [image.src, ...(image.variants || [])])
+            .map(src => this.toSiteUrl(src));
+        if (pageUrl) urls.push(new URL(pageUrl, `${this.origin}/`).href);
+
+        return [...new Set(urls)];
+    }
+
+    getRecordUrl(id) {
+        return `${this.origin}${OFFLINE_PROJECTS_INDEX}${encodeURIComponent(id)}`;
+    }
+
+    /**
+     * Baixar e guardar o projeto; o registro só é gravado depois de todas as URLs
+     */
+    async save(project, { pageUrl = null } = {}) {
+        const cache = await caches.open(this.cacheName);
+        const urls = this.getUrls(project, pageUrl);
+
+        await cache.addAll(urls);
+
+        const record = {
+            id: project.id,
+            title: project.title,
+            categoryText: project.categoryText,
+            cover: this.toSiteUrl(project.image || project.images[0].src),
+            pageUrl: pageUrl ? new URL(pageUrl, `${this.origin}/`).href : null,
+            urls,
+            savedAt: new Date().toISOString()
+        };
+
+        await cache.put(this.getRecordUrl(project.id), new Response(JSON.stringify(record), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+
+        this.emitChange({ id: project.id, saved: true });
+        return record;
+    }
+
+    /**
+     * Remover o projeto, mantendo arquivos que outro projeto salvo também usa
+     */
+    async remove(id) {
+        const cache = await caches.open(this.cacheName);
+        const records = await this.getSaved();
+        const record = records.find(item => item.id === id);
+        if (!record) return false;
+
+        const shared = new Set(records.filter(item => item.id !== id).flatMap(item => item.urls));
+
+        await Promise.all(record.urls.filter(url => !shared.has(url)).map(url => cache.delete(url)));
+        await cache.delete(this.getRecordUrl(id));
+
+        this.emitChange({ id, saved: false });
+        return true;
+    }
+
+    /**
+     * Registros dos projetos salvos, do mais recente ao mais antigo
+     */
+    async getSaved() {
+        const cache = await caches.open(this.cacheName);
+        const requests = await cache.keys();
+        const records = await Promise.all(requests
+            .filter(request => new URL(request.url).pathname.startsWith(OFFLINE_PROJECTS_INDEX))
+            .map(async request => {
+                try {
+                    return await (await cache.match(request)).json();
+                } catch (error) {
+                    console.warn('Registro de projeto offline inválido:', request.url, error);
+                    return null;
+                }
+            })
+        );
+
+        return records
+            .filter(Boolean)
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    async isSaved(id) {
+        const cache = await caches.open(this.cacheName);
+        return Boolean(await cache.match(this.getRecordUrl(id)));
+    }
+
+    /**
+     * Arquivo em qualquer cache do site (salvo ou já visto pelo cache de imagens do service worker)
+     */
+    async isCached(path) {
+        return Boolean(await caches.match(this.toSiteUrl(path), { ignoreSearch: true }));
+    }
+
+    /**
+     * Projeto navegável sem conexão: a capa precisa estar em cache
+     */
+    isAvailable(project) {
+        return this.isCached(project.image || project.images[0].src);
+    }
+
+    emitChange(detail) {
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('offline-projects:change', { detail }));
+        }
+    }
+}
+
+OfflineProjects.CACHE_NAME = OFFLINE_PROJECTS_CACHE;
+OfflineProjects.INDEX_PATH = OFFLINE_PROJECTS_INDEX;
+OfflineProjects.LOCALE_PREFIX = OFFLINE_LOCALE_PREFIX;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.OfflineProjects = OfflineProjects;
+
+    if (OfflineProjects.isSupported()) {
+        window.offlineProjects = new OfflineProjects();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineProjects;
+}
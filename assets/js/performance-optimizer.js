@@ -93,6 +93,13 @@ class PerformanceOptimizer {
         const src = img.getAttribute('data-src');
         const srcset = img.getAttribute('data-srcset');
 
+        // <picture> (assets/js/responsive-images.js): o navegador escolhe formato e largura;
+        // pré-carregar o src baixaria o JPEG à toa
+        if (src && img.parentElement && img.parentElement.tagName === 'PICTURE') {
+            this.loadPicture(img);
+            return;
+        }
+
         if (src) {
             // Criar nova imagem para preload
             const preloadImg = new Image();
@@ -119,6 +126,30 @@ class PerformanceOptimizer {
         }
     }
 
+    loadPicture(img) {
+        img.parentElement.querySelectorAll('source[data-srcset], img[data-src]').forEach(element => {
+            ['sizes', 'srcset', 'src'].forEach(attribute => {
+                const value = element.getAttribute(`data-${attribute}`);
+                if (value !== null) {
+                    element.setAttribute(attribute, value);
+                    element.removeAttribute(`data-${attribute}`);
+                }
+            });
+        });
+
+        img.addEventListener('load', () => {
+            img.classList.add('loaded');
+            img.dispatchEvent(new CustomEvent('imageLoaded', {
+                detail: { src: img.currentSrc, img }
+            }));
+        }, { once: true });
+
+        img.addEventListener('error', () => {
+            console.warn(`Failed to load image: ${img.currentSrc || img.src}`);
+            img.classList.add('error');
+        }, { once: true });
+    }
+
     loadAllImages() {
         const lazyImages = document.querySelectorAll('img[data-src]');
         lazyImages.forEach(img => this.loadImage(img));
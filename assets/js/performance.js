@@ -5,6 +5,13 @@
 
 'use strict';
 
+/**
+ * Texto do catálogo de idiomas (ou o texto em português quando o i18n não carregou)
+ */
+function performanceText(key, defaultValue, params = {}) {
+    return window.i18n ? window.i18n.t(key, { ...params, defaultValue }) : defaultValue;
+}
+
 /**
  * Otimizador de Performance
  */
@@ -35,8 +42,15 @@ class PerformanceOptimizer {
                     scope: '/'
                 });
 
+                // Versão nova já instalada em uma visita anterior, aguardando SKIP_WAITING
+                if (this.serviceWorker.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdateNotification();
+                }
+
                 this.serviceWorker.addEventListener('updatefound', () => {
                     const newWorker = this.serviceWorker.installing;
+                    if (!newWorker) return;
+
                     newWorker.addEventListener('statechange', () => {
                         if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
                             this.showUpdateNotification();
@@ -53,39 +67,73 @@ class PerformanceOptimizer {
 
     /**
      * Mostrar notificação de atualização
+     * Pelo NotificationManager (app.js) ou, nas páginas sem ele, pela faixa de avisos (notice-banner.js)
      */
     showUpdateNotification() {
-        if (window.app?.notifications) {
-            window.app.notifications.show({
-                title: 'Atualização Disponível',
-                message: 'Uma nova versão está disponível. Atualizar agora?',
-                type: 'info',
-                duration: false,
-                actions: [
-                    {
-                        text: 'Atualizar',
-                        action: () => this.updateServiceWorker()
-                    },
-                    {
-                        text: 'Depois',
-                        action: () => {}
-                    }
-                ]
-            });
-        }
+        const notifications = window.app?.notifications || window.noticeBanner;
+        if (!notifications) return;
+
+        notifications.show({
+            title: performanceText('update.title', 'Atualização disponível'),
+            message: performanceText('update.message', 'Uma nova versão está disponível. Atualizar agora?'),
+            type: 'info',
+            duration: false,
+            actions: [
+                {
+                    text: performanceText('update.accept', 'Atualizar'),
+                    action: () => this.updateServiceWorker()
+                },
+                {
+                    text: performanceText('update.later', 'Depois'),
+                    action: () => {}
+                }
+            ]
+        });
     }
 
     /**
      * Atualizar Service Worker
+     * Pede SKIP_WAITING à versão em espera (sw.js) e recarrega quando ela assumir a página
      */
     async updateServiceWorker() {
-        if (this.serviceWorker) {
-            const registration = await navigator.serviceWorker.ready;
-            await registration.update();
+        if (!this.serviceWorker) return;
+
+        const waiting = this.serviceWorker.waiting;
+
+        if (!waiting) {
+            // Nada em espera: procurar uma versão nova; o aviso volta pelo 'updatefound'
+            await this.serviceWorker.update();
+            return;
+        }
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
             window.location.reload();
+        }, { once: true });
+
+        try {
+            await this.postToServiceWorker(waiting, { type: 'SKIP_WAITING' });
+        } catch (error) {
+            console.warn('⚠️ Service Worker não confirmou a atualização:', error);
         }
     }
 
+    /**
+     * Enviar mensagem ao Service Worker e aguardar a resposta pelo MessageChannel
+     */
+    postToServiceWorker(worker, message, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => reject(new Error(`Sem resposta para ${message.type}`)), timeout);
+
+            channel.port1.onmessage = event => {
+                clearTimeout(timer);
+                resolve(event.data);
+            };
+
+            worker.postMessage(message, [channel.port2]);
+        });
+    }
+
     /**
      * Monitorar status da rede
      */
@@ -100,6 +148,9 @@ class PerformanceOptimizer {
             this.handleNetworkChange(false);
         });
 
+        // Página aberta já sem conexão (servida pelo service worker)
+        document.documentElement.classList.toggle('is-offline', !this.isOnline);
+
         // Monitorar qualidade da conexão
         if ('connection' in navigator) {
             const connection = navigator.connection;
@@ -115,7 +166,10 @@ class PerformanceOptimizer {
     handleNetworkChange(isOnline) {
         const message = isOnline
             ? 'Conexão restabelecida'
-            : 'Você está offline. Algumas funcionalidades podem não funcionar.';
+            : 'Você está offline. Projetos já vistos ou salvos continuam disponíveis e mensagens de contato ficam na fila.';
+
+        // Estado da rede disponível para o CSS (html.is-offline)
+        document.documentElement.classList.toggle('is-offline', !isOnline);
 
         if (window.app?.notifications) {
             window.app.notifications.show({
@@ -186,29 +240,25 @@ class PerformanceOptimizer {
 
     /**
      * Definir qualidade das imagens
+     * Conexão lenta: variante JPEG menor do manifesto de imagens (assets/js/responsive-images.js) no lugar do srcset
      */
     setImageQuality(quality) {
         const images = document.querySelectorAll('img[data-src]');
+        const maxWidths = { low: 480, medium: 800 };
 
         images.forEach(img => {
-            const baseSrc = img.getAttribute('data-src');
-            if (baseSrc) {
-                let qualitySrc = baseSrc;
-
-                switch (quality) {
-                    case 'low':
-                        qualitySrc = baseSrc.replace(/\.(jpg|jpeg|png|webp)$/, '_low.$1');
-                        break;
-                    case 'medium':
-                        qualitySrc = baseSrc.replace(/\.(jpg|jpeg|png|webp)$/, '_medium.$1');
-                        break;
-                    case 'high':
-                        qualitySrc = baseSrc; // Original
-                        break;
-                }
+            // Original guardado na primeira troca: voltar para 'high' depois de 'low'
+            const baseSrc = img.dataset.originalSrc || img.getAttribute('data-src');
+            if (!baseSrc) return;
 
-                img.setAttribute('data-src', qualitySrc);
-            }
+            img.dataset.originalSrc = baseSrc;
+
+            const maxWidth = maxWidths[quality];
+            const qualitySrc = maxWidth && window.responsiveImages
+                ? window.responsiveImages.getFallback(baseSrc, { maxWidth })
+                : baseSrc;
+
+            img.setAttribute('data-src', qualitySrc);
         });
     }
 
@@ -396,20 +446,15 @@ class PerformanceOptimizer {
 
     /**
      * Carregar imagem otimizada
+     * Com entrada no manifesto de imagens: srcset das variantes em WebP (ou JPEG) e src JPEG;
+     * um <img> sozinho não escolhe formato, então AVIF fica para o <picture> (ResponsiveImages.render)
      */
     loadOptimizedImage(img) {
         const src = img.getAttribute('data-src');
-        const webpSrc = src.replace(/\.(jpg|jpeg|png)$/, '.webp');
-
-        // Verificar suporte a WebP
-        const supportsWebP = this.checkWebPSupport();
-
-        if (supportsWebP) {
-            // Tentar WebP primeiro, fallback para original
-            img.srcset = `${webpSrc} 1x, ${src} 2x`;
-        } else {
-            img.src = src;
-        }
+        const images = window.responsiveImages;
+        // Variante reduzida por setImageQuality: carregar como está
+        const reduced = img.dataset.originalSrc && img.dataset.originalSrc !== src;
+        const entry = !reduced && images ? images.get(src) : null;
 
         img.classList.add('loading');
 
@@ -419,11 +464,20 @@ class PerformanceOptimizer {
         };
 
         img.onerror = () => {
-            // Fallback para imagem original se WebP falhar
-            if (img.src.includes('.webp')) {
+            // Variante ausente no servidor: voltar para a imagem original
+            if (img.hasAttribute('srcset')) {
+                img.removeAttribute('srcset');
                 img.src = src;
             }
         };
+
+        if (entry) {
+            img.sizes = img.getAttribute('data-sizes') || img.sizes || '100vw';
+            img.srcset = images.getSrcset(entry, this.checkWebPSupport() ? 'webp' : 'jpeg');
+            img.src = images.getVariant(entry);
+        } else {
+            img.src = src;
+        }
     }
 
     /**
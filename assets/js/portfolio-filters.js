@@ -0,0 +1,230 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - FILTROS DO PORTFÓLIO
+ * Filtros combinados, busca textual, ordenação e estado na URL
+ */
+
+'use strict';
+
+// Nomes dos parâmetros na URL (em português, visíveis para o cliente)
+const FILTER_PARAMS = {
+    category: 'categoria',
+    year: 'ano',
+    area: 'area',
+    city: 'cidade',
+    tag: 'tag',
+    query: 'busca',
+    sort: 'ordem'
+};
+
+const AREA_RANGES = [
+    { id: 'ate-100', label: 'Até 100 m²', min: 0, max: 100 },
+    { id: '100-300', label: '100 a 300 m²', min: 100, max: 300 },
+    { id: 'acima-300', label: 'Acima de 300 m²', min: 300, max: Infinity }
+];
+
+const SORT_OPTIONS = [
+    { id: 'recentes', label: 'Mais recentes' },
+    { id: 'antigos', label: 'Mais antigos' },
+    { id: 'maior-area', label: 'Maior área' },
+    { id: 'menor-area', label: 'Menor área' }
+];
+
+/**
+ * Normalizar texto para busca (minúsculas, sem acentos)
+ */
+function normalizeSearchText(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Estado e regras de filtragem do portfólio
+ */
+class PortfolioFilters {
+    constructor(state = {}) {
+        this.state = { ...PortfolioFilters.getDefaultState(), ...state };
+    }
+
+    static getDefaultState() {
+        return {
+            category: 'all',
+            year: '',
+            area: '',
+            city: '',
+            tag: '',
+            query: '',
+            sort: 'recentes'
+        };
+    }
+
+    /**
+     * Ler estado a partir da query string
+     */
+    static fromSearch(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const state = {};
+
+        Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+            const value = params.get(param);
+            if (value !== null && value !== '') {
+                state[key] = value;
+            }
+        });
+
+        if (state.area && !AREA_RANGES.some(range => range.id === state.area)) {
+            delete state.area;
+        }
+
+        if (state.sort && !SORT_OPTIONS.some(option => option.id === state.sort)) {
+            delete state.sort;
+        }
+
+        return new PortfolioFilters(state);
+    }
+
+    /**
+     * Gerar query string preservando parâmetros que não são de filtro
+     */
+    toSearch(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const defaults = PortfolioFilters.getDefaultState();
+
+        Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+            const value = this.state[key];
+            if (value && value !== defaults[key]) {
+                params.set(param, value);
+            } else {
+                params.delete(param);
+            }
+        });
+
+        const result = params.toString();
+        return result ? `?${result}` : '';
+    }
+
+    set(updates) {
+        this.state = { ...this.state, ...updates };
+        return this;
+    }
+
+    reset() {
+        this.state = PortfolioFilters.getDefaultState();
+        return this;
+    }
+
+    /**
+     * Há algum filtro além da ordenação?
+     */
+    isActive() {
+        const defaults = PortfolioFilters.getDefaultState();
+        return Object.keys(defaults)
+            .filter(key => key !== 'sort')
+            .some(key => this.state[key] !== defaults[key]);
+    }
+
+    /**
+     * Verificar se um projeto atende a todos os filtros
+     */
+    matches(project) {
+        const { category, year, area, city, tag, query } = this.state;
+
+        if (category !== 'all' && project.category !== category) return false;
+        if (year && String(project.year) !== String(year)) return false;
+        if (city && normalizeSearchText(project.city) !== normalizeSearchText(city)) return false;
+
+        if (tag && !(project.technologies || []).some(tech => normalizeSearchText(tech) === normalizeSearchText(tag))) {
+            return false;
+        }
+
+        if (area) {
+            const range = AREA_RANGES.find(item => item.id === area);
+            if (range && !(typeof project.area === 'number' && project.area >= range.min && project.area < range.max)) {
+                return false;
+            }
+        }
+
+        if (query) {
+            const haystack = normalizeSearchText([
+                project.title,
+                ...(Array.isArray(project.description) ? project.description : [project.description])
+            ].join(' '));
+
+            const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+            if (!terms.every(term => haystack.includes(term))) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Ordenar projetos (itens sem o dado usado ficam no final)
+     */
+    sort(projects) {
+        const byNumber = (getValue, direction) => (a, b) => {
+            const valueA = getValue(a);
+            const valueB = getValue(b);
+            if (valueA === null && valueB === null) return 0;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+            return (valueA - valueB) * direction;
+        };
+
+        const getDate = (project) => {
+            const time = Date.parse(project.date || (project.year ? `${project.year}-01-01` : ''));
+            return Number.isNaN(time) ? null : time;
+        };
+        const getArea = (project) => (typeof project.area === 'number' ? project.area : null);
+
+        const comparators = {
+            'recentes': byNumber(getDate, -1),
+            'antigos': byNumber(getDate, 1),
+            'maior-area': byNumber(getArea, -1),
+            'menor-area': byNumber(getArea, 1)
+        };
+
+        const comparator = comparators[this.state.sort] || comparators.recentes;
+
+        // Array.prototype.sort é estável: empates mantêm a ordem do manifesto
+        return [...projects].sort(comparator);
+    }
+
+    apply(projects) {
+        return this.sort(projects.filter(project => this.matches(project)));
+    }
+
+    /**
+     * Opções disponíveis para cada faceta, derivadas dos dados
+     */
+    static getFacetOptions(projects) {
+        const unique = (values) => [...new Set(values.filter(value => value !== undefined && value !== null && value !== ''))];
+
+        return {
+            years: unique(projects.map(project => project.year)).sort((a, b) => b - a),
+            cities: unique(projects.map(project => project.city)).sort((a, b) => a.localeCompare(b, 'pt-BR')),
+            tags: unique(projects.flatMap(project => project.technologies || [])).sort((a, b) => a.localeCompare(b, 'pt-BR')),
+            areas: AREA_RANGES.filter(range => projects.some(project =>
+                typeof project.area === 'number' && project.area >= range.min && project.area < range.max
+            )),
+            sorts: projects.some(project => typeof project.area === 'number')
+                ? SORT_OPTIONS
+                : SORT_OPTIONS.filter(option => !option.id.includes('area'))
+        };
+    }
+}
+
+PortfolioFilters.PARAMS = FILTER_PARAMS;
+PortfolioFilters.AREA_RANGES = AREA_RANGES;
+PortfolioFilters.SORT_OPTIONS = SORT_OPTIONS;
+PortfolioFilters.normalizeSearchText = normalizeSearchText;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.PortfolioFilters = PortfolioFilters;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioFilters;
+}
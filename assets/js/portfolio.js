@@ -5,6 +5,463 @@
 
 'use strict';
 
+const PROJECTS_MANIFEST_VERSION = 2;
+const PROJECTS_CACHE_KEY = 'projects-manifest';
+const PROJECTS_CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 dias
+const PROJECT_CATEGORIES = ['residencial', 'comercial', 'interiores'];
+const PROJECT_TRANSLATION_LOCALES = ['en', 'es'];
+const PROJECT_ROUTE_PREFIX = '#/projetos/';
+const PROJECT_QUERY_PARAM = 'projeto';
+// Página estática do projeto (scripts/generate-project-pages.js), relativa à página do portfólio
+const PROJECT_PAGE_PATH = 'projetos/{id}/';
+// Templates do modal (ProjectTemplates): assets/js/project-templates.js, carregado antes deste arquivo
+
+/**
+ * Erro de validação do manifesto de projetos
+ * Carrega a lista de erros por campo ({ path, message })
+ */
+class ManifestValidationError extends Error {
+    constructor(errors) {
+        super(`Manifesto de projetos inválido (${errors.length} erro(s))`);
+        this.name = 'ManifestValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validar manifesto de projetos
+ * Retorna lista de erros por campo; lista vazia indica manifesto válido
+ */
+function validateProjectManifest(manifest) {
+    const errors = [];
+    const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+    const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return [{ path: '$', message: 'deve ser um objeto' }];
+    }
+
+    if (manifest.version !== PROJECTS_MANIFEST_VERSION) {
+        errors.push({ path: 'version', message: `versão não suportada (esperado ${PROJECTS_MANIFEST_VERSION})` });
+    }
+
+    if (!Array.isArray(manifest.projects)) {
+        errors.push({ path: 'projects', message: 'deve ser uma lista' });
+        return errors;
+    }
+
+    const seenIds = new Set();
+
+    manifest.projects.forEach((project, index) => {
+        const path = `projects[${index}]`;
+
+        if (!project || typeof project !== 'object') {
+            errors.push({ path, message: 'deve ser um objeto' });
+            return;
+        }
+
+        if (!isNonEmptyString(project.id) || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(project.id)) {
+            errors.push({ path: `${path}.id`, message: 'deve ser um slug (a-z, 0-9 e hífens)' });
+        } else if (seenIds.has(project.id)) {
+            errors.push({ path: `${path}.id`, message: `id duplicado "${project.id}"` });
+        } else {
+            seenIds.add(project.id);
+        }
+
+        ['title', 'categoryText', 'image'].forEach(field => {
+            if (!isNonEmptyString(project[field])) {
+                errors.push({ path: `${path}.${field}`, message: 'obrigatório' });
+            }
+        });
+
+        // Campos opcionais usados pelos filtros
+        if (project.year !== undefined && !(Number.isInteger(project.year) && project.year >= 1900 && project.year <= 2100)) {
+            errors.push({ path: `${path}.year`, message: 'deve ser um ano (ex.: 2025)' });
+        }
+
+        if (project.date !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(project.date) || Number.isNaN(Date.parse(project.date)))) {
+            errors.push({ path: `${path}.date`, message: 'deve ser uma data no formato AAAA-MM-DD' });
+        }
+
+        if (project.area !== undefined && !(typeof project.area === 'number' && project.area > 0)) {
+            errors.push({ path: `${path}.area`, message: 'deve ser a área em m² (número positivo)' });
+        }
+
+        if (project.city !== undefined && !isNonEmptyString(project.city)) {
+            errors.push({ path: `${path}.city`, message: 'não pode ser vazio' });
+        }
+
+        if (!PROJECT_CATEGORIES.includes(project.category)) {
+            errors.push({ path: `${path}.category`, message: `deve ser um de: ${PROJECT_CATEGORIES.join(', ')}` });
+        }
+
+        if (!Array.isArray(project.images) || project.images.length === 0) {
+            errors.push({ path: `${path}.images`, message: 'deve ser uma lista com ao menos uma imagem' });
+        } else {
+            project.images.forEach((image, imageIndex) => {
+                ['src', 'caption'].forEach(field => {
+                    if (!isNonEmptyString(image?.[field])) {
+                        errors.push({ path: `${path}.images[${imageIndex}].${field}`, message: 'obrigatório' });
+                    }
+                });
+            });
+        }
+
+        if (!isStringList(project.description)) {
+            errors.push({ path: `${path}.description`, message: 'deve ser uma lista de parágrafos' });
+        }
+
+        if (!isStringList(project.technologies)) {
+            errors.push({ path: `${path}.technologies`, message: 'deve ser uma lista de textos' });
+        }
+
+        // Traduções opcionais: { en: {...}, es: {...} } com os mesmos campos de texto
+        if (project.translations !== undefined) {
+            if (!project.translations || typeof project.translations !== 'object' || Array.isArray(project.translations)) {
+                errors.push({ path: `${path}.translations`, message: 'deve ser um objeto por idioma' });
+                return;
+            }
+
+            Object.entries(project.translations).forEach(([locale, translation]) => {
+                const translationPath = `${path}.translations.${locale}`;
+
+                if (!PROJECT_TRANSLATION_LOCALES.includes(locale)) {
+                    errors.push({ path: translationPath, message: `idioma deve ser um de: ${PROJECT_TRANSLATION_LOCALES.join(', ')}` });
+                    return;
+                }
+
+                if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+                    errors.push({ path: translationPath, message: 'deve ser um objeto' });
+                    return;
+                }
+
+                ['title', 'categoryText'].forEach(field => {
+                    if (translation[field] !== undefined && !isNonEmptyString(translation[field])) {
+                        errors.push({ path: `${translationPath}.${field}`, message: 'não pode ser vazio' });
+                    }
+                });
+
+                ['description', 'technologies'].forEach(field => {
+                    if (translation[field] !== undefined && !isStringList(translation[field])) {
+                        errors.push({ path: `${translationPath}.${field}`, message: 'deve ser uma lista de textos' });
+                    }
+                });
+
+                if (translation.images !== undefined) {
+                    if (!Array.isArray(translation.images) || translation.images.length !== project.images?.length) {
+                        errors.push({ path: `${translationPath}.images`, message: 'deve ter uma legenda para cada imagem' });
+                    } else {
+                        translation.images.forEach((image, imageIndex) => {
+                            if (!isNonEmptyString(image?.caption)) {
+                                errors.push({ path: `${translationPath}.images[${imageIndex}].caption`, message: 'obrigatório' });
+                            }
+                        });
+                    }
+                }
+            });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Texto do catálogo de idiomas (ou o texto em português quando o i18n não carregou)
+ */
+function portfolioText(key, defaultValue, params = {}) {
+    return window.i18n ? window.i18n.t(key, { ...params, defaultValue }) : defaultValue;
+}
+
+/**
+ * Escapar texto vindo do manifesto antes de inserir em HTML
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Imagens do carrossel a salvar para ver offline: o src (JPEG) de cada slide e a variante que o navegador
+ * escolheria para ele (mesmo formato e largura da imagem já carregada, ResponsiveImages.matchCurrentSource)
+ */
+function getCarouselOfflineImages(root) {
+    const images = Array.from(root.querySelectorAll('.carousel__image'));
+    const reference = images.find(img => img.currentSrc) || null;
+
+    return images.map(img => ({
+        src: new URL(img.getAttribute('src') || img.getAttribute('data-src'), document.baseURI).href,
+        caption: img.alt,
+        variants: [window.ResponsiveImages?.matchCurrentSource(img, reference)].filter(Boolean)
+    }));
+}
+
+/**
+ * Botão "salvar para ver offline" (modal e página estática): alterna entre salvar e remover o projeto
+ * carouselRoot: as imagens salvas são as exibidas no carrossel (variantes responsivas), lidas no clique
+ */
+async function bindOfflineSaveButton(button, project, { offlineProjects, carouselRoot, pageUrl = null, savedClass, text = portfolioText }) {
+    const saveLabel = text('portfolio.offline.save', button.textContent.trim() || 'Salvar para ver offline');
+
+    const render = (saved) => {
+        button.setAttribute('aria-pressed', String(saved));
+        button.classList.toggle(savedClass, saved);
+        button.textContent = saved ? text('portfolio.offline.saved', 'Salvo para ver offline') : saveLabel;
+        button.title = saved ? text('portfolio.offline.remove', 'Remover da lista offline') : '';
+    };
+
+    render(await offlineProjects.isSaved(project.id).catch(() => false));
+
+    button.addEventListener('click', async () => {
+        const saved = button.getAttribute('aria-pressed') === 'true';
+
+        button.disabled = true;
+        button.textContent = text('portfolio.offline.saving', 'Salvando…');
+
+        try {
+            let message;
+
+            if (saved) {
+                await offlineProjects.remove(project.id);
+                message = text('portfolio.offline.removedNotice', `${project.title} foi removido da lista offline.`, { title: project.title });
+            } else {
+                const images = getCarouselOfflineImages(carouselRoot);
+                await offlineProjects.save({ ...project, image: images[0].src, images }, { pageUrl });
+                message = text('portfolio.offline.savedNotice', `${project.title} foi salvo e pode ser visto sem conexão.`, { title: project.title });
+            }
+
+            render(!saved);
+            window.app?.accessibility?.announce(message);
+        } catch (error) {
+            console.warn('Erro ao salvar projeto para ver offline:', error);
+            render(saved);
+            window.app?.notifications?.show({
+                message: text('portfolio.offline.error', 'Não foi possível salvar o projeto. Verifique a conexão e tente de novo.'),
+                type: 'error',
+                duration: 4000
+            });
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+/**
+ * Carrossel de imagens do projeto
+ * Usado dentro do modal do portfólio: swipe, teclado, miniaturas e contador
+ */
+class ProjectCarousel {
+    constructor(root, images) {
+        this.root = root;
+        this.images = images;
+        this.currentIndex = 0;
+        this.track = root.querySelector('.carousel__track');
+        this.slides = root.querySelectorAll('.carousel__slide');
+        this.thumbnails = root.querySelectorAll('.carousel__thumbnail');
+        this.counter = root.querySelector('.carousel__counter');
+        this.pointerStart = null;
+        this.swipeThreshold = 50;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+    }
+
+    init() {
+        this.setupControls();
+        this.setupSwipe();
+        this.root.addEventListener('keydown', this.handleKeydown);
+        this.goTo(0, { announce: false });
+    }
+
+    /**
+     * Configurar botões e miniaturas
+     */
+    setupControls() {
+        const prevBtn = this.root.querySelector('.carousel__control--prev');
+        const nextBtn = this.root.querySelector('.carousel__control--next');
+
+        if (prevBtn) prevBtn.addEventListener('click', () => this.prev());
+        if (nextBtn) nextBtn.addEventListener('click', () => this.next());
+
+        this.thumbnails.forEach(thumbnail => {
+            thumbnail.addEventListener('click', () => {
+                this.goTo(Number(thumbnail.dataset.index));
+            });
+        });
+    }
+
+    /**
+     * Configurar gestos de swipe
+     */
+    setupSwipe() {
+        const viewport = this.root.querySelector('.carousel__viewport');
+        if (!viewport) return;
+
+        viewport.addEventListener('pointerdown', this.handlePointerDown);
+        viewport.addEventListener('pointerup', this.handlePointerUp);
+        viewport.addEventListener('pointercancel', () => { this.pointerStart = null; });
+    }
+
+    handlePointerDown(e) {
+        this.pointerStart = { x: e.clientX, y: e.clientY };
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointerStart) return;
+
+        const deltaX = e.clientX - this.pointerStart.x;
+        const deltaY = e.clientY - this.pointerStart.y;
+        this.pointerStart = null;
+
+        // Ignorar gestos predominantemente verticais (rolagem)
+        if (Math.abs(deltaX) < this.swipeThreshold || Math.abs(deltaX) < Math.abs(deltaY)) return;
+
+        if (deltaX < 0) {
+            this.next();
+        } else {
+            this.prev();
+        }
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowRight':
+                e.preventDefault();
+                this.next();
+                break;
+
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.prev();
+                break;
+
+            case 'Home':
+                e.preventDefault();
+                this.goTo(0);
+                break;
+
+            case 'End':
+                e.preventDefault();
+                this.goTo(this.images.length - 1);
+                break;
+        }
+    }
+
+    next() {
+        this.goTo((this.currentIndex + 1) % this.images.length);
+    }
+
+    prev() {
+        this.goTo((this.currentIndex - 1 + this.images.length) % this.images.length);
+    }
+
+    /**
+     * Ir para uma imagem específica
+     */
+    goTo(index, { announce = true } = {}) {
+        if (index < 0 || index >= this.images.length) return;
+
+        this.currentIndex = index;
+
+        if (this.track) {
+            this.track.style.transform = `translateX(-${index * 100}%)`;
+        }
+
+        this.slides.forEach((slide, slideIndex) => {
+            const isCurrent = slideIndex === index;
+            slide.classList.toggle('carousel__slide--active', isCurrent);
+            slide.setAttribute('aria-hidden', !isCurrent);
+        });
+
+        this.thumbnails.forEach((thumbnail, thumbnailIndex) => {
+            const isCurrent = thumbnailIndex === index;
+            thumbnail.classList.toggle('carousel__thumbnail--active', isCurrent);
+            if (isCurrent) {
+                thumbnail.setAttribute('aria-current', 'true');
+                thumbnail.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            } else {
+                thumbnail.removeAttribute('aria-current');
+            }
+        });
+
+        if (this.counter) {
+            this.counter.textContent = `${index + 1} / ${this.images.length}`;
+        }
+
+        this.preloadAround(index);
+
+        if (announce && window.app?.accessibility) {
+            const { caption } = this.images[index];
+            window.app.accessibility.announce(portfolioText(
+                'portfolio.carousel.announce',
+                `Imagem ${index + 1} de ${this.images.length}: ${caption}`,
+                { index: index + 1, total: this.images.length, caption }
+            ));
+        }
+    }
+
+    /**
+     * Pré-carregar imagem atual, anterior e próxima
+     */
+    preloadAround(index) {
+        const total = this.images.length;
+        const indexes = new Set([index, (index + 1) % total, (index - 1 + total) % total]);
+
+        indexes.forEach(i => {
+            const img = this.slides[i]?.querySelector('img[data-src]');
+            if (img) this.loadImage(img);
+        });
+    }
+
+    loadImage(img) {
+        const lazyLoader = window.app?.getModule?.('lazyLoading') || window.lazyLoadingManager;
+
+        if (typeof lazyLoader?.loadImage === 'function') {
+            try {
+                lazyLoader.loadImage(img);
+                return;
+            } catch (error) {
+                console.warn('Erro ao pré-carregar imagem do carrossel:', error);
+            }
+        }
+
+        // Fallback sem LazyLoadingManager (<source> do <picture> antes do <img>)
+        if (img.parentElement?.tagName === 'PICTURE') {
+            img.parentElement.querySelectorAll('source[data-srcset]').forEach(source => {
+                source.sizes = source.getAttribute('data-sizes') || '';
+                source.srcset = source.getAttribute('data-srcset');
+                source.removeAttribute('data-srcset');
+                source.removeAttribute('data-sizes');
+            });
+        }
+
+        if (img.hasAttribute('data-srcset')) {
+            img.sizes = img.getAttribute('data-sizes') || '';
+            img.srcset = img.getAttribute('data-srcset');
+            img.removeAttribute('data-srcset');
+            img.removeAttribute('data-sizes');
+        }
+
+        if (img.hasAttribute('data-src')) {
+            img.src = img.getAttribute('data-src');
+            img.removeAttribute('data-src');
+        }
+    }
+
+    getCurrentImage() {
+        return this.images[this.currentIndex];
+    }
+
+    destroy() {
+        this.root.removeEventListener('keydown', this.handleKeydown);
+        this.pointerStart = null;
+    }
+}
+
 /**
  * Gerenciador de portfólio
  */
@@ -15,7 +472,27 @@ class PortfolioManager {
         this.modal = document.querySelector('.modal');
         this.currentFilter = 'all';
         this.projects = [];
+        this.sourceProjects = [];
         this.filteredProjects = [];
+        this.manifestUrl = './assets/data/projects.json';
+        this.manifestVersion = null;
+        this.loadError = null;
+        this.carousel = null;
+        this.lightbox = null;
+        this.currentProject = null;
+        this.defaultSEO = null;
+        this.handleRoute = this.handleRoute.bind(this);
+        this.filters = typeof window.PortfolioFilters === 'function'
+            ? window.PortfolioFilters.fromSearch()
+            : null;
+        this.filtersForm = null;
+        this.resultsElement = null;
+        this.searchTimeout = null;
+        // Projetos salvos para ver offline (assets/js/offline-projects.js)
+        this.offlineProjects = window.offlineProjects || null;
+        this.updateOfflineState = this.updateOfflineState.bind(this);
+        // Variantes AVIF/WebP/JPEG das fotos (assets/js/responsive-images.js)
+        this.responsiveImages = window.responsiveImages || null;
     }
 
     async init() {
@@ -24,54 +501,175 @@ class PortfolioManager {
         this.setupModal();
         this.setupKeyboardNavigation();
         this.setupIntersectionObserver();
+        this.setupRouting();
+        this.setupLanguage();
+        this.setupOffline();
     }
 
     /**
-     * Carregar projetos (simulado por enquanto)
+     * Carregar projetos a partir do manifesto versionado
      */
     async loadProjects() {
-        // Simulação de carregamento de projetos
-        this.projects = [
-            {
-                id: 'padaria-treze-maio',
-                title: 'Padaria Treze de Maio',
-                category: 'comercial',
-                categoryText: 'Comercial',
-                image: './assets/images/Projeto 1/PADARIA TREZE DE MAIO - img 02.jpg',
-                description: `
-                    <p class="mb-4">Projeto desenvolvido para modernizar e otimizar a Padaria Treze de Maio, criando um ambiente acolhedor e funcional para clientes e funcionários.</p>
-                    <p>A área de vendas foi repensada com um layout que facilita a circulação dos clientes e valoriza os produtos. O uso de materiais como madeira clara e revestimentos cerâmicos confere personalidade e durabilidade ao espaço.</p>
-                `,
-                technologies: ['Design de Interiores', 'Layout Comercial', 'Materiais Sustentáveis']
-            },
-            {
-                id: 'miguel-veiculos',
-                title: 'Miguel Veículos',
-                category: 'comercial',
-                categoryText: 'Comercial',
-                image: './assets/images/Projeto 2/MIGUEL VEÍCULOS - img  (1).jpg',
-                description: `
-                    <p class="mb-4">Revitalização completa da loja Miguel Veículos, focando na criação de um ambiente moderno e profissional que transmite confiança aos clientes.</p>
-                    <p>O layout foi repensado para otimizar a exposição dos veículos e criar áreas distintas para atendimento. A identidade visual foi integrada ao projeto através de elementos gráficos e cores corporativas.</p>
-                `,
-                technologies: ['Arquitetura Comercial', 'Branding Integration', 'Iluminação LED']
-            },
-            {
-                id: 'projeto-residencial-3',
-                title: 'Projeto Residencial 3',
-                category: 'interiores',
-                categoryText: 'Design de Interiores',
-                image: './assets/images/Projeto 3/Captura de tela 2025-09-11 183958.png',
-                description: `
-                    <p class="mb-4">Projeto de design de interiores para residência particular, focando na criação de ambientes integrados e funcionais.</p>
-                    <p>O conceito desenvolve uma linguagem contemporânea com elementos que valorizam o conforto e a praticidade do dia a dia. A paleta de cores neutras e o uso inteligente da iluminação natural criam atmosferas acolhedoras.</p>
-                `,
-                technologies: ['Design de Interiores', 'Iluminação Natural', 'Materiais Premium']
+        this.loadError = null;
+        this.showLoadingState();
+
+        let manifest = null;
+
+        try {
+            manifest = await this.fetchManifest();
+            this.cacheManifest(manifest);
+        } catch (error) {
+            if (error instanceof ManifestValidationError) {
+                this.handleLoadError(error);
+                return;
             }
-        ];
 
-        this.filteredProjects = [...this.projects];
-        this.renderProjects();
+            // Sem rede: usar a última cópia válida em cache
+            console.warn('Erro ao buscar manifesto de projetos, usando cache:', error);
+            manifest = this.getCachedManifest();
+
+            if (!manifest) {
+                this.handleLoadError(error);
+                return;
+            }
+        }
+
+        // Sem o manifesto de imagens, grid e modal usam as fotos originais
+        await this.responsiveImages?.load();
+
+        this.manifestVersion = manifest.version;
+        this.sourceProjects = manifest.projects;
+        this.projects = this.localizeProjects(this.sourceProjects);
+        this.renderFilterControls();
+        this.applyFilters({ updateURL: false });
+
+        if (window.app?.accessibility) {
+            const count = this.projects.length;
+            window.app.accessibility.announce(portfolioText(
+                'portfolio.loaded',
+                `${count} ${count === 1 ? 'projeto carregado' : 'projetos carregados'}`,
+                { count }
+            ));
+        }
+
+        // Recarga (ex.: "Tentar novamente") com rota de projeto pendente
+        if (this.defaultSEO) {
+            this.handleRoute();
+        }
+    }
+
+    /**
+     * Projetos com as traduções do idioma atual aplicadas
+     */
+    localizeProjects(projects) {
+        return window.i18n ? projects.map(project => window.i18n.localize(project)) : projects;
+    }
+
+    /**
+     * Troca de idioma: refazer filtros, lista e modal aberto com os textos traduzidos
+     */
+    setupLanguage() {
+        window.addEventListener('i18n:change', () => {
+            if (this.defaultSEO && window.i18n.has('meta.title')) {
+                this.defaultSEO.title = window.i18n.t('meta.title');
+            }
+
+            if (this.loadError || this.sourceProjects.length === 0) return;
+
+            this.projects = this.localizeProjects(this.sourceProjects);
+            this.renderFilterControls();
+            this.applyFilters({ updateURL: false });
+
+            if (this.currentProject) {
+                const project = this.getProjectById(this.currentProject.id);
+                if (this.carousel) {
+                    this.carousel.destroy();
+                    this.carousel = null;
+                }
+                this.openModal(project, { updateHistory: false });
+            }
+        });
+    }
+
+    /**
+     * Buscar e validar o manifesto de projetos
+     */
+    async fetchManifest() {
+        const response = await fetch(this.manifestUrl, {
+            cache: 'no-cache',
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        let manifest;
+        try {
+            manifest = await response.json();
+        } catch (error) {
+            throw new ManifestValidationError([
+                { path: '$', message: 'JSON inválido' }
+            ]);
+        }
+
+        const errors = validateProjectManifest(manifest);
+        if (errors.length > 0) {
+            throw new ManifestValidationError(errors);
+        }
+
+        return manifest;
+    }
+
+    /**
+     * Guardar manifesto válido para uso offline
+     */
+    cacheManifest(manifest) {
+        const optimizer = window.performanceOptimizer;
+        if (typeof optimizer?.cacheResource === 'function') {
+            optimizer.cacheResource(PROJECTS_CACHE_KEY, manifest, PROJECTS_CACHE_TTL);
+        }
+    }
+
+    /**
+     * Recuperar última cópia válida do manifesto
+     */
+    getCachedManifest() {
+        const optimizer = window.performanceOptimizer;
+        if (typeof optimizer?.getCachedResource !== 'function') return null;
+
+        const manifest = optimizer.getCachedResource(PROJECTS_CACHE_KEY);
+
+        // Revalidar: o cache pode ser de uma versão antiga do schema
+        if (!manifest || validateProjectManifest(manifest).length > 0) {
+            return null;
+        }
+
+        return manifest;
+    }
+
+    /**
+     * Tratar falha no carregamento dos projetos
+     */
+    handleLoadError(error) {
+        this.loadError = error;
+        this.projects = [];
+        this.sourceProjects = [];
+        this.filteredProjects = [];
+
+        if (error instanceof ManifestValidationError) {
+            console.group('❌ Manifesto de projetos inválido');
+            error.errors.forEach(({ path, message }) => console.error(`${path}: ${message}`));
+            console.groupEnd();
+        } else {
+            console.error('Erro ao carregar projetos:', error);
+        }
+
+        this.showErrorState(error);
+
+        if (window.app?.accessibility) {
+            window.app.accessibility.announce(portfolioText('portfolio.error.announce', 'Não foi possível carregar os projetos'), 'assertive');
+        }
     }
 
     /**
@@ -80,12 +678,23 @@ class PortfolioManager {
     renderProjects() {
         if (!this.portfolioContainer) return;
 
+        // Manter o estado de erro em vez de exibir um grid vazio
+        if (this.loadError) {
+            this.showErrorState(this.loadError);
+            return;
+        }
+
         // Mostrar loading skeleton inicialmente
         if (this.projects.length === 0) {
             this.showLoadingState();
             return;
         }
 
+        if (this.filteredProjects.length === 0) {
+            this.showEmptyState();
+            return;
+        }
+
         // Limpar container
         this.portfolioContainer.innerHTML = '';
 
@@ -93,7 +702,7 @@ class PortfolioManager {
         const grid = document.createElement('div');
         grid.className = 'portfolio__grid';
         grid.setAttribute('role', 'grid');
-        grid.setAttribute('aria-label', 'Galeria de projetos');
+        grid.setAttribute('aria-label', portfolioText('portfolio.gallery', 'Galeria de projetos'));
 
         this.filteredProjects.forEach((project, index) => {
             const projectElement = this.createProjectElement(project, index);
@@ -101,51 +710,35 @@ class PortfolioManager {
         });
 
         this.portfolioContainer.appendChild(grid);
-
-        // Anunciar carregamento para leitores de tela
-        if (window.app?.accessibility) {
-            window.app.accessibility.announce(`${this.filteredProjects.length} projetos carregados`);
-        }
+        this.updateOfflineState();
     }
 
     createProjectElement(project, index) {
         const article = document.createElement('article');
         article.className = 'portfolio__item';
         article.setAttribute('role', 'gridcell');
-        article.setAttribute('tabindex', '0');
-        article.setAttribute('aria-label', `${project.title} - ${project.categoryText}`);
         article.setAttribute('data-project-id', project.id);
 
-        article.innerHTML = `
-            <div class="portfolio__figure">
-                <img
-                    src="${project.image}"
-                    alt="${project.title} - ${project.categoryText}"
-                    class="portfolio__image"
-                    loading="lazy"
-                    width="400"
-                    height="300"
-                >
-                <div class="portfolio__caption">
-                    <h3 class="portfolio__title">${project.title}</h3>
-                    <p class="portfolio__category">${project.categoryText}</p>
-                </div>
-            </div>
-        `;
+        // Link real para a página estática (rastreadores, nova aba); clique simples abre o modal na página
+        article.innerHTML = ProjectTemplates.card(project, {
+            href: this.getProjectPageUrl(project),
+            images: this.responsiveImages
+        });
 
-        // Eventos
-        article.addEventListener('click', () => this.openModal(project));
-        article.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                this.openModal(project);
-            }
+        article.querySelector('.portfolio__link').addEventListener('click', (e) => {
+            if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+            e.preventDefault();
+            this.openModal(project);
         });
 
         return article;
     }
 
     showLoadingState() {
+        // Grid pré-renderizado no index.html (scripts/generate-project-pages.js): manter os cards até o manifesto carregar
+        if (this.portfolioContainer.querySelector('.portfolio__item[data-project-id]')) return;
+
         this.portfolioContainer.innerHTML = `
             <div class="portfolio__grid">
                 ${Array(6).fill().map(() => `
@@ -159,6 +752,47 @@ class PortfolioManager {
         `;
     }
 
+    showEmptyState() {
+        this.portfolioContainer.innerHTML = `
+            <div class="portfolio__empty">
+                <p class="portfolio__empty-message">${escapeHTML(portfolioText('portfolio.filters.empty', 'Nenhum projeto encontrado com os filtros selecionados.'))}</p>
+                <button type="button" class="btn btn--outline portfolio__clear-filters">${escapeHTML(portfolioText('portfolio.filters.reset', 'Limpar filtros'))}</button>
+            </div>
+        `;
+
+        const clearButton = this.portfolioContainer.querySelector('.portfolio__clear-filters');
+        clearButton.addEventListener('click', () => this.resetFilters());
+    }
+
+    /**
+     * Mostrar estado de erro
+     */
+    showErrorState(error) {
+        if (!this.portfolioContainer) return;
+
+        const details = error instanceof ManifestValidationError
+            ? `
+                <details class="portfolio__error-details">
+                    <summary>${escapeHTML(portfolioText('portfolio.error.details', 'Detalhes técnicos'))}</summary>
+                    <ul>
+                        ${error.errors.map(({ path, message }) => `<li><code>${escapeHTML(path)}</code>: ${escapeHTML(message)}</li>`).join('')}
+                    </ul>
+                </details>
+            `
+            : '';
+
+        this.portfolioContainer.innerHTML = `
+            <div class="portfolio__error" role="alert">
+                <p class="portfolio__error-message">${escapeHTML(portfolioText('portfolio.error.message', 'Não foi possível carregar os projetos no momento.'))}</p>
+                <button type="button" class="btn btn--outline portfolio__retry">${escapeHTML(portfolioText('portfolio.error.retry', 'Tentar novamente'))}</button>
+                ${details}
+            </div>
+        `;
+
+        const retryButton = this.portfolioContainer.querySelector('.portfolio__retry');
+        retryButton.addEventListener('click', () => this.loadProjects());
+    }
+
     /**
      * Configurar filtros
      */
@@ -176,31 +810,191 @@ class PortfolioManager {
                 }
             });
         });
+
+        this.syncFilterControls();
     }
 
-    setActiveFilter(filter) {
-        // Atualizar botões ativos
+    /**
+     * Criar/atualizar controles de busca, facetas e ordenação
+     */
+    renderFilterControls() {
+        if (!this.filters || !this.portfolioContainer) return;
+
+        if (!this.filtersForm) {
+            this.filtersForm = document.createElement('form');
+            this.filtersForm.className = 'portfolio__filters';
+            this.filtersForm.setAttribute('role', 'search');
+
+            // Região viva da própria página: o total é lido a cada mudança de filtro (sem depender do app.js)
+            this.resultsElement = document.createElement('p');
+            this.resultsElement.className = 'portfolio__results';
+            this.resultsElement.setAttribute('role', 'status');
+            this.resultsElement.setAttribute('aria-live', 'polite');
+
+            this.portfolioContainer.before(this.filtersForm, this.resultsElement);
+            this.setupFilterFormEvents();
+        }
+
+        this.filtersForm.setAttribute('aria-label', portfolioText('portfolio.filters.label', 'Filtrar projetos'));
+
+        const facets = window.PortfolioFilters.getFacetOptions(this.projects);
+        const categories = PROJECT_CATEGORIES
+            .map(category => this.projects.find(project => project.category === category))
+            .filter(Boolean)
+            .map(project => ({ value: project.category, label: project.categoryText }));
+
+        const select = (name, label, allLabel, options) => {
+            if (options.length === 0) return '';
+
+            return `
+                <div class="portfolio__filter">
+                    <label class="portfolio__filter-label" for="portfolio-filter-${name}">${escapeHTML(label)}</label>
+                    <select class="portfolio__filter-input" id="portfolio-filter-${name}" name="${name}">
+                        ${allLabel !== null ? `<option value="">${escapeHTML(allLabel)}</option>` : ''}
+                        ${options.map(option => `<option value="${escapeHTML(option.value)}">${escapeHTML(option.label)}</option>`).join('')}
+                    </select>
+                </div>
+            `;
+        };
+
+        const toOptions = (values) => values.map(value => ({ value: String(value), label: String(value) }));
+        // Faixas de área e ordenações têm rótulo em português em portfolio-filters.js; o catálogo traduz pelo id
+        const toTranslatedOptions = (group, options) => options.map(option => ({
+            value: option.id,
+            label: portfolioText(`portfolio.filters.${group}.${option.id}`, option.label)
+        }));
+
+        this.filtersForm.innerHTML = `
+            <div class="portfolio__filter portfolio__filter--search">
+                <label class="portfolio__filter-label" for="portfolio-filter-query">${escapeHTML(portfolioText('portfolio.filters.search', 'Buscar'))}</label>
+                <input
+                    type="search"
+                    class="portfolio__filter-input"
+                    id="portfolio-filter-query"
+                    name="query"
+                    placeholder="${escapeHTML(portfolioText('portfolio.filters.searchPlaceholder', 'Nome ou descrição do projeto'))}"
+                    autocomplete="off"
+                >
+            </div>
+
+            ${this.filterButtons.length === 0 ? select('category', portfolioText('portfolio.filters.category', 'Categoria'), portfolioText('portfolio.filters.any.category', 'Todas'), categories) : ''}
+            ${select('year', portfolioText('portfolio.filters.year', 'Ano'), portfolioText('portfolio.filters.any.year', 'Todos'), toOptions(facets.years))}
+            ${select('area', portfolioText('portfolio.filters.area', 'Área'), portfolioText('portfolio.filters.any.area', 'Todas'), toTranslatedOptions('areas', facets.areas))}
+            ${select('city', portfolioText('portfolio.filters.city', 'Cidade'), portfolioText('portfolio.filters.any.city', 'Todas'), toOptions(facets.cities))}
+            ${select('tag', portfolioText('portfolio.filters.tag', 'Especialidade'), portfolioText('portfolio.filters.any.tag', 'Todas'), toOptions(facets.tags))}
+            ${select('sort', portfolioText('portfolio.filters.sort', 'Ordenar por'), null, toTranslatedOptions('sorts', facets.sorts))}
+
+            <button type="reset" class="btn btn--outline portfolio__filter-reset">${escapeHTML(portfolioText('portfolio.filters.reset', 'Limpar filtros'))}</button>
+        `;
+
+        this.syncFilterControls();
+    }
+
+    setupFilterFormEvents() {
+        this.filtersForm.addEventListener('submit', (e) => e.preventDefault());
+
+        this.filtersForm.addEventListener('reset', (e) => {
+            e.preventDefault();
+            this.resetFilters();
+        });
+
+        // Busca com debounce para não re-renderizar a cada tecla
+        this.filtersForm.addEventListener('input', (e) => {
+            if (e.target.name !== 'query') return;
+
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => {
+                this.filters.set({ query: e.target.value.trim() });
+                this.applyFilters();
+            }, 300);
+        });
+
+        this.filtersForm.addEventListener('change', (e) => {
+            const { name, value } = e.target;
+            if (!name || name === 'query') return;
+
+            this.filters.set({ [name]: name === 'category' ? (value || 'all') : value });
+            this.applyFilters();
+        });
+    }
+
+    /**
+     * Refletir o estado dos filtros nos controles
+     */
+    syncFilterControls() {
+        const category = this.filters ? this.filters.state.category : this.currentFilter;
+
         this.filterButtons.forEach(btn => {
-            btn.classList.toggle('filter-btn--active', btn.dataset.filter === filter);
-            btn.setAttribute('aria-pressed', btn.dataset.filter === filter);
+            btn.classList.toggle('filter-btn--active', btn.dataset.filter === category);
+            btn.setAttribute('aria-pressed', btn.dataset.filter === category);
         });
 
-        // Filtrar projetos
-        this.currentFilter = filter;
-        if (filter === 'all') {
-            this.filteredProjects = [...this.projects];
-        } else {
-            this.filteredProjects = this.projects.filter(project => project.category === filter);
+        if (!this.filtersForm) return;
+
+        Object.entries(this.filters.state).forEach(([name, value]) => {
+            const control = this.filtersForm.elements.namedItem(name);
+            if (!control) return;
+
+            control.value = name === 'category' && value === 'all' ? '' : value;
+
+            // Valor da URL sem opção correspondente (ex.: ano inexistente)
+            if (control.tagName === 'SELECT' && control.value !== String(value) && !(name === 'category' && value === 'all')) {
+                this.filters.set({ [name]: PortfolioFilters.getDefaultState()[name] });
+                control.value = control.options[0]?.value || '';
+            }
+        });
+    }
+
+    /**
+     * Aplicar filtros, atualizar URL e anunciar resultados
+     */
+    applyFilters({ updateURL = true } = {}) {
+        if (!this.filters) {
+            this.filteredProjects = this.currentFilter === 'all'
+                ? [...this.projects]
+                : this.projects.filter(project => project.category === this.currentFilter);
+            this.renderProjects();
+            return;
         }
 
-        // Re-renderizar
+        this.currentFilter = this.filters.state.category;
+        this.filteredProjects = this.filters.apply(this.projects);
+
+        this.syncFilterControls();
         this.renderProjects();
 
-        // Anunciar filtro para leitores de tela
-        const filterText = filter === 'all' ? 'todos os projetos' : `projetos ${filter}`;
-        if (window.app?.accessibility) {
-            window.app.accessibility.announce(`Filtrando por ${filterText}`);
+        const count = this.filteredProjects.length;
+        const resultsText = portfolioText('portfolio.results', `${count} ${count === 1 ? 'resultado' : 'resultados'}`, { count });
+
+        if (this.resultsElement) {
+            this.resultsElement.textContent = resultsText;
+        }
+
+        if (updateURL) {
+            const { pathname, hash } = window.location;
+            history.replaceState(history.state, '', `${pathname}${this.filters.toSearch()}${hash}`);
+        }
+    }
+
+    resetFilters() {
+        if (this.filters) {
+            this.filters.reset();
+        } else {
+            this.currentFilter = 'all';
+        }
+
+        this.applyFilters();
+    }
+
+    setActiveFilter(filter) {
+        if (this.filters) {
+            this.filters.set({ category: filter });
+        } else {
+            this.currentFilter = filter;
+            this.syncFilterControls();
         }
+
+        this.applyFilters();
     }
 
     /**
@@ -238,18 +1032,159 @@ class PortfolioManager {
         });
     }
 
-    openModal(project) {
+    /**
+     * Configurar rotas de projeto (#/projetos/<id> ou ?projeto=<id>)
+     */
+    setupRouting() {
+        this.defaultSEO = {
+            title: document.title,
+            description: document.querySelector('meta[name="description"]')?.content || ''
+        };
+
+        window.addEventListener('popstate', this.handleRoute);
+        window.addEventListener('hashchange', this.handleRoute);
+
+        // Abrir projeto do link compartilhado
+        this.handleRoute();
+    }
+
+    getProjectIdFromLocation() {
+        const { hash, search } = window.location;
+
+        if (hash.startsWith(PROJECT_ROUTE_PREFIX)) {
+            return decodeURIComponent(hash.slice(PROJECT_ROUTE_PREFIX.length)).replace(/\/$/, '');
+        }
+
+        return new URLSearchParams(search).get(PROJECT_QUERY_PARAM);
+    }
+
+    getProjectUrl(project) {
+        return `${window.location.pathname}${this.getSearchWithoutProject()}${PROJECT_ROUTE_PREFIX}${encodeURIComponent(project.id)}`;
+    }
+
+    /**
+     * Página estática do projeto no idioma atual (en/projetos/x/), relativa à raiz do site
+     */
+    getProjectPageUrl(project) {
+        const path = PROJECT_PAGE_PATH.replace('{id}', encodeURIComponent(project.id));
+        return window.i18n ? window.i18n.getLocalizedPath(path) : path;
+    }
+
+    getBaseUrl() {
+        return `${window.location.pathname}${this.getSearchWithoutProject()}`;
+    }
+
+    getSearchWithoutProject() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete(PROJECT_QUERY_PARAM);
+        const search = params.toString();
+        return search ? `?${search}` : '';
+    }
+
+    /**
+     * Sincronizar modal com a URL atual
+     */
+    handleRoute() {
+        // Sem projetos carregados não há como resolver a rota; loadProjects tenta de novo
+        if (this.loadError || this.projects.length === 0) return;
+
+        const projectId = this.getProjectIdFromLocation();
+
+        if (!projectId) {
+            if (this.currentProject) {
+                this.closeModal({ updateHistory: false });
+            }
+            return;
+        }
+
+        if (this.currentProject?.id === projectId) return;
+
+        const project = this.getProjectById(projectId);
+
+        if (!project) {
+            console.warn(`Projeto não encontrado na rota: ${projectId}`);
+            history.replaceState(null, '', this.getBaseUrl());
+
+            if (window.app?.accessibility) {
+                window.app.accessibility.announce(portfolioText('portfolio.notFound', 'Projeto não encontrado'));
+            }
+            return;
+        }
+
+        this.openModal(project, { updateHistory: false });
+    }
+
+    /**
+     * Atualizar título e descrição enquanto o projeto está aberto
+     * Sem o SEOManager (seo.js não é carregado no index.html), altera <title> e a meta description direto
+     */
+    updateSEO(project) {
+        const seo = window.seoManager;
+        if (!this.defaultSEO) return;
+
+        const title = project
+            ? `${project.title} | ${this.defaultSEO.title}`
+            : this.defaultSEO.title;
+        const description = project
+            ? project.description[0]
+            : this.defaultSEO.description;
+
+        try {
+            if (typeof seo?.updateTitle === 'function') {
+                seo.updateTitle(title);
+            } else {
+                document.title = title;
+            }
+
+            if (typeof seo?.updateMetaDescription === 'function' && description) {
+                seo.updateMetaDescription(description);
+            } else if (description) {
+                document.querySelector('meta[name="description"]')?.setAttribute('content', description);
+            }
+        } catch (error) {
+            console.warn('Erro ao atualizar SEO do projeto:', error);
+        }
+    }
+
+    openModal(project, { updateHistory = true } = {}) {
         if (!this.modal) return;
 
         const modalContent = this.modal.querySelector('.modal__body');
         if (!modalContent) return;
 
         modalContent.innerHTML = this.createModalContent(project);
+        this.setupOfflineSave(project, modalContent);
+
+        const carouselRoot = modalContent.querySelector('.carousel');
+        if (carouselRoot) {
+            this.carousel = new ProjectCarousel(carouselRoot, project.images);
+            this.carousel.init();
+        }
+
+        const openImageBtn = modalContent.querySelector('.modal__open-image');
+        if (openImageBtn) {
+            openImageBtn.addEventListener('click', () => this.openLightbox(project, openImageBtn));
+        }
+
+        modalContent.querySelector('.modal__dismiss')?.addEventListener('click', () => this.closeModal());
 
         this.modal.classList.add('modal--open');
         this.modal.setAttribute('aria-hidden', 'false');
         document.body.style.overflow = 'hidden';
 
+        // Trocar de projeto com o modal aberto substitui a entrada do histórico
+        if (updateHistory && this.getProjectIdFromLocation() !== project.id) {
+            const state = { portfolioProjectId: project.id };
+            if (this.currentProject && history.state?.portfolioProjectId) {
+                history.replaceState(state, '', this.getProjectUrl(project));
+            } else {
+                history.pushState(state, '', this.getProjectUrl(project));
+            }
+        }
+
+        this.currentProject = project;
+        this.updateSEO(project);
+
         // Focus no modal
         const firstFocusable = modalContent.querySelector('button, [tabindex]:not([tabindex="-1"])');
         if (firstFocusable) {
@@ -258,67 +1193,171 @@ class PortfolioManager {
 
         // Anunciar modal para leitores de tela
         if (window.app?.accessibility) {
-            window.app.accessibility.announce(`Modal aberto: ${project.title}`);
+            window.app.accessibility.announce(portfolioText('portfolio.modal.opened', `Modal aberto: ${project.title}`, { title: project.title }));
         }
     }
 
+    /**
+     * Mesmos templates das páginas estáticas de projeto (assets/js/project-templates.js)
+     */
     createModalContent(project) {
         return `
-            <div class="modal__header">
-                <h2 class="modal__title" id="modal-title">${project.title}</h2>
-                <span class="modal__category category-${project.category}">${project.categoryText}</span>
-            </div>
-
-            <div class="modal__content">
-                <div class="modal__image">
-                    <img
-                        src="${project.image}"
-                        alt="${project.title}"
-                        loading="lazy"
-                        width="600"
-                        height="400"
-                    >
-                </div>
-
-                <div class="modal__description">
-                    ${project.description}
-
-                    <div class="modal__technologies">
-                        <h3>Tecnologias Utilizadas:</h3>
-                        <ul>
-                            ${project.technologies.map(tech => `<li>${tech}</li>`).join('')}
-                        </ul>
-                    </div>
-                </div>
-            </div>
+            ${ProjectTemplates.details(project, { text: portfolioText, images: this.responsiveImages })}
 
             <div class="modal__actions">
-                <button class="btn btn--primary" onclick="window.open('${project.image}', '_blank')">
-                    Ver Imagem Completa
+                <button type="button" class="btn btn--primary modal__open-image">
+                    ${escapeHTML(portfolioText('portfolio.modal.fullscreen', 'Ver em Tela Cheia'))}
                 </button>
-                <button class="btn" onclick="window.portfolioManager.closeModal()">
-                    Fechar
+                ${this.offlineProjects ? `
+                    <button type="button" class="btn modal__save-offline" aria-pressed="false">
+                        ${escapeHTML(portfolioText('portfolio.offline.save', 'Salvar para ver offline'))}
+                    </button>
+                ` : ''}
+                <button type="button" class="btn modal__dismiss">
+                    ${escapeHTML(portfolioText('portfolio.modal.close', 'Fechar'))}
                 </button>
             </div>
         `;
     }
 
-    closeModal() {
+    /**
+     * OFFLINE
+     * Sem conexão, o grid marca projetos sem imagens em cache e o modal troca imagens que não carregam por um aviso
+     */
+    setupOffline() {
+        window.addEventListener('online', this.updateOfflineState);
+        window.addEventListener('offline', this.updateOfflineState);
+        // Emitido por PerformanceOptimizer.handleNetworkChange() e por OfflineProjects ao salvar/remover
+        window.addEventListener('network:change', this.updateOfflineState);
+        window.addEventListener('offline-projects:change', this.updateOfflineState);
+
+        // 'error' não propaga: captura para as imagens do carrossel inseridas depois
+        this.modal?.addEventListener('error', (e) => {
+            if (e.target.tagName !== 'IMG' || navigator.onLine) return;
+
+            const figure = e.target.closest('.carousel__figure');
+            if (figure) {
+                figure.classList.add('carousel__figure--unavailable');
+                figure.dataset.unavailable = portfolioText('portfolio.offline.imageUnavailable', 'Imagem indisponível sem conexão');
+            }
+        }, true);
+    }
+
+    /**
+     * Marcar no grid os projetos que não podem ser vistos sem conexão
+     */
+    async updateOfflineState() {
+        if (!this.portfolioContainer) return;
+
+        const offline = !navigator.onLine;
+        const items = this.portfolioContainer.querySelectorAll('.portfolio__item[data-project-id]');
+
+        await Promise.all(Array.from(items).map(async item => {
+            const project = this.getProjectById(item.dataset.projectId);
+            let available = true;
+
+            if (offline && project && this.offlineProjects) {
+                // Capa como o navegador a exibe (variante responsiva escolhida), ou a original
+                const cover = item.querySelector('.portfolio__image')?.currentSrc || project.image;
+                available = await this.offlineProjects.isCached(cover).catch(() => true);
+            }
+
+            item.classList.toggle('portfolio__item--unavailable', !available);
+            item.querySelector('.portfolio__offline-badge')?.remove();
+
+            if (!available) {
+                const badge = document.createElement('span');
+                badge.className = 'portfolio__offline-badge';
+                badge.textContent = portfolioText('portfolio.offline.unavailable', 'Indisponível offline');
+                item.querySelector('.portfolio__figure')?.appendChild(badge);
+            }
+        }));
+    }
+
+    /**
+     * Botão "salvar para ver offline" do modal
+     */
+    setupOfflineSave(project, root) {
+        const button = root.querySelector('.modal__save-offline');
+        if (!button) return;
+
+        // Página estática do idioma atual
+        const pageUrl = new URL(this.getProjectPageUrl(project), document.baseURI).href;
+        bindOfflineSaveButton(button, project, {
+            offlineProjects: this.offlineProjects,
+            carouselRoot: root.querySelector('.carousel'),
+            pageUrl,
+            savedClass: 'modal__save-offline--saved'
+        });
+    }
+
+    /**
+     * Abrir lightbox a partir do modal
+     */
+    openLightbox(project, trigger) {
+        const startIndex = this.carousel ? this.carousel.currentIndex : 0;
+
+        if (typeof window.Lightbox !== 'function') {
+            window.open(encodeURI(project.images[startIndex].src), '_blank', 'noopener');
+            return;
+        }
+
+        if (!this.lightbox) {
+            this.lightbox = new window.Lightbox();
+        }
+
+        this.lightbox.open(project.images, startIndex, {
+            // Foco volta ao botão dentro do modal, onde trapFocus continua valendo
+            returnFocusTo: trigger,
+            onClose: (index) => {
+                if (this.carousel) {
+                    this.carousel.goTo(index, { announce: false });
+                }
+            }
+        });
+    }
+
+    closeModal({ updateHistory = true } = {}) {
         if (!this.modal) return;
 
+        const closedProject = this.currentProject;
+        const wasOpen = Boolean(closedProject);
+        this.currentProject = null;
+
+        if (wasOpen) {
+            this.updateSEO(null);
+
+            if (updateHistory && this.getProjectIdFromLocation()) {
+                if (history.state?.portfolioProjectId) {
+                    // Entrada criada por openModal: voltar mantém o histórico limpo
+                    history.back();
+                } else {
+                    // Acesso direto pelo link compartilhado: apenas limpar a URL
+                    history.replaceState(null, '', this.getBaseUrl());
+                }
+            }
+        }
+
+        if (this.carousel) {
+            this.carousel.destroy();
+            this.carousel = null;
+        }
+
         this.modal.classList.remove('modal--open');
         this.modal.setAttribute('aria-hidden', 'true');
         document.body.style.overflow = '';
 
-        // Retornar focus
-        const lastFocused = document.querySelector('.portfolio__item[tabindex="0"]');
+        // Retornar focus ao link do projeto fechado
+        const lastFocused = closedProject
+            ? document.querySelector(`.portfolio__item[data-project-id="${closedProject.id}"] .portfolio__link`)
+            : null;
         if (lastFocused) {
             lastFocused.focus();
         }
 
         // Anunciar fechamento
         if (window.app?.accessibility) {
-            window.app.accessibility.announce('Modal fechado');
+            window.app.accessibility.announce(portfolioText('portfolio.modal.closed', 'Modal fechado'));
         }
     }
 
@@ -348,10 +1387,10 @@ class PortfolioManager {
      */
     setupKeyboardNavigation() {
         document.addEventListener('keydown', (e) => {
-            const items = document.querySelectorAll('.portfolio__item');
+            const items = document.querySelectorAll('.portfolio__link');
             const currentItem = document.activeElement;
 
-            if (!currentItem.classList.contains('portfolio__item')) return;
+            if (!currentItem.classList.contains('portfolio__link')) return;
 
             const currentIndex = Array.from(items).indexOf(currentItem);
 
@@ -420,8 +1459,20 @@ class PortfolioManager {
      * Cleanup
      */
     destroy() {
+        if (this.lightbox) {
+            this.lightbox.destroy();
+            this.lightbox = null;
+        }
+
+        window.removeEventListener('popstate', this.handleRoute);
+        window.removeEventListener('hashchange', this.handleRoute);
+        window.removeEventListener('online', this.updateOfflineState);
+        window.removeEventListener('offline', this.updateOfflineState);
+        window.removeEventListener('network:change', this.updateOfflineState);
+        window.removeEventListener('offline-projects:change', this.updateOfflineState);
+
         if (this.modal) {
-            this.closeModal();
+            this.closeModal({ updateHistory: false });
         }
     }
 }
@@ -429,7 +1480,55 @@ class PortfolioManager {
 // Inicialização
 document.addEventListener('DOMContentLoaded', () => {
     window.portfolioManager = new PortfolioManager();
+
+    // Página com o grid do portfólio (index.html): carregar o manifesto e montar grid, filtros e modal
+    if (window.portfolioManager.portfolioContainer) {
+        window.portfolioManager.init().catch(error => console.error('Falha ao iniciar o portfólio:', error));
+    }
+
+    // Página estática de projeto: carrossel sobre as imagens já renderizadas
+    document.querySelectorAll('.project-page .carousel').forEach(root => {
+        const images = Array.from(root.querySelectorAll('.carousel__image')).map(img => ({
+            src: img.getAttribute('src'),
+            caption: img.alt
+        }));
+
+        new ProjectCarousel(root, images).init();
+    });
+
+    // Página estática de projeto: salvar a própria página e as imagens para ver offline
+    const pageSaveButton = document.querySelector('.project-page__save-offline');
+    if (pageSaveButton && window.offlineProjects) {
+        const page = document.querySelector('.project-page');
+        const project = {
+            id: page.dataset.projectId,
+            title: page.querySelector('#project-title').textContent.trim(),
+            categoryText: page.querySelector('.modal__category')?.textContent.trim() || ''
+        };
+
+        // Textos no idioma da página, gravados pelo gerador (scripts/generate-project-pages.js)
+        let labels = {};
+        try {
+            labels = JSON.parse(pageSaveButton.dataset.labels || '{}');
+        } catch (error) {
+            console.warn('data-labels inválido no botão offline:', error);
+        }
+
+        pageSaveButton.hidden = false;
+        bindOfflineSaveButton(pageSaveButton, project, {
+            offlineProjects: window.offlineProjects,
+            carouselRoot: page.querySelector('.carousel'),
+            pageUrl: `${window.location.origin}${window.location.pathname}`,
+            savedClass: 'project-page__save-offline--saved',
+            // Mesma interpolação ({title}) do I18n.t
+            text: (key, defaultValue, params = {}) => (labels[key]
+                ? labels[key].replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])))
+                : defaultValue)
+        });
+    }
 });
 
 // Exportar para uso global
 window.PortfolioManager = PortfolioManager;
+window.ManifestValidationError = ManifestValidationError;
+window.ProjectCarousel = ProjectCarousel;
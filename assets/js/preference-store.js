@@ -0,0 +1,268 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - PREFERÊNCIAS PERSISTIDAS
+ * Namespace único no localStorage com versão por módulo, migrações, validação pelos padrões e quarentena de dados corrompidos
+ */
+
+'use strict';
+
+const PREFERENCE_STORE_CONFIG = {
+    namespace: 'rafael-munaro',
+    quarantineKey: 'quarantine',
+    maxQuarantined: 10
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Manter só o que existe nos padrões e tem o mesmo tipo
+ * (padrão null aceita objeto ou null; objetos internos são conferidos recursivamente e completados com os padrões).
+ * Na raiz só ficam as chaves salvas, para o módulo saber o que foi escolha do usuário.
+ * Retorna undefined quando o valor inteiro é incompatível; descartes vão para `issues`.
+ */
+function sanitizeAgainst(defaults, value, path, issues) {
+    const label = path || '(raiz)';
+
+    if (typeOf(defaults) === 'object') {
+        if (typeOf(value) !== 'object') {
+            issues.push(label);
+            return undefined;
+        }
+
+        const result = path ? JSON.parse(JSON.stringify(defaults)) : {};
+        Object.keys(value).forEach(key => {
+            const keyPath = path ? `${path}.${key}` : key;
+
+            if (!(key in defaults)) {
+                issues.push(keyPath);
+                return;
+            }
+
+            const sanitized = sanitizeAgainst(defaults[key], value[key], keyPath, issues);
+            if (sanitized !== undefined) {
+                result[key] = sanitized;
+            }
+        });
+        return result;
+    }
+
+    if (defaults === null) {
+        if (value === null || typeOf(value) === 'object') return value;
+        issues.push(label);
+        return undefined;
+    }
+
+    if (typeOf(value) === typeOf(defaults)) return value;
+
+    issues.push(label);
+    return undefined;
+}
+
+/**
+ * Armazenamento de preferências
+ * Cada módulo registra um nome, a versão atual do formato, os padrões e as migrações
+ * (migrations[n] converte dados da versão n - 1 para n; dados sem envelope de chaves antigas são versão 0).
+ */
+class PreferenceStore {
+    constructor(config = {}) {
+        this.config = { ...PREFERENCE_STORE_CONFIG, ...config };
+        this.schemas = new Map();
+    }
+
+    register(name, schema) {
+        this.schemas.set(name, {
+            version: 1,
+            defaults: {},
+            migrations: {},
+            legacyKeys: [],
+            validate: null,
+            ...schema
+        });
+        return this;
+    }
+
+    getSchema(name) {
+        const schema = this.schemas.get(name);
+        if (!schema) {
+            throw new Error(`Preferência não registrada: ${name}`);
+        }
+        return schema;
+    }
+
+    key(name) {
+        return `${this.config.namespace}:${name}`;
+    }
+
+    /**
+     * Ler, migrar e validar; grava de volta no formato atual quando algo mudou
+     */
+    read(name) {
+        const schema = this.getSchema(name);
+        let raw = this.getItem(this.key(name));
+        let envelope;
+
+        if (raw === null) {
+            const legacy = this.readLegacy(schema);
+            if (!legacy) return null;
+
+            raw = legacy.raw;
+            envelope = { version: 0, data: legacy.data };
+        } else {
+            try {
+                envelope = JSON.parse(raw);
+            } catch (error) {
+                this.quarantine(name, raw, 'JSON inválido');
+                return null;
+            }
+        }
+
+        if (typeOf(envelope) !== 'object' || !Number.isInteger(envelope.version) || !('data' in envelope)) {
+            this.quarantine(name, raw, 'envelope sem versão');
+            return null;
+        }
+
+        if (envelope.version > schema.version) {
+            this.quarantine(name, raw, `versão ${envelope.version} mais nova que ${schema.version}`);
+            return null;
+        }
+
+        let data = envelope.data;
+        try {
+            for (let version = envelope.version + 1; version <= schema.version; version++) {
+                if (schema.migrations[version]) {
+                    data = schema.migrations[version](data);
+                }
+            }
+        } catch (error) {
+            this.quarantine(name, raw, `migração falhou: ${error.message}`);
+            return null;
+        }
+
+        const issues = [];
+        let clean = sanitizeAgainst(schema.defaults, data, '', issues);
+
+        if (clean === undefined) {
+            this.quarantine(name, raw, 'formato incompatível com os padrões');
+            return null;
+        }
+
+        if (schema.validate) {
+            clean = schema.validate(clean, issues);
+        }
+
+        if (issues.length > 0) {
+            console.warn(`Preferências "${name}": valores descartados`, issues);
+        }
+
+        if (envelope.version !== schema.version || issues.length > 0) {
+            this.write(name, clean);
+        }
+
+        return clean;
+    }
+
+    write(name, data) {
+        const schema = this.getSchema(name);
+
+        try {
+            localStorage.setItem(this.key(name), JSON.stringify({
+                version: schema.version,
+                savedAt: Date.now(),
+                data
+            }));
+            return true;
+        } catch (error) {
+            console.warn(`Falha ao salvar preferências "${name}":`, error);
+            return false;
+        }
+    }
+
+    remove(name) {
+        try {
+            localStorage.removeItem(this.key(name));
+        } catch (error) {
+            console.warn(`Falha ao remover preferências "${name}":`, error);
+        }
+    }
+
+    /**
+     * Chaves usadas antes do namespace: lidas uma vez (texto puro ou JSON) e removidas
+     */
+    readLegacy(schema) {
+        for (const key of schema.legacyKeys) {
+            const raw = this.getItem(key);
+            if (raw === null) continue;
+
+            try {
+                localStorage.removeItem(key);
+            } catch (error) {
+                // Sem acesso ao storage: a leitura já teria falhado
+            }
+
+            let data = raw;
+            try {
+                data = JSON.parse(raw);
+            } catch (error) {
+                // Valor antigo gravado como texto puro (ex.: 'dark')
+            }
+
+            return { raw, data };
+        }
+
+        return null;
+    }
+
+    /**
+     * QUARENTENA
+     * Dado corrompido sai da chave original (o módulo volta aos padrões) e fica guardado para diagnóstico
+     */
+    quarantine(name, raw, reason) {
+        console.warn(`⚠️ Preferências "${name}" em quarentena: ${reason}`);
+
+        try {
+            const entries = this.getQuarantine();
+            entries.push({ name, reason, raw, quarantinedAt: new Date().toISOString() });
+
+            localStorage.setItem(
+                this.key(this.config.quarantineKey),
+                JSON.stringify(entries.slice(-this.config.maxQuarantined))
+            );
+            localStorage.removeItem(this.key(name));
+        } catch (error) {
+            console.warn('Falha ao registrar quarentena:', error);
+        }
+    }
+
+    getQuarantine() {
+        try {
+            const entries = JSON.parse(this.getItem(this.key(this.config.quarantineKey)) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    clearQuarantine() {
+        this.remove(this.config.quarantineKey);
+    }
+
+    getItem(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (error) {
+            console.warn('localStorage indisponível:', error);
+            return null;
+        }
+    }
+}
+
+PreferenceStore.CONFIG = PREFERENCE_STORE_CONFIG;
+PreferenceStore.sanitize = sanitizeAgainst;
+
+// Disponível já no <head> (o ThemeService lê o tema antes da primeira pintura)
+window.preferenceStore = new PreferenceStore();
+
+// Exportar para uso global
+window.PreferenceStore = PreferenceStore;
@@ -0,0 +1,167 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - TEMPLATES DE PROJETO
+ * Marcação do card, dos detalhes e do carrossel do projeto, compartilhada pelo portfólio e pelas páginas geradas (scripts/generate-project-pages.js)
+ */
+
+'use strict';
+
+/**
+ * Escapar texto vindo do manifesto antes de inserir em HTML
+ */
+function escapeTemplateHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Texto padrão em português (o modal passa portfolioText; o gerador, os catálogos do idioma da página)
+ * Assinatura text(key, defaultValue, params): defaultValue já vem com os parâmetros aplicados
+ */
+function defaultProjectText(key, defaultValue) {
+    return defaultValue;
+}
+
+/**
+ * Foto de projeto: <picture> com as variantes AVIF/WebP/JPEG quando há manifesto de imagens
+ * (images: ResponsiveImages, assets/js/responsive-images.js), senão <img> com o original
+ */
+function renderProjectImage(src, { images = null, alt = '', className = '', sizes = 'carousel', width = null, height = null, lazy = false, attributes = '', placeholder = 'blur' } = {}) {
+    if (images) {
+        return images.render(src, { alt, className, sizes, width, height, lazy, attributes, placeholder });
+    }
+
+    return `<img ${lazy ? 'data-src' : 'src'}="${escapeTemplateHTML(src)}" alt="${escapeTemplateHTML(alt)}"${className ? ` class="${escapeTemplateHTML(className)}"` : ''}${attributes ? ` ${attributes}` : ''}${width ? ` width="${width}"` : ''}${height ? ` height="${height}"` : ''}>`;
+}
+
+/**
+ * Card do grid: link para a página estática com capa, título e categoria
+ * (grid do PortfolioManager e grid pré-renderizado no index.html pelo gerador)
+ */
+function renderProjectCard(project, { href, images = null } = {}) {
+    const title = escapeTemplateHTML(project.title);
+    const category = escapeTemplateHTML(project.categoryText);
+
+    return `
+            <a class="portfolio__link" href="${escapeTemplateHTML(href)}" aria-label="${title} - ${category}">
+            <div class="portfolio__figure">
+                ${renderProjectImage(project.image, {
+                    images,
+                    alt: `${project.title} - ${project.categoryText}`,
+                    className: 'portfolio__image',
+                    sizes: 'grid',
+                    attributes: 'loading="lazy"',
+                    width: 400,
+                    height: 300
+                })}
+                <div class="portfolio__caption">
+                    <h3 class="portfolio__title">${title}</h3>
+                    <p class="portfolio__category">${category}</p>
+                </div>
+            </div>
+            </a>
+        `;
+}
+
+/**
+ * Carrossel de imagens do projeto
+ * eager: todas as imagens com src (página estática, sem depender de JS); no modal só a primeira, o resto via data-src
+ */
+function renderProjectCarousel(project, { text = defaultProjectText, eager = false, images = null } = {}) {
+    const total = project.images.length;
+    const label = (key, defaultValue, params) => escapeTemplateHTML(text(key, defaultValue, params));
+
+    return `
+            <div class="carousel" role="region" aria-roledescription="${label('portfolio.carousel.roleDescription', 'carrossel')}" aria-label="${label('portfolio.carousel.label', `Imagens do projeto ${project.title}`, { title: project.title })}" tabindex="0">
+                <div class="carousel__viewport">
+                    <ul class="carousel__track">
+                        ${project.images.map((image, index) => `
+                            <li class="carousel__slide" role="group" aria-roledescription="${label('portfolio.carousel.slideRoleDescription', 'slide')}" aria-label="${label('portfolio.carousel.slide', `${index + 1} de ${total}`, { index: index + 1, total })}">
+                                <figure class="carousel__figure">
+                                    ${renderProjectImage(image.src, {
+                                        images,
+                                        alt: image.caption,
+                                        className: 'carousel__image',
+                                        lazy: index > 0 && !eager,
+                                        attributes: eager && index > 0 ? 'loading="lazy"' : '',
+                                        width: 600,
+                                        height: 400
+                                    })}
+                                    <figcaption class="carousel__caption">${escapeTemplateHTML(image.caption)}</figcaption>
+                                </figure>
+                            </li>
+                        `).join('')}
+                    </ul>
+
+                    ${total > 1 ? `
+                        <button type="button" class="carousel__control carousel__control--prev" aria-label="${label('portfolio.carousel.previous', 'Imagem anterior')}">
+                            <span aria-hidden="true">&lsaquo;</span>
+                        </button>
+                        <button type="button" class="carousel__control carousel__control--next" aria-label="${label('portfolio.carousel.next', 'Próxima imagem')}">
+                            <span aria-hidden="true">&rsaquo;</span>
+                        </button>
+                    ` : ''}
+                </div>
+
+                <p class="carousel__counter" aria-hidden="true">1 / ${total}</p>
+
+                ${total > 1 ? `
+                    <div class="carousel__thumbnails" aria-label="${label('portfolio.carousel.thumbnails', 'Miniaturas')}">
+                        ${project.images.map((image, index) => `
+                            <button type="button" class="carousel__thumbnail" data-index="${index}" aria-label="${label('portfolio.carousel.thumbnail', `Ver imagem ${index + 1}: ${image.caption}`, { index: index + 1, caption: image.caption })}">
+                                ${renderProjectImage(image.src, { images, sizes: 'thumbnail', placeholder: 'color', attributes: 'loading="lazy"', width: 80, height: 60 })}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+}
+
+/**
+ * Título, categoria, galeria, descrição e tecnologias
+ * (no modal o título é h2#modal-title; na página estática, h1)
+ */
+function renderProjectDetails(project, { text = defaultProjectText, titleTag = 'h2', titleId = 'modal-title', eager = false, images = null } = {}) {
+    return `
+            <div class="modal__header">
+                <${titleTag} class="modal__title" id="${titleId}">${escapeTemplateHTML(project.title)}</${titleTag}>
+                <span class="modal__category category-${escapeTemplateHTML(project.category)}">${escapeTemplateHTML(project.categoryText)}</span>
+            </div>
+
+            <div class="modal__content">
+                ${renderProjectCarousel(project, { text, eager, images })}
+
+                <div class="modal__description">
+                    ${project.description.map(paragraph => `<p class="mb-4">${escapeTemplateHTML(paragraph)}</p>`).join('')}
+
+                    <div class="modal__technologies">
+                        <h3>${escapeTemplateHTML(text('portfolio.modal.technologies', 'Tecnologias Utilizadas:'))}</h3>
+                        <ul>
+                            ${project.technologies.map(tech => `<li>${escapeTemplateHTML(tech)}</li>`).join('')}
+                        </ul>
+                    </div>
+                </div>
+            </div>
+        `;
+}
+
+const ProjectTemplates = {
+    escapeHTML: escapeTemplateHTML,
+    image: renderProjectImage,
+    card: renderProjectCard,
+    carousel: renderProjectCarousel,
+    details: renderProjectDetails
+};
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.ProjectTemplates = ProjectTemplates;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectTemplates;
+}
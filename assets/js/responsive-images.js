@@ -0,0 +1,275 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - IMAGENS RESPONSIVAS
+ * Variantes AVIF/WebP/JPEG das fotos de projeto (scripts/generate-responsive-images.js) e marcação <picture>/srcset/sizes,
+ * com placeholder (cor dominante e miniatura desfocada) até a foto carregar
+ * Usado pelo PortfolioManager, pelos templates de projeto (modal e páginas estáticas) e pelo carregamento preguiçoso
+ */
+
+'use strict';
+
+// Manifesto gravado pelo gerador, relativo à página do portfólio
+const RESPONSIVE_IMAGES_MANIFEST = './assets/data/images.json';
+const RESPONSIVE_IMAGES_MANIFEST_VERSION = 1;
+// Ordem das <source>: o navegador usa o primeiro tipo que suporta; JPEG fica no <img>
+const RESPONSIVE_IMAGE_FORMATS = [
+    { format: 'avif', type: 'image/avif' },
+    { format: 'webp', type: 'image/webp' },
+    { format: 'jpeg', type: 'image/jpeg' }
+];
+// Largura exibida em cada uso (components.css): grid de 1/2/3 colunas, carrossel até 960px, miniaturas de 80px
+const RESPONSIVE_IMAGE_SIZES = {
+    grid: '(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw',
+    carousel: '(min-width: 1024px) 960px, 100vw',
+    thumbnail: '80px'
+};
+// Variante JPEG do src (navegadores sem srcset e cópia salva para ver offline)
+const RESPONSIVE_IMAGE_FALLBACK_WIDTH = 1200;
+// Classe no <html> que ativa o fade do placeholder (components.css): sem este script, as fotos aparecem direto
+const RESPONSIVE_IMAGE_PLACEHOLDERS_CLASS = 'image-placeholders';
+
+/**
+ * Variantes responsivas das fotos de projeto
+ * Sem manifesto (não gerado ou fora do ar), todos os métodos devolvem a imagem original.
+ */
+class ResponsiveImages {
+    constructor({ manifest = null, base = './', manifestUrl = RESPONSIVE_IMAGES_MANIFEST } = {}) {
+        this.manifest = manifest;
+        // Prefixo até a raiz do site ('./' no portfólio, '../../' nas páginas de projeto)
+        this.base = base;
+        this.manifestUrl = manifestUrl;
+        this.loading = null;
+    }
+
+    /**
+     * Chave do manifesto: caminho a partir da raiz, sem ./, ../, origem, prefixo de idioma ou %20
+     */
+    static toKey(src) {
+        let key = String(src)
+            .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '')
+            .replace(/[?#].*$/, '')
+            .replace(/^(\.{1,2}\/)+/, '')
+            .replace(/^\/+/, '')
+            .replace(/^(en|es)\//i, '');
+
+        try {
+            key = decodeURI(key);
+        } catch (error) {
+            // Já decodificado (ex.: "%" no nome do arquivo)
+        }
+
+        return key;
+    }
+
+    static escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Buscar o manifesto uma única vez; falha não impede o portfólio (imagens originais)
+     */
+    load() {
+        if (this.manifest) return Promise.resolve(this.manifest);
+
+        if (!this.loading) {
+            this.loading = fetch(this.manifestUrl, { headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    return response.json();
+                })
+                .then(manifest => {
+                    if (manifest?.version !== RESPONSIVE_IMAGES_MANIFEST_VERSION || !manifest.images) {
+                        throw new Error(`versão não suportada (esperado ${RESPONSIVE_IMAGES_MANIFEST_VERSION})`);
+                    }
+
+                    this.manifest = manifest;
+                    return manifest;
+                })
+                .catch(error => {
+                    console.warn('Manifesto de imagens indisponível, usando as imagens originais:', error);
+                    this.loading = null;
+                    return null;
+                });
+        }
+
+        return this.loading;
+    }
+
+    get(src) {
+        return this.manifest?.images[ResponsiveImages.toKey(src)] || null;
+    }
+
+    getSrcset(entry, format) {
+        return (entry.formats[format] || [])
+            .map(variant => `${this.base}${variant.src} ${variant.width}w`)
+            .join(', ');
+    }
+
+    /**
+     * Maior variante de um formato até maxWidth (ou a menor, se todas passam do limite)
+     */
+    getVariant(entry, { format = 'jpeg', maxWidth = RESPONSIVE_IMAGE_FALLBACK_WIDTH } = {}) {
+        const variants = entry.formats[format] || [];
+        const variant = variants.filter(item => item.width <= maxWidth).pop() || variants[0];
+
+        return variant ? `${this.base}${variant.src}` : null;
+    }
+
+    /**
+     * src de uma imagem: variante JPEG quando há manifesto, senão o próprio original
+     */
+    getFallback(src, options) {
+        const entry = this.get(src);
+        return (entry && this.getVariant(entry, options)) || src;
+    }
+
+    /**
+     * Estilo do placeholder no <picture>: cor dominante e, com 'blur', a miniatura em base64
+     */
+    getPlaceholderStyle(entry, placeholder = 'blur') {
+        if (!placeholder || !entry.placeholder) return '';
+
+        const properties = [`--placeholder-color: ${entry.placeholder.color}`];
+        if (placeholder === 'blur' && entry.placeholder.image) {
+            properties.push(`--placeholder-image: url(${entry.placeholder.image})`);
+        }
+
+        return properties.join('; ');
+    }
+
+    /**
+     * <picture> com AVIF/WebP/JPEG, ou <img> simples quando a imagem não está no manifesto
+     * lazy: srcset/sizes/src em data-* para o carregamento preguiçoso (LazyLoadingManager, ProjectCarousel)
+     * placeholder: 'blur' (cor e miniatura), 'color' (miniaturas pequenas) ou false
+     * height segue a proporção real da foto, para o espaço reservado antes da carga não mudar (CLS)
+     */
+    render(src, { alt = '', className = '', sizes = 'carousel', width = null, height = null, lazy = false, attributes = '', placeholder = 'blur' } = {}) {
+        const escape = ResponsiveImages.escapeAttribute;
+        const entry = this.get(src);
+        const prefix = lazy ? 'data-' : '';
+        const sizesValue = RESPONSIVE_IMAGE_SIZES[sizes] || sizes;
+        const imageHeight = entry && width ? Math.round(width * entry.height / entry.width) : height;
+        const imageAttributes = [
+            `alt="${escape(alt)}"`,
+            className ? `class="${escape(className)}"` : '',
+            attributes,
+            width ? `width="${width}"` : '',
+            imageHeight ? `height="${imageHeight}"` : ''
+        ].filter(Boolean).join(' ');
+
+        if (!entry) {
+            return `<img ${prefix}src="${escape(src)}" ${imageAttributes}>`;
+        }
+
+        const placeholderStyle = this.getPlaceholderStyle(entry, placeholder);
+        const pictureAttributes = placeholderStyle
+            ? ` class="image-placeholder" style="${escape(placeholderStyle)}"`
+            : '';
+
+        const sources = RESPONSIVE_IMAGE_FORMATS
+            .filter(({ format }) => format !== 'jpeg' && entry.formats[format]?.length)
+            .map(({ format, type }) =>
+                `<source type="${type}" ${prefix}srcset="${escape(this.getSrcset(entry, format))}" ${prefix}sizes="${escape(sizesValue)}">`
+            );
+
+        return `<picture${pictureAttributes}>${sources.join('')}<img ${prefix}src="${escape(this.getVariant(entry))}" ${prefix}srcset="${escape(this.getSrcset(entry, 'jpeg'))}" ${prefix}sizes="${escape(sizesValue)}" ${imageAttributes}></picture>`;
+    }
+
+    /**
+     * Candidatos de srcset ("url 480w, ...") em { url, width }
+     */
+    static parseSrcset(value) {
+        return String(value || '')
+            .split(',')
+            .map(candidate => candidate.trim().split(/\s+/))
+            .filter(([url]) => url)
+            .map(([url, descriptor = '']) => ({ url, width: parseInt(descriptor, 10) || 0 }));
+    }
+
+    /**
+     * Listas de candidatos de um <img> e das <source> do mesmo <picture>, por tipo
+     */
+    static getCandidates(img) {
+        const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+        const elements = picture ? Array.from(picture.querySelectorAll('source, img')) : [img];
+
+        return elements.map(element => ({
+            type: element.getAttribute('type') || 'img',
+            candidates: ResponsiveImages.parseSrcset(element.getAttribute('srcset') || element.getAttribute('data-srcset'))
+        }));
+    }
+
+    /**
+     * Variante de img equivalente à que o navegador escolheu para reference (mesmo tipo e largura)
+     * Ex.: salvar para ver offline o AVIF de 800w de todos os slides, como o do slide visível.
+     */
+    static matchCurrentSource(img, reference) {
+        if (!reference?.currentSrc) return null;
+
+        const resolve = url => new URL(url, reference.ownerDocument.baseURI).href;
+        let chosen = null;
+
+        ResponsiveImages.getCandidates(reference).some(({ type, candidates }) => {
+            const candidate = candidates.find(item => resolve(item.url) === reference.currentSrc);
+            if (candidate) chosen = { type, width: candidate.width };
+            return Boolean(candidate);
+        });
+
+        if (!chosen) return null;
+
+        const list = ResponsiveImages.getCandidates(img).find(({ type }) => type === chosen.type);
+        const candidates = list?.candidates || [];
+        const match = candidates.find(item => item.width >= chosen.width) || candidates[candidates.length - 1];
+
+        return match ? resolve(match.url) : null;
+    }
+
+    /**
+     * Foto carregada: .loaded no <img> (mesma classe do LazyLoadingManager) e --loaded no <picture>, que some com o placeholder
+     */
+    static markLoaded(img) {
+        img.classList.add('loaded');
+        img.closest('.image-placeholder')?.classList.add('image-placeholder--loaded');
+    }
+
+    /**
+     * Fade do placeholder para a foto em todo o documento
+     * 'load' não propaga: captura no documento, inclusive para imagens inseridas depois (grid, modal).
+     * Imagens já carregadas antes deste script (página estática) são marcadas na mesma tarefa, sem piscar.
+     * Com erro (ex.: offline sem cache), o placeholder continua no lugar da foto.
+     */
+    static watchPlaceholders(root = document) {
+        root.documentElement.classList.add(RESPONSIVE_IMAGE_PLACEHOLDERS_CLASS);
+
+        root.addEventListener('load', (e) => {
+            if (e.target.tagName === 'IMG' && e.target.parentElement?.classList.contains('image-placeholder')) {
+                ResponsiveImages.markLoaded(e.target);
+            }
+        }, true);
+
+        root.querySelectorAll('.image-placeholder > img').forEach(img => {
+            if (img.complete && img.naturalWidth > 0) ResponsiveImages.markLoaded(img);
+        });
+    }
+}
+
+ResponsiveImages.MANIFEST_URL = RESPONSIVE_IMAGES_MANIFEST;
+ResponsiveImages.MANIFEST_VERSION = RESPONSIVE_IMAGES_MANIFEST_VERSION;
+ResponsiveImages.FORMATS = RESPONSIVE_IMAGE_FORMATS;
+ResponsiveImages.SIZES = RESPONSIVE_IMAGE_SIZES;
+ResponsiveImages.FALLBACK_WIDTH = RESPONSIVE_IMAGE_FALLBACK_WIDTH;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.ResponsiveImages = ResponsiveImages;
+    window.responsiveImages = new ResponsiveImages();
+    ResponsiveImages.watchPlaceholders(document);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponsiveImages;
+}
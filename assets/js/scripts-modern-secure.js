@@ -14,7 +14,7 @@ class RafaelMunaroSecureApp {
         }
 
         this.security = window.securityManager;
-        this.validator = this.security.inputValidator;
+        this.validator = new ValidationEngine(ValidationEngine.schemas.contact);
         this.rateLimiter = this.security.rateLimiter;
 
         this.init();
@@ -173,6 +173,9 @@ class RafaelMunaroSecureApp {
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(window.innerWidth, window.innerHeight);
         });
+
+        // Tema claro/escuro (evento do ThemeService)
+        window.addEventListener('themechange', (e) => this.updateParticleTheme(e.detail.theme));
     }
 
     initFormValidation() {
@@ -215,10 +218,12 @@ class RafaelMunaroSecureApp {
             });
 
             if (isValid) {
-                // Validar dados com o sistema de segurança
-                const validatedData = this.validator.validateFormData(formData);
-                if (validatedData) {
-                    this.submitSecureForm(contactForm, validatedData);
+                // Validar dados com as regras compartilhadas
+                const { valid, values } = this.validator.validate(formData, {
+                    fields: Array.from(formData.keys())
+                });
+                if (valid) {
+                    this.submitSecureForm(contactForm, values);
                 } else {
                     this.enhancedNotification('Dados do formulário inválidos. Verifique e tente novamente.', 'error');
                 }
@@ -227,71 +232,17 @@ class RafaelMunaroSecureApp {
     }
 
     validateField(field) {
-        const value = field.value.trim();
-        const fieldName = field.name;
-        let isValid = true;
-        let errorMessage = '';
+        const value = field.type === 'checkbox' ? field.checked : field.value.trim();
+        const { valid, message } = this.validator.validateField(field.name, value);
 
         // Limpar erro anterior
         this.clearFieldError(field);
 
-        switch (fieldName) {
-            case 'nome':
-                if (!value) {
-                    errorMessage = 'Nome é obrigatório';
-                    isValid = false;
-                } else if (value.length < 2) {
-                    errorMessage = 'Nome deve ter pelo menos 2 caracteres';
-                    isValid = false;
-                } else if (!this.validator.validateName(value)) {
-                    errorMessage = 'Nome contém caracteres inválidos';
-                    isValid = false;
-                }
-                break;
-
-            case 'email':
-                if (!value) {
-                    errorMessage = 'E-mail é obrigatório';
-                    isValid = false;
-                } else if (!this.validator.validateEmail(value)) {
-                    errorMessage = 'E-mail inválido';
-                    isValid = false;
-                }
-                break;
-
-            case 'telefone':
-                if (value && !this.validator.validatePhone(value)) {
-                    errorMessage = 'Telefone inválido';
-                    isValid = false;
-                }
-                break;
-
-            case 'mensagem':
-                if (!value) {
-                    errorMessage = 'Mensagem é obrigatória';
-                    isValid = false;
-                } else if (value.length < 10) {
-                    errorMessage = 'Mensagem deve ter pelo menos 10 caracteres';
-                    isValid = false;
-                } else if (!this.validator.validateMessage(value)) {
-                    errorMessage = 'Mensagem contém caracteres inválidos';
-                    isValid = false;
-                }
-                break;
-
-            case 'privacidade':
-                if (!field.checked) {
-                    errorMessage = 'Aceite a política de privacidade';
-                    isValid = false;
-                }
-                break;
+        if (!valid) {
+            this.showFieldError(field, message);
         }
 
-        if (!isValid) {
-            this.showFieldError(field, errorMessage);
-        }
-
-        return isValid;
+        return valid;
     }
 
     async submitSecureForm(form, validatedData) {
@@ -303,27 +254,20 @@ class RafaelMunaroSecureApp {
         submitBtn.disabled = true;
 
         try {
-            // Adicionar CSRF token
-            validatedData.csrf_token = this.security.csrfToken;
-
-            // Enviar dados de forma segura
-            const response = await fetch('/api/contact', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': this.security.csrfToken,
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                body: JSON.stringify(validatedData),
-                credentials: 'same-origin'
+            if (!window.ContactSubmission) {
+                throw new Error('Serviço de envio indisponível');
+            }
+
+            this.contactSubmission = this.contactSubmission || new ContactSubmission();
+            const result = await this.contactSubmission.submit(validatedData, {
+                csrfToken: this.security.csrfToken
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            if (result.handoff) {
+                this.enhancedNotification(result.message, 'info');
+                return;
             }
 
-            const result = await response.json();
-
             // Success animation
             gsap.to(form, {
                 scale: 0.98,
@@ -429,12 +373,8 @@ class RafaelMunaroSecureApp {
         const velocities = new Float32Array(particleCount * 3);
 
         // Paleta de cores premium
-        const colorPalette = [
-            new THREE.Color(0xB66C48),
-            new THREE.Color(0x545943),
-            new THREE.Color(0x9BA187),
-            new THREE.Color(0x8C421E),
-        ];
+        const theme = window.themeService ? window.themeService.getTheme() : 'light';
+        const colorPalette = this.getParticlePalette(theme);
 
         for (let i = 0; i < particleCount; i++) {
             const i3 = i * 3;
@@ -512,13 +452,42 @@ class RafaelMunaroSecureApp {
             fragmentShader,
             transparent: true,
             vertexColors: true,
-            blending: THREE.AdditiveBlending,
+            blending: this.getParticleBlending(theme),
         });
 
         this.particles = new THREE.Points(geometry, material);
         this.scene.add(this.particles);
     }
 
+    getParticlePalette(theme) {
+        const palette = theme === 'dark'
+            ? [0xC97E59, 0x9BA187, 0xB3B99F, 0xD4A574]
+            : [0xB66C48, 0x545943, 0x9BA187, 0x8C421E];
+
+        return palette.map(color => new THREE.Color(color));
+    }
+
+    getParticleBlending(theme) {
+        // Mistura aditiva só aparece sobre fundo escuro
+        return theme === 'dark' ? THREE.AdditiveBlending : THREE.NormalBlending;
+    }
+
+    updateParticleTheme(theme) {
+        if (!this.particles) return;
+
+        const palette = this.getParticlePalette(theme);
+        const colors = this.particles.geometry.getAttribute('color');
+
+        for (let i = 0; i < colors.count; i++) {
+            const color = palette[Math.floor(Math.random() * palette.length)];
+            colors.setXYZ(i, color.r, color.g, color.b);
+        }
+        colors.needsUpdate = true;
+
+        this.particles.material.blending = this.getParticleBlending(theme);
+        this.particles.material.needsUpdate = true;
+    }
+
     // Placeholder methods - implementações seguras (no-op) até serem definidas
     createOrganicGeometry() { /* no-op */ }
     createLightEffects() { /* no-op */ }
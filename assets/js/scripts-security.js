@@ -9,7 +9,7 @@ class SecurityManager {
     constructor() {
         this.init();
         this.csrfToken = this.generateCSRFToken();
-        this.rateLimiter = new RateLimiter();
+        this.rateLimiter = new RateLimiter('security');
         this.inputValidator = new InputValidator();
         this.environmentDetector = new EnvironmentDetector();
     // Flag de ambiente para aplicar endurecimentos apenas em dev
@@ -231,136 +231,6 @@ class SecurityManager {
     }
 }
 
-/**
- * VALIDADOR DE ENTRADAS
- */
-class InputValidator {
-    constructor() {
-        this.patterns = {
-            email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
-            phone: /^\+?[\d\s\-\(\)]{10,}$/,
-            name: /^[a-zA-ZÀ-ÿ\s]{2,50}$/,
-            message: /^[\w\sÀ-ÿ.,!?\-\n]{10,1000}$/
-        };
-    }
-
-    sanitize(input) {
-        if (typeof input !== 'string') return '';
-
-        return input
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/javascript:/gi, '')
-            .replace(/on\w+\s*=/gi, '')
-            .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')
-            .replace(/<object\b[^<]*(?:(?!<\/object>)<[^<]*)*<\/object>/gi, '')
-            .replace(/<embed\b[^<]*(?:(?!<\/embed>)<[^<]*)*<\/embed>/gi, '')
-            .trim();
-    }
-
-    validateEmail(email) {
-        const sanitized = this.sanitize(email);
-        return this.patterns.email.test(sanitized) ? sanitized : false;
-    }
-
-    validatePhone(phone) {
-        const sanitized = this.sanitize(phone);
-        return this.patterns.phone.test(sanitized) ? sanitized : false;
-    }
-
-    validateName(name) {
-        const sanitized = this.sanitize(name);
-        return this.patterns.name.test(sanitized) ? sanitized : false;
-    }
-
-    validateMessage(message) {
-        const sanitized = this.sanitize(message);
-        return this.patterns.message.test(sanitized) ? sanitized : false;
-    }
-
-    validateFormData(formData) {
-        const validated = {};
-        let isValid = true;
-
-        for (const [key, value] of formData.entries()) {
-            switch (key) {
-                case 'nome':
-                    validated[key] = this.validateName(value);
-                    break;
-                case 'email':
-                    validated[key] = this.validateEmail(value);
-                    break;
-                case 'telefone':
-                    validated[key] = this.validatePhone(value);
-                    break;
-                case 'mensagem':
-                    validated[key] = this.validateMessage(value);
-                    break;
-                default:
-                    validated[key] = this.sanitize(value);
-            }
-
-            if (!validated[key]) {
-                isValid = false;
-                console.warn(`Campo ${key} contém dados inválidos`);
-            }
-        }
-
-        return isValid ? validated : false;
-    }
-}
-
-/**
- * RATE LIMITER PARA PREVENIR ATAQUES DE FORÇA BRUTA
- */
-class RateLimiter {
-    constructor() {
-        this.attempts = new Map();
-        this.maxAttempts = 5;
-        this.timeWindow = 15 * 60 * 1000; // 15 minutos
-        this.blockDuration = 30 * 60 * 1000; // 30 minutos
-    }
-
-    canProceed(identifier) {
-        const now = Date.now();
-        const userAttempts = this.attempts.get(identifier) || [];
-
-        // Limpar tentativas antigas
-        const recentAttempts = userAttempts.filter(attempt => now - attempt < this.timeWindow);
-
-        if (recentAttempts.length >= this.maxAttempts) {
-            const lastAttempt = Math.max(...recentAttempts);
-            if (now - lastAttempt < this.blockDuration) {
-                return false; // Bloqueado
-            }
-        }
-
-        // Registrar nova tentativa
-        recentAttempts.push(now);
-        this.attempts.set(identifier, recentAttempts);
-
-        return true;
-    }
-
-    getRemainingTime(identifier) {
-        const userAttempts = this.attempts.get(identifier) || [];
-        if (userAttempts.length === 0) return 0;
-
-        const lastAttempt = Math.max(...userAttempts);
-        const now = Date.now();
-        const timeSinceLastAttempt = now - lastAttempt;
-
-        if (timeSinceLastAttempt < this.blockDuration) {
-            return this.blockDuration - timeSinceLastAttempt;
-        }
-
-        return 0;
-    }
-
-    reset(identifier) {
-        this.attempts.delete(identifier);
-    }
-}
-
 /**
  * DETECTOR DE AMBIENTE
  */
@@ -510,7 +380,5 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Exportar classes para uso global (se necessário)
 window.SecurityManager = SecurityManager;
-window.InputValidator = InputValidator;
-window.RateLimiter = RateLimiter;
 window.EnvironmentDetector = EnvironmentDetector;
 window.SecurityUtils = SecurityUtils;
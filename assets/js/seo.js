@@ -1,6 +1,7 @@
 /**
  * RAFAEL MUNARO ARQUITETURA - OTIMIZAÇÃO SEO
  * Sistema avançado de SEO com Schema.org e metadados estruturados
+ * Dados do escritório vêm de business-profile.js, carregado antes
  */
 
 'use strict';
@@ -9,8 +10,10 @@
  * Gerenciador de SEO
  */
 class SEOManager {
-    constructor() {
+    constructor(profile = window.businessProfile) {
+        this.profile = profile;
         this.structuredData = new Map();
+        this.structuredDataSources = new Map();
         this.metaTags = new Map();
         this.canonicalUrl = this.getCanonicalUrl();
         this.pageData = {};
@@ -22,6 +25,7 @@ class SEOManager {
         this.setupOpenGraph();
         this.setupTwitterCards();
         this.setupCanonicalURL();
+        this.setupLanguageSync();
         this.setupBreadcrumbs();
         this.setupSitemapIntegration();
         this.setupAnalytics();
@@ -40,96 +44,43 @@ class SEOManager {
      */
     setupStructuredData() {
         // Dados básicos da organização
+        const profile = this.profile;
+        const { name, description, founder } = profile.profile;
+
         const organizationData = {
             "@context": "https://schema.org",
             "@type": "ProfessionalService",
-            "name": "Rafael Munaro Arquitetura",
-            "description": "Arquiteto e Designer de Interiores especialista em Porto Alegre. Projetos com alma, espaços com identidade.",
+            "name": name,
+            "description": description,
             "url": this.canonicalUrl,
             "logo": `${window.location.origin}/assets/images/Perfil Rafael Munaro.png`,
             "image": `${window.location.origin}/assets/images/Perfil Rafael Munaro.png`,
             "founder": {
                 "@type": "Person",
-                "name": "Rafael Munaro",
-                "jobTitle": "Arquiteto e Designer de Interiores",
-                "image": `${window.location.origin}/assets/images/Perfil Rafael Munaro.png`
-            },
-            "address": {
-                "@type": "PostalAddress",
-                "streetAddress": "Rua Padre Fabiano, 1072",
-                "addressLocality": "Capivari",
-                "addressRegion": "SP",
-                "postalCode": "13360-000",
-                "addressCountry": "BR"
-            },
-            "geo": {
-                "@type": "GeoCoordinates",
-                "latitude": "-22.9953",
-                "longitude": "-47.4567"
+                "name": founder.name,
+                "jobTitle": founder.jobTitle,
+                "image": `${window.location.origin}${founder.image}`
             },
-            "contactPoint": {
-                "@type": "ContactPoint",
-                "telephone": "+55-19-99690-8104",
-                "contactType": "customer service",
-                "availableLanguage": "Portuguese"
-            },
-            "sameAs": [
-                "https://www.instagram.com/rafaelmunaro.arq/",
-                "https://www.facebook.com/rafael.munaro.2025",
-                "https://br.linkedin.com/in/rafael-soares-munaro"
-            ],
-            "areaServed": {
-                "@type": "City",
-                "name": "Porto Alegre",
-                "addressRegion": "RS",
-                "addressCountry": "BR"
-            }
+            "address": profile.getPostalAddress(),
+            "geo": profile.getGeoCoordinates(),
+            "telephone": profile.getPhone().number,
+            "email": profile.email,
+            "openingHours": profile.getOpeningHours(),
+            "priceRange": profile.profile.priceRange,
+            "contactPoint": profile.getContactPoints(),
+            "sameAs": profile.getSameAs(),
+            "areaServed": profile.getAreaServed()
         };
 
-        this.addStructuredData('organization', organizationData);
+        this.addStructuredData('organization', organizationData, 'setupStructuredData');
 
         // Serviços oferecidos
         const servicesData = {
             "@context": "https://schema.org",
-            "@type": "OfferCatalog",
-            "name": "Serviços de Arquitetura",
-            "itemListElement": [
-                {
-                    "@type": "Offer",
-                    "itemOffered": {
-                        "@type": "Service",
-                        "name": "Projetos Arquitetônicos",
-                        "description": "Criação de projetos residenciais e comerciais completos, desde o conceito até o executivo."
-                    }
-                },
-                {
-                    "@type": "Offer",
-                    "itemOffered": {
-                        "@type": "Service",
-                        "name": "Design de Interiores",
-                        "description": "Elaboração de ambientes internos que aliam beleza, conforto e personalidade."
-                    }
-                },
-                {
-                    "@type": "Offer",
-                    "itemOffered": {
-                        "@type": "Service",
-                        "name": "Acompanhamento de Obra",
-                        "description": "Gerenciamento e supervisão para garantir que o projeto seja executado com fidelidade e qualidade."
-                    }
-                },
-                {
-                    "@type": "Offer",
-                    "itemOffered": {
-                        "@type": "Service",
-                        "name": "Consultoria",
-                        "description": "Orientação especializada para ajudar você a tomar as melhores decisões para seu espaço."
-                    }
-                }
-            ]
+            ...profile.getOfferCatalog()
         };
 
-        this.addStructuredData('services', servicesData);
+        this.addStructuredData('services', servicesData, 'setupStructuredData');
 
         // Dados da página atual
         const webpageData = {
@@ -140,7 +91,7 @@ class SEOManager {
             "url": this.canonicalUrl,
             "isPartOf": {
                 "@type": "WebSite",
-                "name": "Rafael Munaro Arquitetura",
+                "name": this.profile.name,
                 "url": window.location.origin
             },
             "primaryImageOfPage": {
@@ -151,14 +102,16 @@ class SEOManager {
             "dateModified": new Date().toISOString().split('T')[0]
         };
 
-        this.addStructuredData('webpage', webpageData);
+        this.addStructuredData('webpage', webpageData, 'setupStructuredData');
     }
 
     /**
      * Adicionar dados estruturados
+     * source: método que montou os dados (aparece no relatório do validador do TestingSystem)
      */
-    addStructuredData(key, data) {
+    addStructuredData(key, data, source = key) {
         this.structuredData.set(key, data);
+        this.structuredDataSources.set(key, source);
         this.injectStructuredData(key, data);
     }
 
@@ -176,6 +129,7 @@ class SEOManager {
         const script = document.createElement('script');
         script.type = 'application/ld+json';
         script.setAttribute('data-structured', key);
+        script.dataset.source = `SEOManager.${this.structuredDataSources.get(key) || key}`;
         script.textContent = JSON.stringify(data, null, 2);
 
         document.head.appendChild(script);
@@ -185,14 +139,17 @@ class SEOManager {
      * Configurar meta tags
      */
     setupMetaTags() {
+        const { address, geo } = this.profile.profile;
+
         const metaTags = [
             { name: 'description', content: this.getMetaDescription() },
-            { name: 'keywords', content: 'arquiteto, design de interiores, porto alegre, arquitetura residencial, arquitetura comercial, projeto arquitetônico' },
+            { name: 'keywords', content: `arquiteto, design de interiores, ${address.city.toLowerCase()}, arquitetura residencial, arquitetura comercial, projeto arquitetônico` },
             { name: 'author', content: 'Rafael Munaro' },
             { name: 'robots', content: 'index, follow, max-snippet:-1, max-image-preview:large, max-video-preview:-1' },
-            { name: 'language', content: 'pt-BR' },
-            { name: 'geo.region', content: 'BR-RS' },
-            { name: 'geo.placename', content: 'Porto Alegre' },
+            { name: 'language', content: this.getLocale() },
+            { name: 'geo.region', content: `${address.country}-${address.region}` },
+            { name: 'geo.placename', content: address.city },
+            { name: 'geo.position', content: `${geo.latitude};${geo.longitude}` },
             { name: 'theme-color', content: '#545943' },
             { name: 'msapplication-TileColor', content: '#545943' }
         ];
@@ -223,7 +180,7 @@ class SEOManager {
      */
     getMetaDescription() {
         const metaDesc = document.querySelector('meta[name="description"]');
-        return metaDesc ? metaDesc.content : 'Rafael Munaro - Arquiteto e Designer de Interiores. Projetos com alma, espaços com identidade em Porto Alegre.';
+        return metaDesc ? metaDesc.content : this.profile.profile.description;
     }
 
     /**
@@ -240,7 +197,7 @@ class SEOManager {
             { property: 'og:image:height', content: '630' },
             { property: 'og:image:alt', content: 'Foto profissional de Rafael Munaro, arquiteto e designer de interiores' },
             { property: 'og:site_name', content: 'Rafael Munaro Arquitetura' },
-            { property: 'og:locale', content: 'pt_BR' }
+            { property: 'og:locale', content: this.getOpenGraphLocale() }
         ];
 
         ogTags.forEach(tag => {
@@ -281,6 +238,29 @@ class SEOManager {
         canonical.href = this.canonicalUrl;
     }
 
+    /**
+     * Idioma atual da página
+     */
+    getLocale() {
+        return window.i18n?.getLocale() || document.documentElement.lang || 'pt-BR';
+    }
+
+    getOpenGraphLocale(locale = this.getLocale()) {
+        const ogLocales = window.I18nManager?.CONFIG.ogLocales || {};
+        return ogLocales[locale] || locale.replace('-', '_');
+    }
+
+    /**
+     * Manter meta tags de idioma em sincronia com o I18nManager
+     * Sem hreflang aqui: as alternativas (/en/, /es/) já saem no HTML gerado por scripts/generate-project-pages.js e no sitemap
+     */
+    setupLanguageSync() {
+        window.addEventListener('i18n:change', (e) => {
+            this.setMetaTag('language', e.detail.locale);
+            this.setMetaTag('og:locale', this.getOpenGraphLocale(e.detail.locale));
+        });
+    }
+
     /**
      * Configurar breadcrumbs Schema.org
      */
@@ -304,7 +284,7 @@ class SEOManager {
             }))
         };
 
-        this.addStructuredData('breadcrumbs', breadcrumbData);
+        this.addStructuredData('breadcrumbs', breadcrumbData, 'setupBreadcrumbs');
     }
 
     /**
@@ -323,6 +303,10 @@ class SEOManager {
         try {
             const sitemapUrl = `${window.location.origin}/sitemap.xml`;
             const response = await fetch(sitemapUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
             const sitemapText = await response.text();
 
             const parser = new DOMParser();
@@ -462,7 +446,7 @@ class SEOManager {
             }))
         };
 
-        this.addStructuredData('faq', faqData);
+        this.addStructuredData('faq', faqData, 'addFAQSchema');
     }
 
     /**
@@ -491,7 +475,7 @@ class SEOManager {
             }
         };
 
-        this.addStructuredData('article', articleSchema);
+        this.addStructuredData('article', articleSchema, 'addArticleSchema');
     }
 
     /**
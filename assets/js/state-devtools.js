@@ -0,0 +1,347 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - FERRAMENTAS DE ESTADO (DESENVOLVIMENTO)
+ * Registro de ações do StateManager com diferenças, viagem no tempo, filtro e exportação/importação de sessões
+ */
+
+'use strict';
+
+const STATE_DEVTOOLS_CONFIG = {
+    maxEntries: 300,
+    sessionVersion: 1,
+    // Ações geradas pela própria ferramenta (não entram no histórico)
+    internalActions: ['@@time-travel'],
+    devHosts: ['localhost', '127.0.0.1']
+};
+
+/**
+ * Cópia profunda de um estado serializável
+ */
+function cloneState(state) {
+    return state === undefined ? undefined : JSON.parse(JSON.stringify(state));
+}
+
+/**
+ * Diferenças entre dois estados: [{ path, before, after }] nas folhas alteradas
+ */
+function diffStates(before, after, path = '') {
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+    if (isObject(before) && isObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...keys].flatMap(key => diffStates(before[key], after[key], path ? `${path}.${key}` : key));
+    }
+
+    return JSON.stringify(before) === JSON.stringify(after)
+        ? []
+        : [{ path: path || '(root)', before, after }];
+}
+
+/**
+ * Ferramentas de estado
+ * Cada setState vira uma entrada (ação, horário, estado resultante e diferenças);
+ * voltar/avançar aplica o estado da entrada via StateManager.replaceState.
+ * Só é ativada em desenvolvimento (localhost), como o painel do SecurityMonitor.
+ */
+class StateDevtools {
+    constructor(stateManager, config = {}) {
+        this.stateManager = stateManager;
+        this.config = { ...STATE_DEVTOOLS_CONFIG, ...config };
+        this.history = [];
+        this.cursor = -1;
+        this.filter = '';
+        this.isTraveling = false;
+        this.panel = null;
+
+        this.record = this.record.bind(this);
+    }
+
+    static isEnabled(config = STATE_DEVTOOLS_CONFIG) {
+        return config.devHosts.includes(window.location.hostname);
+    }
+
+    init() {
+        // Estado atual (após o 'initialize' do StateManager) é o ponto de partida
+        this.history = [this.createEntry('@@init', {}, this.stateManager.getState())];
+        this.cursor = 0;
+
+        this.stateManager.plugin(this.record);
+        this.createPanel();
+        this.render();
+
+        console.log('🕰️ State devtools initialized');
+    }
+
+    createEntry(action, before, after) {
+        return {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            action,
+            timestamp: Date.now(),
+            state: cloneState(after),
+            changes: diffStates(before, after)
+        };
+    }
+
+    /**
+     * Plugin do StateManager: registrar cada atualização
+     */
+    record(oldState, newState, action) {
+        if (this.isTraveling || this.config.internalActions.includes(action)) return;
+
+        const entry = this.createEntry(action, oldState, newState);
+        if (entry.changes.length === 0) return;
+
+        // Nova ação depois de voltar no tempo descarta o "futuro"
+        this.history.splice(this.cursor + 1);
+        this.history.push(entry);
+
+        if (this.history.length > this.config.maxEntries) {
+            this.history.splice(0, this.history.length - this.config.maxEntries);
+        }
+
+        this.cursor = this.history.length - 1;
+        this.render();
+    }
+
+    /**
+     * VIAGEM NO TEMPO
+     */
+    jumpTo(index) {
+        const entry = this.history[index];
+        if (!entry) return;
+
+        this.isTraveling = true;
+        try {
+            this.stateManager.replaceState(cloneState(entry.state), '@@time-travel');
+        } finally {
+            this.isTraveling = false;
+        }
+
+        this.cursor = index;
+        this.render();
+    }
+
+    stepBack() {
+        if (this.cursor > 0) this.jumpTo(this.cursor - 1);
+    }
+
+    stepForward() {
+        if (this.cursor < this.history.length - 1) this.jumpTo(this.cursor + 1);
+    }
+
+    /**
+     * Índices das entradas cujo nome de ação contém o filtro
+     */
+    getVisibleEntries() {
+        const filter = this.filter.trim().toLowerCase();
+
+        return this.history
+            .map((entry, index) => ({ entry, index }))
+            .filter(({ entry }) => !filter || entry.action.toLowerCase().includes(filter));
+    }
+
+    /**
+     * SESSÕES (reproduzir relatos de bugs)
+     */
+    exportSession() {
+        return {
+            version: this.config.sessionVersion,
+            exportedAt: new Date().toISOString(),
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            cursor: this.cursor,
+            entries: cloneState(this.history)
+        };
+    }
+
+    importSession(session) {
+        const data = typeof session === 'string' ? JSON.parse(session) : session;
+
+        if (!data || data.version !== this.config.sessionVersion) {
+            throw new Error(`Versão de sessão não suportada: ${data?.version}`);
+        }
+
+        const valid = Array.isArray(data.entries) && data.entries.length > 0 && data.entries.every(entry =>
+            entry && typeof entry.action === 'string' && entry.state && typeof entry.state === 'object'
+        );
+        if (!valid) {
+            throw new Error('Sessão inválida: entries deve listar { action, state }');
+        }
+
+        this.history = data.entries.map(entry => ({
+            id: entry.id,
+            action: entry.action,
+            timestamp: entry.timestamp,
+            state: entry.state,
+            changes: Array.isArray(entry.changes) ? entry.changes : []
+        }));
+
+        const cursor = Number.isInteger(data.cursor) ? data.cursor : this.history.length - 1;
+        this.jumpTo(Math.min(Math.max(cursor, 0), this.history.length - 1));
+    }
+
+    downloadSession() {
+        const blob = new Blob([JSON.stringify(this.exportSession(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+
+        link.href = URL.createObjectURL(blob);
+        link.download = `state-session-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    async importFile(file) {
+        try {
+            this.importSession(await file.text());
+            this.setStatus(`Sessão importada: ${this.history.length} ações`);
+        } catch (error) {
+            console.warn('Falha ao importar sessão:', error);
+            this.setStatus(error.message);
+        }
+    }
+
+    /**
+     * PAINEL
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'state-devtools';
+        panel.innerHTML = `
+            <div class="state-devtools-header">
+                <strong>🕰️ State Devtools</strong>
+                <button type="button" class="state-devtools-toggle" aria-expanded="true">▼</button>
+            </div>
+            <div class="state-devtools-content">
+                <div class="state-devtools-controls">
+                    <button type="button" data-devtools="back" title="Voltar">◀</button>
+                    <span class="state-devtools-position"></span>
+                    <button type="button" data-devtools="forward" title="Avançar">▶</button>
+                    <button type="button" data-devtools="export">Export</button>
+                    <button type="button" data-devtools="import">Import</button>
+                    <input type="file" accept="application/json,.json" hidden>
+                </div>
+                <input type="search" class="state-devtools-filter" placeholder="Filtrar ações" aria-label="Filtrar ações">
+                <ol class="state-devtools-list"></ol>
+                <div class="state-devtools-diff"></div>
+                <div class="state-devtools-status" role="status"></div>
+            </div>
+        `;
+
+        Object.assign(panel.style, {
+            position: 'fixed',
+            bottom: '0',
+            left: '0',
+            width: '340px',
+            maxHeight: '60vh',
+            overflow: 'auto',
+            backgroundColor: 'rgba(0, 0, 0, 0.9)',
+            color: 'white',
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            zIndex: '9999',
+            border: '1px solid #333',
+            padding: '8px'
+        });
+
+        const content = panel.querySelector('.state-devtools-content');
+        const toggle = panel.querySelector('.state-devtools-toggle');
+        const fileInput = panel.querySelector('input[type="file"]');
+
+        toggle.addEventListener('click', () => {
+            const isHidden = content.style.display === 'none';
+            content.style.display = isHidden ? 'block' : 'none';
+            toggle.textContent = isHidden ? '▼' : '▶';
+            toggle.setAttribute('aria-expanded', String(isHidden));
+        });
+
+        panel.querySelector('.state-devtools-controls').addEventListener('click', (e) => {
+            const command = e.target.closest('[data-devtools]')?.dataset.devtools;
+
+            if (command === 'back') this.stepBack();
+            if (command === 'forward') this.stepForward();
+            if (command === 'export') this.downloadSession();
+            if (command === 'import') fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        panel.querySelector('.state-devtools-filter').addEventListener('input', (e) => {
+            this.filter = e.target.value;
+            this.render();
+        });
+
+        panel.querySelector('.state-devtools-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) this.jumpTo(Number(item.dataset.index));
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    render() {
+        if (!this.panel) return;
+
+        const position = this.panel.querySelector('.state-devtools-position');
+        const list = this.panel.querySelector('.state-devtools-list');
+
+        position.textContent = `${this.cursor + 1} / ${this.history.length}`;
+        this.panel.querySelector('[data-devtools="back"]').disabled = this.cursor <= 0;
+        this.panel.querySelector('[data-devtools="forward"]').disabled = this.cursor >= this.history.length - 1;
+
+        // Montado com textContent: o estado inclui textos digitados pelo visitante
+        list.replaceChildren(...this.getVisibleEntries().map(({ entry, index }) => {
+            const item = document.createElement('li');
+            item.dataset.index = index;
+            item.textContent = `${new Date(entry.timestamp).toLocaleTimeString()} ${entry.action} (${entry.changes.length})`;
+            item.style.cursor = 'pointer';
+            item.style.opacity = index > this.cursor ? '0.5' : '1';
+            if (index === this.cursor) {
+                item.style.color = '#9BA187';
+                item.setAttribute('aria-current', 'step');
+            }
+            return item;
+        }));
+
+        this.renderDiff(this.history[this.cursor]);
+    }
+
+    renderDiff(entry) {
+        const diff = this.panel.querySelector('.state-devtools-diff');
+        const format = value => value === undefined ? 'undefined' : JSON.stringify(value);
+
+        diff.replaceChildren(...(entry?.changes || []).map(change => {
+            const line = document.createElement('div');
+            line.textContent = `${change.path}: ${format(change.before)} → ${format(change.after)}`;
+            return line;
+        }));
+    }
+
+    setStatus(message) {
+        const status = this.panel?.querySelector('.state-devtools-status');
+        if (status) status.textContent = message;
+    }
+}
+
+StateDevtools.CONFIG = STATE_DEVTOOLS_CONFIG;
+StateDevtools.diffStates = diffStates;
+
+// Inicialização (após o StateManager; desativado fora de desenvolvimento)
+// A página injeta este script só em desenvolvimento, e ele pode chegar depois do DOMContentLoaded
+function initStateDevtools() {
+    if (!window.stateManager || !StateDevtools.isEnabled()) return;
+
+    window.stateDevtools = new StateDevtools(window.stateManager);
+    window.stateDevtools.init();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initStateDevtools);
+} else {
+    initStateDevtools();
+}
+
+// Exportar para uso global
+window.StateDevtools = StateDevtools;
@@ -9,13 +9,27 @@ class StateManager {
         this.listeners = new Map();
         this.middlewares = [];
         this.plugins = [];
+        this.persistedKeys = [];
+        // Tema fica fora: o ThemeService guarda a escolha em 'theme' no PreferenceStore
+        this.persistableKeys = ['language', 'preferences', 'user'];
+        this.storage = window.preferenceStore || null;
+
+        // Sincronização entre abas: só as chaves listadas (opt-in); estado transitório fica local
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+        this.syncKeys = ['theme', 'language', 'preferences', 'accessibility'];
+        this.syncTimestamps = {};
+        this.syncChannel = null;
+        this.isApplyingRemote = false;
+
         this.init();
     }
 
     init() {
+        this.registerPersistence();
         this.loadPersistedState();
         this.setupAutoSave();
         this.setupEventDelegation();
+        this.setupCrossTabSync();
     }
 
     /**
@@ -37,6 +51,9 @@ class StateManager {
         // Executar plugins
         this.executePlugins(oldState, this.state, action);
 
+        // Propagar para as outras abas
+        this.broadcastState(oldState, this.state, action);
+
         console.log(`🔄 State updated: ${action}`, { oldState, newState: this.state });
     }
 
@@ -44,6 +61,29 @@ class StateManager {
         return { ...this.state };
     }
 
+    /**
+     * Substituir o estado inteiro, sem mesclar nem passar pelos middlewares
+     * (usado pela viagem no tempo do StateDevtools)
+     */
+    replaceState(state, action = 'replace-state') {
+        const oldState = { ...this.state };
+        this.state = { ...state };
+
+        this.notifyListeners(oldState, this.state, action);
+        this.executePlugins(oldState, this.state, action);
+        this.applyExternalState(oldState);
+    }
+
+    /**
+     * Estado alterado fora das ações (viagem no tempo, outra aba):
+     * reaplicar o que não tem listener próprio (o tema segue via ThemeService)
+     */
+    applyExternalState(oldState) {
+        if (this.state.language && this.state.language !== oldState.language) {
+            this.applyLanguage(this.state.language);
+        }
+    }
+
     subscribe(listener, selector = null) {
         const id = Symbol('listener');
         this.listeners.set(id, { listener, selector });
@@ -83,34 +123,60 @@ class StateManager {
     /**
      * PERSISTÊNCIA
      */
-    loadPersistedState() {
-        try {
-            const persisted = localStorage.getItem('rafael-munaro-state');
-            if (persisted) {
-                const parsed = JSON.parse(persisted);
-                this.state = { ...this.state, ...parsed };
-                console.log('💾 State loaded from storage');
+    /**
+     * Formato salvo: versão atual, padrões (getDefaultState) e migrações de versões anteriores
+     */
+    registerPersistence() {
+        if (!this.storage) return;
+
+        const defaults = this.getDefaultState();
+        const persistableDefaults = {};
+        this.persistableKeys.forEach(key => {
+            persistableDefaults[key] = defaults[key];
+        });
+
+        this.storage.register('state', {
+            version: 2,
+            defaults: persistableDefaults,
+            legacyKeys: ['rafael-munaro-state'],
+            migrations: {
+                // v0 (chave 'rafael-munaro-state', sem envelope): o tema passou a ser salvo pelo ThemeService
+                1: ({ theme, ...state }) => state,
+                // v1: rascunho do briefing (dados pessoais) saiu do estado; fica no sessionStorage (BriefingWizard)
+                2: ({ briefingDraft, ...state }) => state
             }
-        } catch (error) {
-            console.warn('Failed to load persisted state:', error);
+        });
+    }
+
+    loadPersistedState() {
+        if (!this.storage) return;
+
+        const persisted = this.storage.read('state');
+        if (persisted) {
+            this.state = { ...this.state, ...persisted };
+            this.persistedKeys = Object.keys(persisted);
+            console.log('💾 State loaded from storage');
         }
     }
 
     saveState() {
-        try {
-            const stateToSave = this.getPersistableState();
-            localStorage.setItem('rafael-munaro-state', JSON.stringify(stateToSave));
-        } catch (error) {
-            console.warn('Failed to save state:', error);
+        if (this.storage) {
+            this.storage.write('state', this.getPersistableState());
         }
     }
 
+    /**
+     * Valor veio do armazenamento (escolha do usuário) e não do estado padrão
+     */
+    isPersisted(key) {
+        return this.persistedKeys.includes(key);
+    }
+
     getPersistableState() {
         // Filtrar propriedades que devem ser persistidas
-        const persistableKeys = ['theme', 'language', 'preferences', 'user'];
         const persistableState = {};
 
-        persistableKeys.forEach(key => {
+        this.persistableKeys.forEach(key => {
             if (this.state[key] !== undefined) {
                 persistableState[key] = this.state[key];
             }
@@ -134,6 +200,103 @@ class StateManager {
         window.addEventListener('beforeunload', () => this.saveState());
     }
 
+    /**
+     * SINCRONIZAÇÃO ENTRE ABAS
+     */
+    setupCrossTabSync() {
+        if (typeof BroadcastChannel === 'function') {
+            this.syncChannel = new BroadcastChannel('rafael-munaro-state');
+            this.syncChannel.addEventListener('message', (e) => this.receiveSync(e.data));
+            return;
+        }
+
+        // Fallback: o evento storage só dispara nas outras abas
+        window.addEventListener('storage', (e) => {
+            if (e.key !== 'rafael-munaro-state-sync' || !e.newValue) return;
+
+            try {
+                this.receiveSync(JSON.parse(e.newValue));
+            } catch (error) {
+                console.warn('Invalid sync message:', error);
+            }
+        });
+    }
+
+    /**
+     * Ativar ou desativar a sincronização de uma chave do estado
+     */
+    syncKey(key, enabled = true) {
+        this.syncKeys = this.syncKeys.filter(item => item !== key);
+        if (enabled) {
+            this.syncKeys.push(key);
+        }
+        return this;
+    }
+
+    broadcastState(oldState, newState, action) {
+        // Estado inicial de uma aba nova não é escolha do usuário: não sobrescreve as demais
+        if (this.isApplyingRemote || action === 'initialize') return;
+
+        const timestamp = Date.now();
+        const changes = {};
+
+        this.syncKeys.forEach(key => {
+            if (JSON.stringify(oldState[key]) !== JSON.stringify(newState[key])) {
+                this.syncTimestamps[key] = timestamp;
+                changes[key] = { value: newState[key], timestamp };
+            }
+        });
+
+        if (Object.keys(changes).length === 0) return;
+
+        const message = { source: this.tabId, action, changes };
+
+        try {
+            if (this.syncChannel) {
+                this.syncChannel.postMessage(message);
+            } else {
+                localStorage.setItem('rafael-munaro-state-sync', JSON.stringify(message));
+            }
+        } catch (error) {
+            console.warn('Failed to broadcast state:', error);
+        }
+    }
+
+    /**
+     * Mudança vinda de outra aba: vence o valor mais recente por chave
+     * (empate decidido pelo id da aba, igual em todas as abas)
+     */
+    receiveSync(message) {
+        if (!message?.changes || message.source === this.tabId) return;
+
+        const updates = {};
+
+        Object.entries(message.changes).forEach(([key, change]) => {
+            if (!change || !this.syncKeys.includes(key)) return;
+
+            const localTimestamp = this.syncTimestamps[key] || 0;
+            const isNewer = change.timestamp > localTimestamp ||
+                (change.timestamp === localTimestamp && message.source > this.tabId);
+
+            if (isNewer) {
+                updates[key] = change.value;
+                this.syncTimestamps[key] = change.timestamp;
+            }
+        });
+
+        if (Object.keys(updates).length === 0) return;
+
+        const oldState = { ...this.state };
+        this.isApplyingRemote = true;
+        try {
+            this.setState(updates, `sync:${message.action}`);
+        } finally {
+            this.isApplyingRemote = false;
+        }
+
+        this.applyExternalState(oldState);
+    }
+
     /**
      * EVENTOS E AÇÕES
      */
@@ -188,6 +351,12 @@ class StateManager {
      * AÇÕES ESPECÍFICAS
      */
     toggleTheme() {
+        // Modos claro, escuro e sistema ficam a cargo do ThemeService (o estado espelha o modo)
+        if (window.themeService) {
+            window.themeService.toggle();
+            return;
+        }
+
         const currentTheme = this.state.theme || 'light';
         const newTheme = currentTheme === 'light' ? 'dark' : 'light';
 
@@ -215,7 +384,7 @@ class StateManager {
 
     getDefaultState() {
         return {
-            theme: 'light',
+            theme: 'system',
             language: 'pt-BR',
             preferences: {
                 animations: true,
@@ -234,6 +403,11 @@ class StateManager {
      * APLICAÇÃO DE ESTADO NA UI
      */
     applyTheme(theme) {
+        if (window.themeService) {
+            window.themeService.setMode(theme);
+            return;
+        }
+
         document.documentElement.setAttribute('data-theme', theme);
         localStorage.setItem('theme', theme);
 
@@ -245,9 +419,13 @@ class StateManager {
     }
 
     applyLanguage(language) {
-        document.documentElement.setAttribute('lang', language);
+        // Catálogos, textos da página e módulos dependentes ficam a cargo do I18nManager
+        if (window.i18n) {
+            window.i18n.setLocale(language);
+        } else {
+            document.documentElement.setAttribute('lang', language);
+        }
 
-        // Aqui seria implementada a troca de idioma na interface
         console.log(`🌍 Language changed to: ${language}`);
     }
 
@@ -356,7 +534,7 @@ const loggerMiddleware = (oldState, newState, action) => {
 
 const validationMiddleware = (oldState, newState, action) => {
     // Validações básicas do estado
-    if (newState.theme && !['light', 'dark'].includes(newState.theme)) {
+    if (newState.theme && !['light', 'dark', 'system'].includes(newState.theme)) {
         console.warn('Invalid theme value:', newState.theme);
     }
     return newState;
@@ -392,13 +570,19 @@ document.addEventListener('DOMContentLoaded', () => {
         .plugin(persistencePlugin)
         .plugin(analyticsPlugin);
 
-    // Definir estado inicial
+    // Definir estado inicial (valores salvos têm prioridade sobre o padrão)
     const defaultState = window.stateManager.getDefaultState();
-    window.stateManager.setState(defaultState, 'initialize');
+    window.stateManager.setState({
+        ...defaultState,
+        ...window.stateManager.getPersistableState()
+    }, 'initialize');
 
-    // Aplicar tema salvo
-    const savedTheme = localStorage.getItem('theme') || 'light';
-    window.stateManager.applyTheme(savedTheme);
+    // Tema: o ThemeService (carregado no <head>) já aplicou a escolha salva; o estado passa a espelhá-lo
+    if (window.themeService) {
+        window.themeService.connect(window.stateManager);
+    } else {
+        window.stateManager.applyTheme(localStorage.getItem('theme') || 'light');
+    }
 
     console.log('🏪 State Manager initialized');
 });
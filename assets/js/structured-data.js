@@ -1,12 +1,16 @@
 /**
  * RAFAEL MUNARO ARQUITETURA - DADOS ESTRUTURADOS SEO
  * Implementação de Schema.org para melhor indexação
+ * Dados do escritório (endereço, contatos, horários, serviços) vêm de business-profile.js
+ * e as avaliações de testimonials.js, ambos carregados antes
  */
 
 'use strict';
 
 class StructuredDataManager {
-    constructor() {
+    constructor(profile = window.businessProfile, testimonials = window.testimonials) {
+        this.profile = profile;
+        this.testimonials = testimonials || null;
         this.init();
     }
 
@@ -22,189 +26,68 @@ class StructuredDataManager {
      * SCHEMA PARA ORGANIZAÇÃO
      */
     addOrganizationSchema() {
+        const profile = this.profile;
+        const { name, alternateName, url, description, founder } = profile.profile;
+
         const organizationSchema = {
             "@context": "https://schema.org",
             "@type": "Organization",
-            "name": "Rafael Munaro Arquitetura",
-            "alternateName": "RM Arquitetura",
-            "url": "https://rafaelmunaro.com",
+            "name": name,
+            "alternateName": alternateName,
+            "url": url,
             "logo": "https://rafaelmunaro.com/logo.png",
-            "description": "Especialistas em arquitetura e design de interiores em Porto Alegre. Transformando espaços com criatividade e excelência.",
+            "description": description,
             "foundingDate": "2009",
             "founder": {
                 "@type": "Person",
-                "name": "Rafael Munaro",
-                "jobTitle": "Arquiteto",
-                "image": "https://rafaelmunaro.com/rafael-munaro.jpg"
-            },
-            "address": {
-                "@type": "PostalAddress",
-                "streetAddress": "Endereço completo",
-                "addressLocality": "Porto Alegre",
-                "addressRegion": "RS",
-                "postalCode": "90000-000",
-                "addressCountry": "BR"
+                "name": founder.name,
+                "jobTitle": founder.jobTitle,
+                "image": profile.absoluteUrl(founder.image)
             },
-            "contactPoint": [
-                {
-                    "@type": "ContactPoint",
-                    "telephone": "+55-51-99999-9999",
-                    "contactType": "customer service",
-                    "availableLanguage": "Portuguese"
-                },
-                {
-                    "@type": "ContactPoint",
-                    "email": "contato@rafaelmunaro.com",
-                    "contactType": "customer service",
-                    "availableLanguage": "Portuguese"
-                }
-            ],
-            "sameAs": [
-                "https://www.instagram.com/rafaelmunaro",
-                "https://www.linkedin.com/in/rafaelmunaro",
-                "https://www.facebook.com/rafaelmunaro"
-            ],
-            "areaServed": [
-                {
-                    "@type": "City",
-                    "name": "Porto Alegre",
-                    "addressRegion": "RS",
-                    "addressCountry": "BR"
-                },
-                {
-                    "@type": "City",
-                    "name": "Canoas",
-                    "addressRegion": "RS",
-                    "addressCountry": "BR"
-                },
-                {
-                    "@type": "City",
-                    "name": "São Leopoldo",
-                    "addressRegion": "RS",
-                    "addressCountry": "BR"
-                }
-            ],
-            "hasOfferCatalog": {
-                "@type": "OfferCatalog",
-                "name": "Serviços de Arquitetura",
-                "itemListElement": [
-                    {
-                        "@type": "Offer",
-                        "itemOffered": {
-                            "@type": "Service",
-                            "name": "Projetos Arquitetônicos",
-                            "description": "Desenvolvimento completo de projetos arquitetônicos residenciais e comerciais"
-                        }
-                    },
-                    {
-                        "@type": "Offer",
-                        "itemOffered": {
-                            "@type": "Service",
-                            "name": "Design de Interiores",
-                            "description": "Criação de ambientes únicos e personalizados"
-                        }
-                    },
-                    {
-                        "@type": "Offer",
-                        "itemOffered": {
-                            "@type": "Service",
-                            "name": "Reformas e Restaurações",
-                            "description": "Modernização e revitalização de espaços existentes"
-                        }
-                    }
-                ]
-            },
-            "aggregateRating": {
-                "@type": "AggregateRating",
-                "ratingValue": "4.9",
-                "reviewCount": "98",
-                "bestRating": "5",
-                "worstRating": "1"
-            }
+            "address": profile.getPostalAddress(),
+            "contactPoint": profile.getContactPoints(),
+            "sameAs": profile.getSameAs(),
+            "areaServed": profile.getAreaServed(),
+            "hasOfferCatalog": profile.getOfferCatalog()
         };
 
-        this.injectSchema(organizationSchema, 'organization-schema');
+        this.injectSchema(organizationSchema, 'organization-schema', 'addOrganizationSchema');
     }
 
     /**
      * SCHEMA PARA NEGÓCIO LOCAL
      */
     addLocalBusinessSchema() {
+        const profile = this.profile;
+        const { name, url, description, priceRange, paymentAccepted, currency } = profile.profile;
+
         const localBusinessSchema = {
             "@context": "https://schema.org",
             "@type": "ArchitecturalService",
-            "name": "Rafael Munaro Arquitetura",
+            "name": name,
             "image": "https://rafaelmunaro.com/og-image.jpg",
-            "description": "Escritório de arquitetura especializado em projetos residenciais e comerciais em Porto Alegre",
-            "url": "https://rafaelmunaro.com",
-            "telephone": "+55-51-99999-9999",
-            "email": "contato@rafaelmunaro.com",
-            "address": {
-                "@type": "PostalAddress",
-                "streetAddress": "Rua Exemplo, 123",
-                "addressLocality": "Porto Alegre",
-                "addressRegion": "RS",
-                "postalCode": "90000-000",
-                "addressCountry": "BR"
-            },
-            "geo": {
-                "@type": "GeoCoordinates",
-                "latitude": "-30.0346",
-                "longitude": "-51.2177"
-            },
-            "openingHours": [
-                "Mo-Fr 08:00-18:00",
-                "Sa 08:00-12:00"
-            ],
-            "priceRange": "$$$",
-            "paymentAccepted": ["Cash", "Credit Card", "Bank Transfer"],
-            "currenciesAccepted": "BRL",
-            "serviceArea": {
-                "@type": "GeoCircle",
-                "geoMidpoint": {
-                    "@type": "GeoCoordinates",
-                    "latitude": "-30.0346",
-                    "longitude": "-51.2177"
-                },
-                "geoRadius": "50000"
-            },
-            "hasOfferCatalog": {
-                "@type": "OfferCatalog",
-                "name": "Serviços Arquitetônicos",
-                "itemListElement": [
-                    {
-                        "@type": "Offer",
-                        "itemOffered": {
-                            "@type": "Service",
-                            "name": "Consultoria Arquitetônica",
-                            "description": "Assessoria especializada em todas as fases do projeto"
-                        },
-                        "priceSpecification": {
-                            "@type": "PriceSpecification",
-                            "price": "150",
-                            "priceCurrency": "BRL"
-                        }
-                    }
-                ]
-            },
-            "review": [
-                {
-                    "@type": "Review",
-                    "author": {
-                        "@type": "Person",
-                        "name": "Cliente Satisfeito"
-                    },
-                    "reviewRating": {
-                        "@type": "Rating",
-                        "ratingValue": "5",
-                        "bestRating": "5"
-                    },
-                    "reviewBody": "Excelente trabalho! Superou todas as expectativas."
-                }
-            ]
+            "description": description,
+            "url": url,
+            "telephone": profile.getPhone().number,
+            "email": profile.email,
+            "address": profile.getPostalAddress(),
+            "geo": profile.getGeoCoordinates(),
+            "openingHours": profile.getOpeningHours(),
+            "priceRange": priceRange,
+            "paymentAccepted": paymentAccepted,
+            "currenciesAccepted": currency,
+            "serviceArea": profile.getServiceArea(),
+            "hasOfferCatalog": profile.getOfferCatalog('Serviços Arquitetônicos')
         };
 
-        this.injectSchema(localBusinessSchema, 'local-business-schema');
+        // Avaliações reais dos depoimentos publicados (sem depoimentos, sem avaliação)
+        const aggregateRating = this.testimonials?.getAggregateRating();
+        if (aggregateRating) {
+            localBusinessSchema.aggregateRating = aggregateRating;
+            localBusinessSchema.review = this.testimonials.getReviews(url);
+        }
+
+        this.injectSchema(localBusinessSchema, 'local-business-schema', 'addLocalBusinessSchema');
     }
 
     /**
@@ -237,7 +120,7 @@ class StructuredDataManager {
             }
         };
 
-        this.injectSchema(websiteSchema, 'website-schema');
+        this.injectSchema(websiteSchema, 'website-schema', 'addWebSiteSchema');
     }
 
     /**
@@ -281,86 +164,41 @@ class StructuredDataManager {
             ]
         };
 
-        this.injectSchema(breadcrumbSchema, 'breadcrumb-schema');
+        this.injectSchema(breadcrumbSchema, 'breadcrumb-schema', 'addBreadcrumbSchema');
     }
 
     /**
      * SCHEMAS PARA SERVIÇOS
      */
     addServiceSchemas() {
-        const services = [
-            {
-                "@context": "https://schema.org",
-                "@type": "Service",
-                "@id": "https://rafaelmunaro.com/#arquitetonico",
-                "name": "Projetos Arquitetônicos",
-                "description": "Desenvolvimento completo de projetos arquitetônicos residenciais e comerciais, desde concepção até execução",
-                "provider": {
-                    "@type": "Organization",
-                    "name": "Rafael Munaro Arquitetura"
-                },
-                "areaServed": {
-                    "@type": "City",
-                    "name": "Porto Alegre",
-                    "addressRegion": "RS",
-                    "addressCountry": "BR"
-                },
-                "serviceType": "Arquitetura",
-                "offers": {
-                    "@type": "Offer",
-                    "priceSpecification": {
-                        "@type": "PriceSpecification",
-                        "priceCurrency": "BRL"
-                    }
-                }
-            },
-            {
-                "@context": "https://schema.org",
-                "@type": "Service",
-                "@id": "https://rafaelmunaro.com/#interiores",
-                "name": "Design de Interiores",
-                "description": "Criação de ambientes únicos e personalizados que refletem o estilo de vida dos clientes",
-                "provider": {
-                    "@type": "Organization",
-                    "name": "Rafael Munaro Arquitetura"
-                },
-                "areaServed": {
-                    "@type": "City",
-                    "name": "Porto Alegre",
-                    "addressRegion": "RS",
-                    "addressCountry": "BR"
-                },
-                "serviceType": "Design de Interiores"
-            },
-            {
-                "@context": "https://schema.org",
-                "@type": "Service",
-                "@id": "https://rafaelmunaro.com/#reformas",
-                "name": "Reformas e Restaurações",
-                "description": "Modernização e revitalização de espaços existentes com técnicas inovadoras",
-                "provider": {
-                    "@type": "Organization",
-                    "name": "Rafael Munaro Arquitetura"
-                },
-                "areaServed": {
-                    "@type": "City",
-                    "name": "Porto Alegre",
-                    "addressRegion": "RS",
-                    "addressCountry": "BR"
-                },
-                "serviceType": "Reformas"
+        const profile = this.profile;
+        const [areaServed] = profile.getAreaServed();
+
+        const services = profile.profile.services.map(service => ({
+            "@context": "https://schema.org",
+            "@type": "Service",
+            "@id": `${profile.url}/#${service.id}`,
+            "name": service.name,
+            "description": service.description,
+            "provider": profile.getProvider(),
+            "areaServed": areaServed,
+            "serviceType": service.serviceType,
+            "offers": {
+                "@type": "Offer",
+                "priceSpecification": profile.getPriceSpecification(service)
             }
-        ];
+        }));
 
         services.forEach((service, index) => {
-            this.injectSchema(service, `service-schema-${index}`);
+            this.injectSchema(service, `service-schema-${index}`, 'addServiceSchemas');
         });
     }
 
     /**
      * INJETAR SCHEMA NO DOCUMENTO
+     * source: método que montou o schema (aparece no relatório do validador do TestingSystem)
      */
-    injectSchema(schema, id) {
+    injectSchema(schema, id, source) {
         // Verificar se já existe
         if (document.getElementById(id)) {
             return;
@@ -369,6 +207,7 @@ class StructuredDataManager {
         const script = document.createElement('script');
         script.type = 'application/ld+json';
         script.id = id;
+        script.dataset.source = `StructuredDataManager.${source}`;
         script.textContent = JSON.stringify(schema, null, 2);
 
         // Adicionar no head
@@ -423,7 +262,7 @@ class StructuredDataManager {
             }
         };
 
-        this.injectSchema(portfolioSchema, 'portfolio-schema');
+        this.injectSchema(portfolioSchema, 'portfolio-schema', 'addPortfolioSchemas');
     }
 
     /**
@@ -438,30 +277,30 @@ class StructuredDataManager {
             "url": "https://rafaelmunaro.com/#contact",
             "mainEntity": {
                 "@type": "Organization",
-                "name": "Rafael Munaro Arquitetura",
+                "name": this.profile.name,
                 "contactPoint": {
                     "@type": "ContactPoint",
-                    "telephone": "+55-51-99999-9999",
-                    "email": "contato@rafaelmunaro.com",
+                    "telephone": this.profile.getPhone().number,
+                    "email": this.profile.email,
                     "contactType": "customer service",
-                    "availableLanguage": "Portuguese",
-                    "hoursAvailable": {
-                        "@type": "OpeningHoursSpecification",
-                        "dayOfWeek": ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"],
-                        "opens": "08:00",
-                        "closes": "18:00"
-                    }
+                    "availableLanguage": this.profile.profile.languages,
+                    "hoursAvailable": this.profile.getOpeningHoursSpecification()
                 }
             }
         };
 
-        this.injectSchema(contactSchema, 'contact-schema');
+        this.injectSchema(contactSchema, 'contact-schema', 'addContactSchemas');
     }
 
     /**
      * GERAR SITEMAP DINÂMICO
+     * Navegação pelas seções reais da página (o sitemap.xml é gerado por scripts/generate-sitemap.js)
      */
     generateSitemap() {
+        const sectionIds = Array.from(document.querySelectorAll('section[id]'))
+            .map(section => section.id)
+            .filter(id => id !== 'home');
+
         const sitemap = {
             "@context": "https://schema.org",
             "@type": "SiteNavigationElement",
@@ -472,10 +311,7 @@ class StructuredDataManager {
                     "@type": "ReadAction",
                     "target": [
                         "https://rafaelmunaro.com/",
-                        "https://rafaelmunaro.com/#about",
-                        "https://rafaelmunaro.com/#portfolio",
-                        "https://rafaelmunaro.com/#services",
-                        "https://rafaelmunaro.com/#contact"
+                        ...sectionIds.map(id => `https://rafaelmunaro.com/#${id}`)
                     ]
                 }
             ]
@@ -0,0 +1,445 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - DEPOIMENTOS
+ * Fonte única dos depoimentos de clientes: alimenta o slider da seção #depoimentos
+ * e os schemas Review/AggregateRating do StructuredDataManager
+ */
+
+'use strict';
+
+/**
+ * Depoimentos publicados
+ * text: texto em português (traduções em testimonials.<i18nKey> nos catálogos)
+ * projectId: id em assets/data/projects.json quando o depoimento é de um projeto publicado
+ * date: data do depoimento (AAAA-MM-DD); photo só é exibida com photoConsent
+ */
+const TESTIMONIALS = [
+    {
+        id: 'silva',
+        author: 'Família Silva',
+        role: null,
+        projectId: null,
+        rating: 5,
+        date: null,
+        text: 'O Rafael transformou nossa casa em um verdadeiro lar. Ele captou nossa essência e o resultado ficou incrível, muito além do que imaginávamos!',
+        i18nKey: 'testimonials.silva',
+        photo: null,
+        photoConsent: false
+    },
+    {
+        id: 'oliveira',
+        author: 'J. Oliveira',
+        role: 'CEO',
+        projectId: null,
+        rating: 5,
+        date: null,
+        text: 'Profissionalismo impecável do início ao fim do projeto. O escritório ficou moderno, funcional e com a identidade da nossa marca. Recomendo fortemente!',
+        i18nKey: 'testimonials.oliveira',
+        photo: null,
+        photoConsent: false
+    },
+    {
+        id: 'maria-joao',
+        author: 'Maria e João P.',
+        role: null,
+        projectId: null,
+        rating: 5,
+        date: null,
+        text: 'Contratar o Rafael foi a melhor decisão. Ele otimizou todos os espaços do nosso apartamento, deixando tudo mais prático e aconchegante.',
+        i18nKey: 'testimonials.mariaJoao',
+        photo: null,
+        photoConsent: false
+    }
+];
+
+const TESTIMONIALS_CONFIG = {
+    bestRating: 5,
+    worstRating: 1,
+    // Página estática do projeto (mesmo caminho de PROJECT_PAGE_PATH em portfolio.js)
+    projectPath: 'projetos/{id}/',
+    interval: 7000,
+    swipeThreshold: 50
+};
+
+/**
+ * Texto do catálogo de idiomas (ou o texto em português quando o i18n não carregou)
+ */
+function testimonialText(key, defaultValue, params = {}) {
+    return window.i18n ? window.i18n.t(key, { ...params, defaultValue }) : defaultValue;
+}
+
+function escapeTestimonialHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Depoimentos e seus dados estruturados
+ */
+class Testimonials {
+    constructor(items = TESTIMONIALS, config = {}) {
+        this.config = { ...TESTIMONIALS_CONFIG, ...config };
+        // Sem texto ou com nota fora da escala o depoimento não é publicado
+        this.items = items.filter(item =>
+            item.text &&
+            Number.isFinite(item.rating) &&
+            item.rating >= this.config.worstRating &&
+            item.rating <= this.config.bestRating
+        );
+    }
+
+    getAll() {
+        return this.items;
+    }
+
+    getProjectUrl(item) {
+        if (!item.projectId) return null;
+
+        const path = this.config.projectPath.replace('{id}', encodeURIComponent(item.projectId));
+        return window.i18n ? window.i18n.getLocalizedPath(path) : path;
+    }
+
+    getPhoto(item) {
+        return item.photo && item.photoConsent ? item.photo : null;
+    }
+
+    /**
+     * SCHEMA.ORG
+     */
+    getAggregateRating() {
+        if (this.items.length === 0) return null;
+
+        const average = this.items.reduce((sum, item) => sum + item.rating, 0) / this.items.length;
+
+        return {
+            "@type": "AggregateRating",
+            "ratingValue": average.toFixed(1),
+            "reviewCount": this.items.length,
+            "bestRating": String(this.config.bestRating),
+            "worstRating": String(this.config.worstRating)
+        };
+    }
+
+    /**
+     * siteUrl: base das URLs absolutas (foto e página do projeto)
+     */
+    getReviews(siteUrl) {
+        return this.items.map(item => {
+            const photo = this.getPhoto(item);
+            const projectUrl = this.getProjectUrl(item);
+            const review = {
+                "@type": "Review",
+                "author": {
+                    "@type": "Person",
+                    "name": item.author
+                },
+                "reviewRating": {
+                    "@type": "Rating",
+                    "ratingValue": String(item.rating),
+                    "bestRating": String(this.config.bestRating),
+                    "worstRating": String(this.config.worstRating)
+                },
+                "reviewBody": item.text
+            };
+
+            if (photo) review.author.image = `${siteUrl}/${encodeURI(photo.replace(/^\.?\//, ''))}`;
+            if (item.date) review.datePublished = item.date;
+            // Mesmo @id do CreativeWork da página estática (scripts/generate-project-pages.js)
+            if (projectUrl) review.about = { "@id": `${siteUrl}/${projectUrl}#projeto` };
+
+            return review;
+        });
+    }
+}
+
+/**
+ * Slider da seção de depoimentos
+ * Autoplay pausado com o ponteiro ou o foco dentro do slider (e desligado com movimento reduzido),
+ * swipe, pontos de navegação e anúncio do depoimento atual em aria-live
+ */
+class TestimonialSlider {
+    constructor(root, testimonials = window.testimonials) {
+        this.root = root;
+        this.testimonials = testimonials;
+        this.items = testimonials ? testimonials.getAll() : [];
+        this.config = testimonials ? testimonials.config : TESTIMONIALS_CONFIG;
+        this.container = root.querySelector('[data-testimonial-slides]');
+        this.dotsContainer = root.querySelector('[data-testimonial-dots]');
+        this.toggleButton = root.querySelector('[data-testimonial-toggle]');
+        this.status = root.querySelector('[data-testimonial-status]');
+        this.slides = [];
+        this.dots = [];
+        this.currentIndex = 0;
+        this.timer = null;
+        // userPaused: botão de pausa; hovered/focused: pausa temporária
+        this.userPaused = false;
+        this.hovered = false;
+        this.focused = false;
+        this.pointerStart = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    init() {
+        if (!this.container || this.items.length === 0) return;
+
+        this.render();
+        this.setupControls();
+        this.setupSwipe();
+        this.setupAutoplay();
+        this.root.addEventListener('keydown', this.handleKeydown);
+
+        window.addEventListener('i18n:change', () => this.updateToggle());
+
+        this.goTo(0, { announce: false });
+        console.log('💬 Depoimentos inicializados');
+    }
+
+    /**
+     * Substituir os slides estáticos do HTML pelos depoimentos do módulo
+     */
+    render() {
+        const total = this.items.length;
+
+        this.container.innerHTML = this.items.map((item, index) => {
+            const photo = this.testimonials.getPhoto(item);
+            const projectUrl = this.testimonials.getProjectUrl(item);
+            const params = escapeTestimonialHTML(JSON.stringify({ index: index + 1, total, rating: item.rating, best: this.config.bestRating }));
+            const label = testimonialText('testimonials.slider.dot', `Depoimento ${index + 1} de ${total}`, { index: index + 1, total });
+
+            return `
+                <figure class="testimonial-slide" role="group" aria-roledescription="slide" data-testimonial-id="${escapeTestimonialHTML(item.id)}"
+                    aria-label="${escapeTestimonialHTML(label)}" data-i18n-attr="aria-label:testimonials.slider.dot" data-i18n-params="${params}">
+                    ${photo ? `<img src="${escapeTestimonialHTML(photo)}" alt="" class="testimonial-slide__photo" width="64" height="64" loading="lazy">` : ''}
+                    <blockquote>
+                        <p class="text-xl italic mb-6" data-i18n="${escapeTestimonialHTML(item.i18nKey)}">"${escapeTestimonialHTML(item.text)}"</p>
+                    </blockquote>
+                    <figcaption class="font-bold text-brand-light-olive">- ${escapeTestimonialHTML(item.author)}${item.role ? `, ${escapeTestimonialHTML(item.role)}` : ''}</figcaption>
+                    <p class="testimonial-slide__rating" role="img"
+                        aria-label="${escapeTestimonialHTML(testimonialText('testimonials.slider.rating', `Nota ${item.rating} de ${this.config.bestRating}`, { rating: item.rating, best: this.config.bestRating }))}"
+                        data-i18n-attr="aria-label:testimonials.slider.rating" data-i18n-params="${params}">${'★'.repeat(item.rating)}${'☆'.repeat(this.config.bestRating - item.rating)}</p>
+                    ${projectUrl ? `<a class="testimonial-slide__project" href="${escapeTestimonialHTML(projectUrl)}" data-i18n="testimonials.slider.project">${escapeTestimonialHTML(testimonialText('testimonials.slider.project', 'Ver o projeto'))}</a>` : ''}
+                </figure>
+            `;
+        }).join('');
+
+        if (this.dotsContainer) {
+            this.dotsContainer.innerHTML = this.items.map((item, index) => {
+                const params = escapeTestimonialHTML(JSON.stringify({ index: index + 1, total }));
+                const label = testimonialText('testimonials.slider.dot', `Depoimento ${index + 1} de ${total}`, { index: index + 1, total });
+
+                return `<button type="button" class="testimonial-dot" data-index="${index}" aria-label="${escapeTestimonialHTML(label)}" data-i18n-attr="aria-label:testimonials.slider.dot" data-i18n-params="${params}"></button>`;
+            }).join('');
+        }
+
+        this.slides = Array.from(this.container.querySelectorAll('.testimonial-slide'));
+        this.dots = this.dotsContainer ? Array.from(this.dotsContainer.querySelectorAll('.testimonial-dot')) : [];
+
+        // Textos traduzidos no idioma atual (trocas seguintes passam por I18nManager.translatePage)
+        if (window.i18n) {
+            window.i18n.translatePage(this.container);
+            if (this.dotsContainer) window.i18n.translatePage(this.dotsContainer);
+        }
+    }
+
+    setupControls() {
+        const prevBtn = this.root.querySelector('[data-testimonial-prev]');
+        const nextBtn = this.root.querySelector('[data-testimonial-next]');
+
+        if (prevBtn) prevBtn.addEventListener('click', () => this.prev());
+        if (nextBtn) nextBtn.addEventListener('click', () => this.next());
+
+        this.dots.forEach(dot => {
+            dot.addEventListener('click', () => this.goTo(Number(dot.dataset.index)));
+        });
+
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.userPaused = !this.userPaused;
+                this.updateAutoplay();
+            });
+        }
+    }
+
+    setupSwipe() {
+        this.container.addEventListener('pointerdown', this.handlePointerDown);
+        this.container.addEventListener('pointerup', this.handlePointerUp);
+        this.container.addEventListener('pointercancel', () => { this.pointerStart = null; });
+    }
+
+    handlePointerDown(e) {
+        this.pointerStart = { x: e.clientX, y: e.clientY };
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointerStart) return;
+
+        const deltaX = e.clientX - this.pointerStart.x;
+        const deltaY = e.clientY - this.pointerStart.y;
+        this.pointerStart = null;
+
+        // Ignorar gestos predominantemente verticais (rolagem)
+        if (Math.abs(deltaX) < this.config.swipeThreshold || Math.abs(deltaX) < Math.abs(deltaY)) return;
+
+        if (deltaX < 0) {
+            this.next();
+        } else {
+            this.prev();
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.target.closest('a')) return;
+
+        switch (e.key) {
+            case 'ArrowRight':
+                e.preventDefault();
+                this.next();
+                break;
+
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.prev();
+                break;
+        }
+    }
+
+    /**
+     * AUTOPLAY
+     */
+    setupAutoplay() {
+        const reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ||
+            document.documentElement.classList.contains('reduced-motion');
+
+        // Com movimento reduzido o slider começa parado (o botão continua disponível)
+        this.userPaused = Boolean(reducedMotion);
+
+        this.root.addEventListener('mouseenter', () => {
+            this.hovered = true;
+            this.updateAutoplay();
+        });
+        this.root.addEventListener('mouseleave', () => {
+            this.hovered = false;
+            this.updateAutoplay();
+        });
+        this.root.addEventListener('focusin', () => {
+            this.focused = true;
+            this.updateAutoplay();
+        });
+        this.root.addEventListener('focusout', (e) => {
+            if (this.root.contains(e.relatedTarget)) return;
+            this.focused = false;
+            this.updateAutoplay();
+        });
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.updateAutoplay();
+    }
+
+    handleVisibilityChange() {
+        this.updateAutoplay();
+    }
+
+    isPlaying() {
+        return !this.userPaused && !this.hovered && !this.focused && !document.hidden && this.items.length > 1;
+    }
+
+    updateAutoplay() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.isPlaying()) {
+            this.timer = setInterval(() => this.goTo((this.currentIndex + 1) % this.items.length, { announce: false }), this.config.interval);
+        }
+
+        this.updateToggle();
+    }
+
+    updateToggle() {
+        if (!this.toggleButton) return;
+
+        const label = this.userPaused
+            ? testimonialText('testimonials.slider.play', 'Retomar a troca automática de depoimentos')
+            : testimonialText('testimonials.slider.pause', 'Pausar a troca automática de depoimentos');
+
+        this.toggleButton.setAttribute('aria-label', label);
+        this.toggleButton.setAttribute('aria-pressed', String(this.userPaused));
+        this.toggleButton.dataset.state = this.userPaused ? 'paused' : 'playing';
+    }
+
+    next() {
+        this.goTo((this.currentIndex + 1) % this.items.length);
+    }
+
+    prev() {
+        this.goTo((this.currentIndex - 1 + this.items.length) % this.items.length);
+    }
+
+    /**
+     * Ir para um depoimento; navegação manual reinicia o intervalo do autoplay e é anunciada
+     */
+    goTo(index, { announce = true } = {}) {
+        if (index < 0 || index >= this.items.length) return;
+
+        this.currentIndex = index;
+
+        this.slides.forEach((slide, slideIndex) => {
+            const isCurrent = slideIndex === index;
+            slide.classList.toggle('active', isCurrent);
+            slide.setAttribute('aria-hidden', String(!isCurrent));
+        });
+
+        this.dots.forEach((dot, dotIndex) => {
+            if (dotIndex === index) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+
+        if (announce) {
+            const item = this.items[index];
+
+            if (this.status) {
+                this.status.textContent = testimonialText(
+                    'testimonials.slider.announcement',
+                    `Depoimento ${index + 1} de ${this.items.length}: ${item.author}`,
+                    { index: index + 1, total: this.items.length, author: item.author }
+                );
+            }
+
+            this.updateAutoplay();
+        }
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.root.removeEventListener('keydown', this.handleKeydown);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+}
+
+Testimonials.CONFIG = TESTIMONIALS_CONFIG;
+Testimonials.ITEMS = TESTIMONIALS;
+
+// Disponível antes do DOMContentLoaded (o StructuredDataManager lê as avaliações)
+window.testimonials = new Testimonials();
+
+document.addEventListener('DOMContentLoaded', () => {
+    const root = document.querySelector('[data-testimonial-slider]');
+    if (root) {
+        window.testimonialSlider = new TestimonialSlider(root);
+        window.testimonialSlider.init();
+    }
+});
+
+// Exportar para uso global
+window.Testimonials = Testimonials;
+window.TestimonialSlider = TestimonialSlider;
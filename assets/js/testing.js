@@ -5,6 +5,98 @@
 
 'use strict';
 
+/**
+ * Regras de validação dos dados estruturados (JSON-LD)
+ * required/recommended seguem os resultados avançados do Google; 'a|b' = basta uma das propriedades.
+ * nested: o que se exige da entidade quando aparece dentro de outra (ex.: provider, publisher), no lugar das demais regras
+ */
+const STRUCTURED_DATA_RULES = {
+    // Subtipos validados com as regras do tipo pai
+    aliases: {
+        ArchitecturalService: 'LocalBusiness',
+        ProfessionalService: 'LocalBusiness',
+        CollectionPage: 'WebPage',
+        ContactPage: 'WebPage',
+        Article: 'CreativeWork'
+    },
+    types: {
+        Organization: { required: ['name', 'url'], recommended: ['logo', 'sameAs', 'contactPoint', 'address'], nested: ['name'] },
+        LocalBusiness: {
+            required: ['name', 'address'],
+            recommended: ['url', 'telephone', 'image', 'geo', 'openingHours|openingHoursSpecification', 'priceRange'],
+            nested: ['name']
+        },
+        WebSite: { required: ['name', 'url'], recommended: ['inLanguage', 'publisher'], nested: ['name'] },
+        WebPage: { required: ['name', 'url'], recommended: ['description'], nested: ['name'] },
+        BreadcrumbList: { required: ['itemListElement'] },
+        ListItem: { required: ['position'], recommended: ['name|item'] },
+        FAQPage: { required: ['mainEntity'] },
+        Question: { required: ['name', 'acceptedAnswer'] },
+        Answer: { required: ['text'] },
+        CreativeWork: {
+            required: ['name'],
+            recommended: ['url', 'image', 'creator|author', 'dateCreated|datePublished'],
+            nested: ['name']
+        },
+        Service: { required: ['name', 'provider'], recommended: ['description', 'areaServed', 'serviceType'], nested: ['name'] },
+        OfferCatalog: { required: ['itemListElement'] },
+        Offer: { required: ['itemOffered|price|priceSpecification'] },
+        // Sem price = sob consulta
+        PriceSpecification: { required: ['priceCurrency'] },
+        PostalAddress: { required: ['addressLocality|streetAddress'], recommended: ['addressCountry'] },
+        GeoCoordinates: { required: ['latitude', 'longitude'] },
+        GeoCircle: { required: ['geoMidpoint', 'geoRadius'] },
+        ContactPoint: { required: ['contactType', 'telephone|email'] },
+        OpeningHoursSpecification: { required: ['dayOfWeek', 'opens', 'closes'] },
+        AggregateRating: { required: ['ratingValue', 'reviewCount|ratingCount'], recommended: ['bestRating'] },
+        Review: { required: ['author', 'reviewRating'], recommended: ['datePublished', 'reviewBody'] },
+        Rating: { required: ['ratingValue'], recommended: ['bestRating'] },
+        Person: { required: ['name'] }
+    },
+    // Formato do valor pelo nome da propriedade, em qualquer tipo (listas: cada item; objetos são validados pelo próprio tipo)
+    values: {
+        price: 'number',
+        geoRadius: 'number',
+        latitude: 'latitude',
+        longitude: 'longitude',
+        ratingValue: 'number',
+        bestRating: 'number',
+        worstRating: 'number',
+        reviewCount: 'integer',
+        ratingCount: 'integer',
+        position: 'integer',
+        numberOfItems: 'integer',
+        url: 'url',
+        item: 'url',
+        logo: 'url',
+        image: 'url',
+        sameAs: 'url',
+        dateCreated: 'date',
+        datePublished: 'date',
+        dateModified: 'date',
+        foundingDate: 'date',
+        opens: 'time',
+        closes: 'time',
+        priceCurrency: 'currency',
+        currenciesAccepted: 'currency',
+        email: 'email',
+        telephone: 'phone'
+    }
+};
+
+const STRUCTURED_DATA_FORMATS = {
+    number: value => typeof value === 'number' ? Number.isFinite(value) : /^-?\d+(\.\d+)?$/.test(value),
+    integer: value => Number.isInteger(typeof value === 'number' ? value : Number(/^-?\d+$/.test(value) ? value : NaN)),
+    latitude: value => STRUCTURED_DATA_FORMATS.number(value) && Math.abs(Number(value)) <= 90,
+    longitude: value => STRUCTURED_DATA_FORMATS.number(value) && Math.abs(Number(value)) <= 180,
+    url: value => typeof value === 'string' && /^https?:\/\/[^\s/]+/.test(value),
+    date: value => typeof value === 'string' && /^\d{4}(-\d{2}(-\d{2}([T ]\d{2}:\d{2}.*)?)?)?$/.test(value),
+    time: value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value),
+    currency: value => typeof value === 'string' && /^[A-Z]{3}$/.test(value),
+    email: value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    phone: value => typeof value === 'string' && /^\+?[\d\s().-]{8,}$/.test(value)
+};
+
 /**
  * Sistema de Testes e Validação
  */
@@ -21,6 +113,9 @@ class TestingSystem {
         this.testSuites = new Map();
         this.isRunning = false;
         this.reports = [];
+
+        // Servidor simulado de contato (node scripts/mock-contact-server.js)
+        this.mockContactServer = window.CONTACT_MOCK_SERVER || 'http://localhost:8787';
     }
 
     async init() {
@@ -44,7 +139,8 @@ class TestingSystem {
                 { name: 'Image Optimization', fn: () => this.testImageOptimization() },
                 { name: 'Bundle Size', fn: () => this.testBundleSize() },
                 { name: 'Lazy Loading', fn: () => this.testLazyLoading() },
-                { name: 'Cache Strategy', fn: () => this.testCacheStrategy() }
+                { name: 'Cache Strategy', fn: () => this.testCacheStrategy() },
+                { name: 'Online Navigation', fn: () => this.testOnlineNavigation() }
             ]
         });
 
@@ -68,7 +164,8 @@ class TestingSystem {
                 { name: 'Structured Data', fn: () => this.testStructuredData() },
                 { name: 'Heading Structure', fn: () => this.testHeadingStructure() },
                 { name: 'Image Alt Texts', fn: () => this.testImageAltTexts() },
-                { name: 'Canonical URLs', fn: () => this.testCanonicalURLs() }
+                { name: 'Canonical URLs', fn: () => this.testCanonicalURLs() },
+                { name: 'Business Profile Consistency', fn: () => this.testBusinessProfileConsistency() }
             ]
         });
 
@@ -80,6 +177,7 @@ class TestingSystem {
                 { name: 'Portfolio Gallery', fn: () => this.testPortfolioGallery() },
                 { name: 'Navigation System', fn: () => this.testNavigationSystem() },
                 { name: 'Contact System', fn: () => this.testContactSystem() },
+                { name: 'Contact Submission', fn: () => this.testContactSubmission() },
                 { name: 'Responsive Design', fn: () => this.testResponsiveDesign() }
             ]
         });
@@ -404,6 +502,38 @@ class TestingSystem {
         return true;
     }
 
+    async testOnlineNavigation() {
+        if (!navigator.serviceWorker?.controller) {
+            return {
+                status: 'warning',
+                message: 'Página não controlada pelo Service Worker'
+            };
+        }
+
+        if (!navigator.onLine) {
+            return {
+                status: 'warning',
+                message: 'Sem conexão; navegação pela rede não testada'
+            };
+        }
+
+        // Caminho inexistente: só a rede responde (404); se o SW não chegar a ela, entrega offline.html
+        const frame = document.createElement('iframe');
+        frame.hidden = true;
+        frame.src = `/__sw-check__/${Date.now()}`;
+
+        const loaded = new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+        document.body.appendChild(frame);
+        await loaded;
+
+        const servedOffline = Boolean(frame.contentDocument?.querySelector('main.offline'));
+        frame.remove();
+
+        return servedOffline
+            ? { status: 'failed', message: 'Navegação online respondida com offline.html em vez da rede' }
+            : true;
+    }
+
     /**
      * Testes de Acessibilidade
      */
@@ -572,33 +702,143 @@ class TestingSystem {
             };
         }
 
-        let hasOrganization = false;
-        let hasWebpage = false;
+        const violations = this.validateStructuredData(structuredData);
+        const types = new Set();
 
         structuredData.forEach(script => {
             try {
-                const data = JSON.parse(script.textContent);
+                [].concat(JSON.parse(script.textContent)).forEach(data => types.add(data['@type']));
+            } catch (error) {
+                // JSON inválido já está entre as violações
+            }
+        });
 
-                if (data['@type'] === 'ProfessionalService' || data['@type'] === 'Organization') {
-                    hasOrganization = true;
-                }
+        if (!types.has('ProfessionalService') && !types.has('Organization')) {
+            violations.push({ level: 'warning', source: 'página', path: '', message: 'sem schema de organização' });
+        }
 
-                if (data['@type'] === 'WebPage') {
-                    hasWebpage = true;
-                }
+        if (!types.has('WebPage')) {
+            violations.push({ level: 'warning', source: 'página', path: '', message: 'sem schema WebPage' });
+        }
+
+        this.structuredDataViolations = violations;
+
+        if (violations.length === 0) {
+            return true;
+        }
+
+        const errors = violations.filter(violation => violation.level === 'error');
+        const report = violations.map(violation =>
+            `${violation.level === 'error' ? '❌' : '⚠️'} [${violation.source}] ${violation.path ? `${violation.path}: ` : ''}${violation.message}`
+        );
+
+        console.groupCollapsed(`📋 Dados estruturados: ${errors.length} erro(s), ${violations.length - errors.length} aviso(s)`);
+        report.forEach(line => console.log(line));
+        console.groupEnd();
+
+        return {
+            status: errors.length > 0 ? 'failed' : 'warning',
+            message: report.join('\n')
+        };
+    }
+
+    /**
+     * Validar cada bloco JSON-LD pelas regras de STRUCTURED_DATA_RULES
+     * Cada violação indica o método que injetou o bloco (data-source) e o caminho da propriedade
+     */
+    validateStructuredData(scripts) {
+        const violations = [];
+        const ids = new Map();
+
+        scripts.forEach((script, index) => {
+            const source = script.dataset.source || script.id || `JSON-LD #${index + 1}`;
+            let data;
+
+            try {
+                data = JSON.parse(script.textContent);
             } catch (error) {
-                console.warn('Erro ao analisar dados estruturados:', error);
+                violations.push({ level: 'error', source, path: '', message: `JSON inválido (${error.message})` });
+                return;
             }
+
+            [].concat(data).forEach(root => {
+                if (!root || root['@context'] === undefined || !String(root['@context']).includes('schema.org')) {
+                    violations.push({ level: 'error', source, path: '', message: '@context do schema.org ausente' });
+                }
+
+                [].concat(root?.['@graph'] || root).forEach(node => {
+                    this.validateSchemaNode(node, node?.['@type'] || '', { source, violations, ids }, false);
+                });
+            });
         });
 
-        if (!hasOrganization || !hasWebpage) {
-            return {
-                status: 'warning',
-                message: 'Dados estruturados essenciais ausentes'
-            };
+        return violations;
+    }
+
+    validateSchemaNode(node, path, context, nested = true) {
+        if (Array.isArray(node)) {
+            node.forEach((item, index) => this.validateSchemaNode(item, `${path}[${index}]`, context, nested));
+            return;
         }
 
-        return true;
+        if (!node || typeof node !== 'object') return;
+
+        const { source, violations, ids } = context;
+        const report = (level, message, property) => violations.push({
+            level,
+            source,
+            path: property ? `${path}.${property}` : path,
+            message
+        });
+
+        // @id definido em mais de um lugar (nós só com @id são referências)
+        if (node['@id'] && Object.keys(node).some(key => !key.startsWith('@') || key === '@type')) {
+            if (ids.has(node['@id'])) {
+                report('error', `@id duplicado ${node['@id']} (também em ${ids.get(node['@id'])})`);
+            } else {
+                ids.set(node['@id'], source);
+            }
+        }
+
+        const rules = [].concat(node['@type'] || [])
+            .map(type => STRUCTURED_DATA_RULES.types[STRUCTURED_DATA_RULES.aliases[type] || type])
+            .filter(Boolean);
+        const isPresent = property => property.split('|').some(name => {
+            const value = node[name];
+            return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+        });
+
+        rules.map(rule => (nested && rule.nested ? { required: rule.nested } : rule)).forEach(({ required = [], recommended = [] }) => {
+            required.filter(property => !isPresent(property))
+                .forEach(property => report('error', `propriedade obrigatória ausente: ${property.replace('|', ' ou ')}`));
+            recommended.filter(property => !isPresent(property))
+                .forEach(property => report('warning', `propriedade recomendada ausente: ${property.replace('|', ' ou ')}`));
+        });
+
+        if ((node['@type'] === 'Rating' || node['@type'] === 'AggregateRating') && STRUCTURED_DATA_FORMATS.number(node.ratingValue)) {
+            const best = Number(node.bestRating ?? 5);
+            const worst = Number(node.worstRating ?? 1);
+
+            if (Number(node.ratingValue) < worst || Number(node.ratingValue) > best) {
+                report('error', `nota ${node.ratingValue} fora do intervalo ${worst}-${best}`, 'ratingValue');
+            }
+        }
+
+        Object.entries(node).forEach(([property, value]) => {
+            if (property.startsWith('@')) return;
+
+            const format = STRUCTURED_DATA_RULES.values[property];
+
+            [].concat(value).forEach((item, index) => {
+                const itemPath = Array.isArray(value) ? `${property}[${index}]` : property;
+
+                if (item && typeof item === 'object') {
+                    this.validateSchemaNode(item, `${path}.${itemPath}`, context);
+                } else if (format && !STRUCTURED_DATA_FORMATS[format](item)) {
+                    report('error', `valor inválido para ${format}: ${JSON.stringify(item)}`, itemPath);
+                }
+            });
+        });
     }
 
     async testHeadingStructure() {
@@ -681,6 +921,188 @@ class TestingSystem {
         return true;
     }
 
+    /**
+     * Dados do escritório: JSON-LD, contato/rodapé (na página e no HTML servido) e envio de contato
+     * devem bater com business-profile.js
+     */
+    async testBusinessProfileConsistency() {
+        const profile = window.businessProfile;
+
+        if (!profile) {
+            return {
+                status: 'warning',
+                message: 'Perfil do escritório (business-profile.js) não carregado'
+            };
+        }
+
+        const divergences = [
+            ...this.checkBusinessStructuredData(profile),
+            ...this.checkBusinessMarkup(profile, document, 'página'),
+            ...this.checkBusinessContactConfig(profile)
+        ];
+
+        // HTML servido: é o que os rastreadores leem antes de bindMarkup()
+        try {
+            const response = await fetch(window.location.href, { cache: 'no-store' });
+
+            if (response.ok) {
+                const source = new DOMParser().parseFromString(await response.text(), 'text/html');
+                divergences.push(...this.checkBusinessMarkup(profile, source, 'HTML servido'));
+            }
+        } catch (error) {
+            console.warn('HTML servido não verificado:', error);
+        }
+
+        if (divergences.length > 0) {
+            console.warn('Dados do escritório divergentes do perfil:', divergences);
+            return {
+                status: 'failed',
+                message: `Dados do escritório divergentes: ${divergences.join('; ')}`
+            };
+        }
+
+        return true;
+    }
+
+    checkBusinessStructuredData(profile) {
+        const divergences = [];
+        const phones = profile.profile.phones.map(phone => BusinessProfile.digits(phone.number));
+        const sameAs = profile.getSameAs();
+        const address = profile.getPostalAddress();
+        const geo = profile.getGeoCoordinates();
+        const openingHours = profile.getOpeningHours();
+        const serviceNames = profile.profile.services.map(service => service.name);
+
+        const visit = (node, label) => {
+            if (Array.isArray(node)) {
+                node.forEach(item => visit(item, label));
+                return;
+            }
+
+            if (!node || typeof node !== 'object') return;
+
+            if (node.telephone && !phones.includes(BusinessProfile.digits(node.telephone))) {
+                divergences.push(`${label}: telefone ${node.telephone}`);
+            }
+
+            if (node.email && node.email !== profile.email) {
+                divergences.push(`${label}: e-mail ${node.email}`);
+            }
+
+            // Endereços sem rua são de projetos (locationCreated), não do escritório
+            if (node['@type'] === 'PostalAddress' && node.streetAddress) {
+                Object.keys(address)
+                    .filter(key => key !== '@type' && node[key] !== undefined && node[key] !== address[key])
+                    .forEach(key => divergences.push(`${label}: ${key} ${node[key]}`));
+            }
+
+            if (node['@type'] === 'GeoCoordinates' &&
+                (Number(node.latitude) !== Number(geo.latitude) || Number(node.longitude) !== Number(geo.longitude))) {
+                divergences.push(`${label}: coordenadas ${node.latitude},${node.longitude}`);
+            }
+
+            if (node['@type'] === 'Service' && !serviceNames.includes(node.name)) {
+                divergences.push(`${label}: serviço ${node.name}`);
+            }
+
+            if (node.name === profile.name) {
+                [].concat(node.sameAs || [])
+                    .filter(url => !sameAs.includes(url))
+                    .forEach(url => divergences.push(`${label}: rede social ${url}`));
+
+                if (node.openingHours && JSON.stringify([].concat(node.openingHours)) !== JSON.stringify(openingHours)) {
+                    divergences.push(`${label}: horários ${[].concat(node.openingHours).join(', ')}`);
+                }
+            }
+
+            Object.values(node).forEach(value => visit(value, label));
+        };
+
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                visit(JSON.parse(script.textContent), script.id || 'JSON-LD');
+            } catch (error) {
+                // JSON inválido já é apontado por testStructuredData
+            }
+        });
+
+        return divergences;
+    }
+
+    checkBusinessMarkup(profile, root, label) {
+        const divergences = [];
+        const values = profile.getMarkupValues();
+        const phones = profile.profile.phones.map(phone => BusinessProfile.digits(phone.number));
+        const sameAs = profile.getSameAs();
+
+        root.querySelectorAll('[data-business]').forEach(element => {
+            const expected = values[element.dataset.business];
+            const text = element.textContent.trim();
+
+            if (expected && text !== expected) {
+                divergences.push(`${label}: ${element.dataset.business} "${text}"`);
+            }
+        });
+
+        root.querySelectorAll('[data-business-href]').forEach(element => {
+            const expected = values[element.dataset.businessHref];
+            const href = element.getAttribute('href');
+
+            if (expected && href !== expected) {
+                divergences.push(`${label}: link ${element.dataset.businessHref} ${href}`);
+            }
+        });
+
+        // Links de contato e redes sociais, marcados ou não
+        root.querySelectorAll('a[href^="mailto:"]').forEach(link => {
+            const email = decodeURIComponent(link.getAttribute('href').slice('mailto:'.length).split('?')[0]);
+            if (email !== profile.email) divergences.push(`${label}: e-mail ${email}`);
+        });
+
+        root.querySelectorAll('a[href^="tel:"], a[href*="api.whatsapp.com"], a[href*="wa.me/"]').forEach(link => {
+            const href = link.getAttribute('href');
+            const phone = href.startsWith('tel:')
+                ? href
+                : new URL(href, window.location.href).searchParams.get('phone') || href.split('wa.me/')[1];
+
+            if (!phones.includes(BusinessProfile.digits(phone))) {
+                divergences.push(`${label}: telefone ${href}`);
+            }
+        });
+
+        root.querySelectorAll('a[href*="instagram.com"], a[href*="facebook.com"], a[href*="linkedin.com"]').forEach(link => {
+            const href = link.getAttribute('href');
+            if (!sameAs.includes(href)) divergences.push(`${label}: rede social ${href}`);
+        });
+
+        // Cada serviço do perfil tem seu card na seção de serviços (quando a página tem a seção)
+        if (root.querySelector('[data-i18n^="services."]')) {
+            profile.profile.services
+                .filter(service => !root.querySelector(`[data-i18n="${service.i18nKey}.title"]`))
+                .forEach(service => divergences.push(`${label}: card do serviço ${service.id} ausente`));
+        }
+
+        return divergences;
+    }
+
+    checkBusinessContactConfig(profile) {
+        if (!window.ContactSubmission) return [];
+
+        const { mailto, whatsapp } = ContactSubmission.DEFAULT_CONFIG;
+        const phone = profile.profile.phones.find(item => item.whatsapp);
+        const divergences = [];
+
+        if (mailto.email !== profile.email) {
+            divergences.push(`envio de contato: e-mail ${mailto.email}`);
+        }
+
+        if (phone && BusinessProfile.digits(whatsapp.phone) !== BusinessProfile.digits(phone.number)) {
+            divergences.push(`envio de contato: WhatsApp ${whatsapp.phone}`);
+        }
+
+        return divergences;
+    }
+
     /**
      * Testes de Funcionalidade
      */
@@ -809,6 +1231,80 @@ class TestingSystem {
         return true;
     }
 
+    async testContactSubmission() {
+        if (!window.ContactSubmission) {
+            return {
+                status: 'warning',
+                message: 'Módulo de envio de contato não carregado'
+            };
+        }
+
+        const sample = {
+            nome: 'Teste Automatizado',
+            email: 'teste@example.com',
+            mensagem: 'Mensagem enviada pelo TestingSystem.'
+        };
+
+        // Links de e-mail e WhatsApp devem usar os dados configurados
+        const submission = new ContactSubmission();
+        const mailto = submission.getTransport('mailto').buildURL(sample);
+        const whatsapp = submission.getTransport('whatsapp').buildURL(sample);
+
+        if (!mailto.startsWith(`mailto:${submission.config.mailto.email}?`) ||
+            !whatsapp.includes(`phone=${submission.config.whatsapp.phone}`)) {
+            return false;
+        }
+
+        // Transportes HTTP são exercitados apenas com o servidor simulado ativo
+        try {
+            await fetch(`${this.mockContactServer}/__mock/submissions`, { method: 'DELETE' });
+        } catch (error) {
+            return {
+                status: 'warning',
+                message: `Servidor simulado indisponível em ${this.mockContactServer}; transportes HTTP não testados`
+            };
+        }
+
+        const createSubmission = (mode) => new ContactSubmission({
+            transports: ['json', 'formspree'],
+            timeout: 3000,
+            json: { endpoint: `${this.mockContactServer}/api/contact?mode=${mode}` },
+            formspree: { endpoint: `${this.mockContactServer}/f/teste?mode=${mode}` }
+        });
+
+        const json = await createSubmission('success').submit(sample);
+        const formspree = await createSubmission('success').submit(sample, { transports: ['formspree'] });
+        const fallback = await createSubmission('error').submit(sample, { transports: ['json', 'formspree'] })
+            .catch(error => error);
+
+        let rejected = null;
+        try {
+            await createSubmission('invalid').submit(sample);
+        } catch (error) {
+            rejected = error;
+        }
+
+        const response = await fetch(`${this.mockContactServer}/__mock/submissions`);
+        const { submissions } = await response.json();
+
+        const failures = [
+            json.transport !== 'json' && 'JSON',
+            formspree.transport !== 'formspree' && 'Formspree',
+            !(fallback instanceof Error && fallback.status === 500) && 'erro 500',
+            !(rejected && rejected.recoverable === false && rejected.transport === 'json') && 'erro 422',
+            submissions.length !== 2 && 'registro no servidor'
+        ].filter(Boolean);
+
+        if (failures.length > 0) {
+            return {
+                status: 'failed',
+                message: `Falhas no envio de contato: ${failures.join(', ')}`
+            };
+        }
+
+        return true;
+    }
+
     async testResponsiveDesign() {
         const viewport = document.querySelector('meta[name="viewport"]');
 
@@ -892,13 +1388,56 @@ class TestingSystem {
     }
 
     async testInputSanitization() {
-        // Este teste seria mais completo em um ambiente de integração
-        const inputs = document.querySelectorAll('input, textarea');
-
-        if (inputs.length === 0) {
+        if (!window.ValidationEngine || !window.RateLimiter) {
             return {
                 status: 'warning',
-                message: 'Nenhum campo de entrada encontrado para testar'
+                message: 'Biblioteca de validação (validation.js) não carregada'
+            };
+        }
+
+        const validator = new ValidationEngine(ValidationEngine.schemas.contact, { locale: 'pt-BR' });
+        const failures = [];
+
+        if (validator.sanitize('<script>alert(1)</script>Ana') !== 'Ana') {
+            failures.push('sanitize não removeu <script>');
+        }
+
+        if (validator.detectInjection({ nome: 'Ana', mensagem: '<img src=x onerror=alert(1)>' }) !== 'mensagem') {
+            failures.push('detectInjection não identificou o campo');
+        }
+
+        const report = validator.validate({ nome: 'A', email: 'invalido', mensagem: 'Olá', privacidade: false });
+        if (report.valid || Object.keys(report.errors).length !== 4) {
+            failures.push(`esperados 4 erros, recebidos ${Object.keys(report.errors).length}`);
+        }
+
+        const asyncValidator = validator.extend({
+            email: {
+                ...validator.getRules('email'),
+                asyncValidator: async value => !value.endsWith('@bloqueado.com') || 'E-mail bloqueado'
+            }
+        });
+        const asyncResult = await asyncValidator.validateFieldAsync('email', 'ana@bloqueado.com');
+        if (asyncResult.valid || asyncResult.message !== 'E-mail bloqueado') {
+            failures.push('validador assíncrono ignorado');
+        }
+
+        validator.setLocale('en');
+        if (validator.validateField('email', '').message !== 'Email is required') {
+            failures.push('mensagens em inglês indisponíveis');
+        }
+
+        const limiter = new RateLimiter({ maxAttempts: 2, timeWindow: 60000 });
+        const attempts = [1, 2, 3].map(() => limiter.canProceed('teste'));
+        limiter.reset('teste');
+        if (attempts.join() !== 'true,true,false' || !limiter.canProceed('teste')) {
+            failures.push('RateLimiter não limitou ou não reiniciou');
+        }
+
+        if (failures.length > 0) {
+            return {
+                status: 'failed',
+                message: failures.join('; ')
             };
         }
 
@@ -0,0 +1,241 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - SERVIÇO DE TEMA
+ * Modos claro, escuro e sistema, aplicados antes da primeira pintura, com evento themechange para os demais módulos
+ */
+
+'use strict';
+
+const THEME_CONFIG = {
+    modes: ['light', 'dark', 'system'],
+    defaultMode: 'system',
+    // Nome no PreferenceStore (v0: texto puro na chave 'theme')
+    storageKey: 'theme',
+    // Cor da interface do navegador (meta theme-color) por tema
+    themeColors: { light: '#FDFDFD', dark: '#1C1D18' }
+};
+
+/**
+ * Texto traduzido com fallback em português (o serviço é carregado antes do I18nManager)
+ */
+function themeText(key, defaultValue, params = {}) {
+    return window.i18n ? window.i18n.t(key, { ...params, defaultValue }) : defaultValue;
+}
+
+/**
+ * Serviço de tema
+ * Carregado no <head>: aplica data-theme no <html> antes de o corpo ser pintado.
+ * O botão do cabeçalho usa data-action="toggle-theme" (delegação do StateManager),
+ * e o estado `theme` do StateManager espelha o modo escolhido.
+ */
+class ThemeService {
+    constructor(config = {}) {
+        this.config = { ...THEME_CONFIG, ...config };
+        this.storage = window.preferenceStore || null;
+        this.registerPersistence();
+        this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        this.mode = this.getSavedMode() || this.config.defaultMode;
+        this.theme = null;
+        this.toggles = [];
+        this.stateManager = null;
+        this.unsubscribe = null;
+
+        this.handleSystemChange = this.handleSystemChange.bind(this);
+        this.handleStateChange = this.handleStateChange.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.updateToggles = this.updateToggles.bind(this);
+
+        this.apply({ silent: true });
+
+        if (this.mediaQuery) {
+            this.mediaQuery.addEventListener('change', this.handleSystemChange);
+        }
+    }
+
+    /**
+     * Ligar os botões de tema (após o carregamento do DOM)
+     */
+    init(root = document) {
+        this.toggles = Array.from(root.querySelectorAll('[data-action="toggle-theme"]'));
+
+        // Sem StateManager não há delegação de data-action: handleClick trata o clique
+        this.toggles.forEach(toggle => toggle.addEventListener('click', this.handleClick));
+        window.addEventListener('i18n:change', this.updateToggles);
+
+        this.updateToggles();
+        console.log(`🌓 Theme service initialized (${this.mode}: ${this.theme})`);
+    }
+
+    /**
+     * Manter o estado `theme` do StateManager em sincronia (nos dois sentidos)
+     */
+    connect(stateManager) {
+        this.stateManager = stateManager;
+        this.unsubscribe = stateManager.subscribe(this.handleStateChange, 'theme');
+        this.syncState();
+    }
+
+    registerPersistence() {
+        this.storage?.register(this.config.storageKey, {
+            version: 1,
+            defaults: { mode: this.config.defaultMode },
+            legacyKeys: ['theme'],
+            migrations: {
+                1: mode => ({ mode })
+            },
+            validate: (data, issues) => {
+                if ('mode' in data && !this.isValidMode(data.mode)) {
+                    issues.push('mode');
+                    delete data.mode;
+                }
+                return data;
+            }
+        });
+    }
+
+    isValidMode(mode) {
+        return this.config.modes.includes(mode);
+    }
+
+    getSavedMode() {
+        return this.storage?.read(this.config.storageKey)?.mode || null;
+    }
+
+    getSystemTheme() {
+        return this.mediaQuery?.matches ? 'dark' : 'light';
+    }
+
+    resolve(mode = this.mode) {
+        return mode === 'system' ? this.getSystemTheme() : mode;
+    }
+
+    /**
+     * Modo escolhido (light, dark ou system)
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Tema efetivamente aplicado (light ou dark)
+     */
+    getTheme() {
+        return this.theme;
+    }
+
+    setMode(mode) {
+        if (!this.isValidMode(mode)) {
+            console.warn('Invalid theme mode:', mode);
+            return this.mode;
+        }
+
+        this.mode = mode;
+        this.storage?.write(this.config.storageKey, { mode });
+
+        this.apply();
+        this.syncState();
+        return mode;
+    }
+
+    /**
+     * Próximo modo na ordem claro → escuro → sistema
+     */
+    toggle() {
+        const modes = this.config.modes;
+        return this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+    }
+
+    apply({ silent = false } = {}) {
+        const previous = this.theme;
+        const theme = this.resolve();
+        const root = document.documentElement;
+
+        root.setAttribute('data-theme', theme);
+        root.setAttribute('data-theme-mode', this.mode);
+        this.theme = theme;
+
+        const themeColor = document.querySelector('meta[name="theme-color"]');
+        if (themeColor) {
+            themeColor.setAttribute('content', this.config.themeColors[theme]);
+        }
+
+        this.updateToggles();
+
+        if (!silent) {
+            window.dispatchEvent(new CustomEvent('themechange', {
+                detail: { theme, mode: this.mode, previous }
+            }));
+        }
+    }
+
+    syncState() {
+        if (this.stateManager && this.stateManager.get('theme') !== this.mode) {
+            this.stateManager.setState({ theme: this.mode }, 'set-theme');
+        }
+    }
+
+    /**
+     * Preferência do sistema operacional mudou (só afeta o modo sistema)
+     */
+    handleSystemChange() {
+        if (this.mode === 'system') {
+            this.apply();
+        }
+    }
+
+    /**
+     * Tema alterado diretamente no estado (ex.: resetState)
+     */
+    handleStateChange(state) {
+        if (this.isValidMode(state.theme) && state.theme !== this.mode) {
+            this.setMode(state.theme);
+        }
+    }
+
+    handleClick() {
+        if (!this.stateManager) {
+            this.toggle();
+        }
+    }
+
+    /**
+     * Rótulo do botão descreve o modo atual (o ícone vem do CSS via data-theme-mode)
+     */
+    updateToggles() {
+        const mode = themeText(`theme.modes.${this.mode}`, {
+            light: 'claro',
+            dark: 'escuro',
+            system: 'automático (sistema)'
+        }[this.mode]);
+        const label = themeText('theme.toggle', `Tema: ${mode}. Alternar tema`, { mode });
+
+        this.toggles.forEach(toggle => {
+            toggle.setAttribute('aria-label', label);
+            toggle.setAttribute('title', label);
+            toggle.setAttribute('data-current-theme', this.theme);
+        });
+    }
+
+    destroy() {
+        if (this.mediaQuery) {
+            this.mediaQuery.removeEventListener('change', this.handleSystemChange);
+        }
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+        window.removeEventListener('i18n:change', this.updateToggles);
+        this.toggles.forEach(toggle => toggle.removeEventListener('click', this.handleClick));
+    }
+}
+
+ThemeService.CONFIG = THEME_CONFIG;
+
+// Aplicar o tema imediatamente (script carregado no <head>)
+window.themeService = new ThemeService();
+
+// Inicialização
+document.addEventListener('DOMContentLoaded', () => {
+    window.themeService.init();
+});
+
+// Exportar para uso global
+window.ThemeService = ThemeService;
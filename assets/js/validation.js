@@ -0,0 +1,604 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - BIBLIOTECA DE VALIDAÇÃO
+ * Regras declarativas por campo, sanitização, detecção de injeção e limite de tentativas
+ * compartilhados por todos os formulários do site
+ */
+
+'use strict';
+
+const VALIDATION_DEFAULT_LOCALE = 'pt-BR';
+
+const VALIDATION_PATTERNS = {
+    email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
+    phone: /^\+?[\d\s()-]{10,20}$/,
+    name: /^[A-Za-zÀ-ÿ\s'-]+$/
+};
+
+// Marcação removida dos valores digitados ou colados
+const SANITIZE_PATTERNS = [
+    /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
+    /javascript:/gi,
+    /\bon\w+\s*=/gi,
+    /<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi,
+    /<object\b[^<]*(?:(?!<\/object>)<[^<]*)*<\/object>/gi,
+    /<embed\b[^<]*(?:(?!<\/embed>)<[^<]*)*<\/embed>/gi,
+    /<form\b[^<]*(?:(?!<\/form>)<[^<]*)*<\/form>/gi,
+    /<input\b[^<]*(?:(?!<\/input>)<[^<]*)*\/?>/gi,
+    /<meta\b[^<]*(?:(?!<\/meta>)<[^<]*)*\/?>/gi
+];
+
+// Sem flag global: RegExp.test() com /g guarda lastIndex entre chamadas
+const INJECTION_PATTERNS = [
+    /<script/i,
+    /javascript:/i,
+    /\bon\w+\s*=/i,
+    /<iframe/i,
+    /<object/i,
+    /<embed/i
+];
+
+const VALIDATION_MESSAGES = {
+    'pt-BR': {
+        required: 'Preencha este campo',
+        minLength: 'Use pelo menos {minLength} caracteres',
+        maxLength: 'Use no máximo {maxLength} caracteres',
+        pattern: 'Formato inválido',
+        email: 'Digite um e-mail válido',
+        phone: 'Digite um telefone válido',
+        maxFiles: 'Envie no máximo {maxFiles} arquivos',
+        fileTypes: 'Formato de arquivo não aceito',
+        maxFileSize: 'Cada arquivo deve ter no máximo {maxFileSizeMB} MB',
+        validator: 'Valor inválido'
+    },
+    en: {
+        required: 'Please fill in this field',
+        minLength: 'Use at least {minLength} characters',
+        maxLength: 'Use at most {maxLength} characters',
+        pattern: 'Invalid format',
+        email: 'Enter a valid email address',
+        phone: 'Enter a valid phone number',
+        maxFiles: 'Send at most {maxFiles} files',
+        fileTypes: 'File format not accepted',
+        maxFileSize: 'Each file must be at most {maxFileSizeMB} MB',
+        validator: 'Invalid value'
+    },
+    es: {
+        required: 'Complete este campo',
+        minLength: 'Use al menos {minLength} caracteres',
+        maxLength: 'Use como máximo {maxLength} caracteres',
+        pattern: 'Formato inválido',
+        email: 'Ingrese un correo electrónico válido',
+        phone: 'Ingrese un teléfono válido',
+        maxFiles: 'Envíe como máximo {maxFiles} archivos',
+        fileTypes: 'Formato de archivo no aceptado',
+        maxFileSize: 'Cada archivo debe tener como máximo {maxFileSizeMB} MB',
+        validator: 'Valor inválido'
+    }
+};
+
+// Ordem de verificação das regras (a primeira que falhar define a mensagem)
+const VALIDATION_RULE_ORDER = ['minLength', 'maxLength', 'email', 'phone', 'pattern', 'maxFiles', 'fileTypes', 'maxFileSize'];
+
+const VALIDATION_SCHEMAS = {
+    contact: {
+        nome: {
+            required: true,
+            minLength: 2,
+            maxLength: 100,
+            pattern: VALIDATION_PATTERNS.name,
+            messages: {
+                'pt-BR': {
+                    required: 'Nome é obrigatório',
+                    minLength: 'Nome deve ter pelo menos 2 caracteres',
+                    maxLength: 'Nome deve ter no máximo 100 caracteres',
+                    pattern: 'Nome deve conter apenas letras'
+                },
+                en: {
+                    required: 'Name is required',
+                    minLength: 'Name must have at least 2 characters',
+                    maxLength: 'Name must have at most 100 characters',
+                    pattern: 'Name must contain only letters'
+                },
+                es: {
+                    required: 'El nombre es obligatorio',
+                    minLength: 'El nombre debe tener al menos 2 caracteres',
+                    maxLength: 'El nombre debe tener como máximo 100 caracteres',
+                    pattern: 'El nombre debe contener solo letras'
+                }
+            }
+        },
+        email: {
+            required: true,
+            maxLength: 254,
+            email: true,
+            messages: {
+                'pt-BR': { required: 'E-mail é obrigatório' },
+                en: { required: 'Email is required' },
+                es: { required: 'El correo electrónico es obligatorio' }
+            }
+        },
+        telefone: {
+            phone: true
+        },
+        mensagem: {
+            required: true,
+            minLength: 10,
+            maxLength: 1000,
+            messages: {
+                'pt-BR': {
+                    required: 'Mensagem é obrigatória',
+                    minLength: 'Mensagem deve ter pelo menos 10 caracteres',
+                    maxLength: 'Mensagem deve ter no máximo 1000 caracteres'
+                },
+                en: {
+                    required: 'Message is required',
+                    minLength: 'Message must have at least 10 characters',
+                    maxLength: 'Message must have at most 1000 characters'
+                },
+                es: {
+                    required: 'El mensaje es obligatorio',
+                    minLength: 'El mensaje debe tener al menos 10 caracteres',
+                    maxLength: 'El mensaje debe tener como máximo 1000 caracteres'
+                }
+            }
+        },
+        privacidade: {
+            required: true,
+            messages: {
+                'pt-BR': { required: 'Você deve aceitar a política de privacidade' },
+                en: { required: 'You must accept the privacy policy' },
+                es: { required: 'Debe aceptar la política de privacidad' }
+            }
+        },
+        csrf_token: {
+            sanitize: false
+        }
+    }
+};
+
+const RATE_LIMIT_PRESETS = {
+    // Envio de formulários: 3 tentativas por hora
+    form: {
+        maxAttempts: 3,
+        timeWindow: 60 * 60 * 1000
+    },
+    // Ações sensíveis: 5 tentativas em 15 minutos, bloqueio de 30 minutos
+    security: {
+        maxAttempts: 5,
+        timeWindow: 15 * 60 * 1000,
+        blockDuration: 30 * 60 * 1000
+    }
+};
+
+/**
+ * Idioma suportado mais próximo (pt-BR como padrão)
+ */
+function resolveValidationLocale(locale) {
+    const requested = locale
+        || (typeof document !== 'undefined' && document.documentElement.lang)
+        || VALIDATION_DEFAULT_LOCALE;
+
+    if (VALIDATION_MESSAGES[requested]) return requested;
+
+    const language = requested.split('-')[0].toLowerCase();
+    return Object.keys(VALIDATION_MESSAGES).find(key => key.split('-')[0] === language) || VALIDATION_DEFAULT_LOCALE;
+}
+
+/**
+ * Remover marcação perigosa de um texto
+ */
+function sanitizeInput(input, { trim = true } = {}) {
+    if (typeof input !== 'string') return '';
+
+    const sanitized = SANITIZE_PATTERNS.reduce((value, pattern) => value.replace(pattern, ''), input);
+    return trim ? sanitized.trim() : sanitized;
+}
+
+/**
+ * Verificar se um texto contém tentativa de injeção
+ */
+function containsInjection(input) {
+    return typeof input === 'string' && INJECTION_PATTERNS.some(pattern => pattern.test(input));
+}
+
+/**
+ * Converter FormData ou objeto em objeto simples (campos repetidos viram lista)
+ */
+function toPlainData(data) {
+    if (!data) return {};
+
+    if (typeof data.entries !== 'function' || typeof data.getAll !== 'function') {
+        return { ...data };
+    }
+
+    const values = {};
+    for (const key of new Set(Array.from(data.keys()))) {
+        const all = data.getAll(key);
+        const hasFiles = all.some(value => typeof value === 'object' && value !== null);
+        values[key] = all.length > 1 || hasFiles ? all : all[0];
+    }
+    return values;
+}
+
+function isFileLike(value) {
+    return value !== null && typeof value === 'object' && 'size' in value && 'type' in value;
+}
+
+function toFileList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) || typeof value.length === 'number' ? Array.from(value) : [value];
+    return list.filter(item => isFileLike(item) && (item.size > 0 || item.name));
+}
+
+function isEmptyValue(value) {
+    if (value === null || value === undefined || value === false) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    // Campo de arquivo sem seleção chega no FormData como arquivo vazio e sem nome
+    if (isFileLike(value)) return !(value.size > 0 || value.name);
+    if (typeof value === 'object' && typeof value.length === 'number') {
+        return Array.from(value).every(item => isEmptyValue(item));
+    }
+    return false;
+}
+
+/**
+ * Motor declarativo de validação
+ *
+ * Regras por campo: required, minLength, maxLength, email, phone, pattern,
+ * maxFiles, fileTypes, maxFileSize, validator(value, data) e asyncValidator(value, data).
+ * Validadores personalizados retornam true, false ou a mensagem de erro.
+ * Mensagens: messages[locale][regra] ou o texto padrão do idioma.
+ */
+class ValidationEngine {
+    constructor(schema = {}, { locale } = {}) {
+        this.schema = { ...schema };
+        this.locale = resolveValidationLocale(locale);
+    }
+
+    /**
+     * Novo motor com as regras deste mais as informadas
+     */
+    extend(schema = {}) {
+        return new ValidationEngine({ ...this.schema, ...schema }, { locale: this.locale });
+    }
+
+    setLocale(locale) {
+        this.locale = resolveValidationLocale(locale);
+    }
+
+    hasRule(name) {
+        return Boolean(this.schema[name]);
+    }
+
+    getRules(name) {
+        return this.schema[name] || null;
+    }
+
+    /**
+     * Mensagem de uma regra no idioma atual
+     */
+    getMessage(name, rule, params = {}) {
+        const custom = this.schema[name]?.messages;
+        const template = custom?.[this.locale]?.[rule]
+            || custom?.[VALIDATION_DEFAULT_LOCALE]?.[rule]
+            || VALIDATION_MESSAGES[this.locale][rule]
+            || VALIDATION_MESSAGES[this.locale].validator;
+
+        return template.replace(/\{(\w+)\}/g, (match, key) => (params[key] ?? match));
+    }
+
+    sanitize(value, options) {
+        return sanitizeInput(value, options);
+    }
+
+    /**
+     * Primeiro campo com tentativa de injeção (ou null)
+     */
+    detectInjection(data) {
+        const values = toPlainData(data);
+
+        for (const [key, value] of Object.entries(values)) {
+            const list = Array.isArray(value) ? value : [value];
+            if (list.some(item => containsInjection(item))) {
+                return key;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validar um campo com as regras síncronas
+     */
+    validateField(name, value, data = {}) {
+        const rules = this.schema[name];
+        if (!rules) return this.createResult();
+
+        if (isEmptyValue(value)) {
+            return rules.required ? this.createResult(name, 'required', rules) : this.createResult();
+        }
+
+        const failed = VALIDATION_RULE_ORDER.find(rule => rules[rule] !== undefined && rules[rule] !== false
+            && !this.checkRule(rule, rules[rule], value));
+        if (failed) {
+            return this.createResult(name, failed, rules);
+        }
+
+        if (typeof rules.validator === 'function') {
+            return this.createCustomResult(name, rules, rules.validator(value, data));
+        }
+
+        return this.createResult();
+    }
+
+    /**
+     * Validar um campo incluindo o validador assíncrono
+     */
+    async validateFieldAsync(name, value, data = {}) {
+        const result = this.validateField(name, value, data);
+        const rules = this.schema[name];
+
+        if (!result.valid || !rules || typeof rules.asyncValidator !== 'function' || isEmptyValue(value)) {
+            return result;
+        }
+
+        try {
+            return this.createCustomResult(name, rules, await rules.asyncValidator(value, data));
+        } catch (error) {
+            // Falha do serviço de verificação não impede o envio
+            console.warn(`Validação assíncrona indisponível para ${name}:`, error);
+            return this.createResult();
+        }
+    }
+
+    /**
+     * Validar dados (objeto ou FormData); sem `fields`, valida todos os campos do esquema
+     */
+    validate(data, { fields } = {}) {
+        const values = toPlainData(data);
+        const results = this.getFieldNames(values, fields)
+            .map(name => [name, this.validateField(name, values[name], values)]);
+
+        return this.createReport(values, results);
+    }
+
+    async validateAsync(data, { fields } = {}) {
+        const values = toPlainData(data);
+        const results = await Promise.all(this.getFieldNames(values, fields)
+            .map(async name => [name, await this.validateFieldAsync(name, values[name], values)]));
+
+        return this.createReport(values, results);
+    }
+
+    getFieldNames(values, fields) {
+        return (fields || Object.keys(this.schema)).filter(name => this.hasRule(name));
+    }
+
+    /**
+     * Relatório com erros por campo e valores sanitizados
+     */
+    createReport(values, results) {
+        const errors = {};
+        results.forEach(([name, result]) => {
+            if (!result.valid) errors[name] = result.message;
+        });
+
+        const sanitized = {};
+        Object.entries(values).forEach(([name, value]) => {
+            sanitized[name] = typeof value === 'string' && this.schema[name]?.sanitize !== false
+                ? sanitizeInput(value)
+                : value;
+        });
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            values: sanitized
+        };
+    }
+
+    checkRule(rule, option, value) {
+        const text = typeof value === 'string' ? value.trim() : '';
+        const files = toFileList(value);
+
+        switch (rule) {
+            case 'minLength':
+                return typeof value !== 'string' || text.length >= option;
+            case 'maxLength':
+                return typeof value !== 'string' || text.length <= option;
+            case 'email':
+                return typeof value !== 'string' || VALIDATION_PATTERNS.email.test(text);
+            case 'phone':
+                return typeof value !== 'string' || VALIDATION_PATTERNS.phone.test(text);
+            case 'pattern':
+                return typeof value !== 'string' || option.test(text);
+            case 'maxFiles':
+                return files.length <= option;
+            case 'fileTypes':
+                return files.every(file => option.includes(file.type));
+            case 'maxFileSize':
+                return files.every(file => file.size <= option);
+            default:
+                return true;
+        }
+    }
+
+    createResult(name, rule, rules = {}) {
+        if (!rule) {
+            return { valid: true, rule: null, message: '' };
+        }
+
+        return {
+            valid: false,
+            rule,
+            message: this.getMessage(name, rule, {
+                ...rules,
+                maxFileSizeMB: rules.maxFileSize ? Math.round(rules.maxFileSize / 1024 / 1024) : undefined
+            })
+        };
+    }
+
+    createCustomResult(name, rules, outcome) {
+        if (outcome === true || outcome === undefined) {
+            return this.createResult();
+        }
+
+        const result = this.createResult(name, 'validator', rules);
+        if (typeof outcome === 'string') {
+            result.message = outcome;
+        }
+        return result;
+    }
+}
+
+/**
+ * Limite de tentativas por identificador
+ */
+class RateLimiter {
+    constructor(options = 'form') {
+        const config = typeof options === 'string'
+            ? RATE_LIMIT_PRESETS[options] || RATE_LIMIT_PRESETS.form
+            : { ...RATE_LIMIT_PRESETS.form, ...options };
+
+        this.attempts = new Map();
+        this.blockedUntil = new Map();
+        this.maxAttempts = config.maxAttempts;
+        this.timeWindow = config.timeWindow;
+        this.blockDuration = config.blockDuration || 0;
+    }
+
+    /**
+     * Instância compartilhada por preset (todos os formulários contam juntos)
+     */
+    static shared(preset = 'form') {
+        RateLimiter.instances = RateLimiter.instances || new Map();
+
+        if (!RateLimiter.instances.has(preset)) {
+            RateLimiter.instances.set(preset, new RateLimiter(preset));
+        }
+
+        return RateLimiter.instances.get(preset);
+    }
+
+    canProceed(identifier) {
+        const now = Date.now();
+
+        if ((this.blockedUntil.get(identifier) || 0) > now) {
+            return false;
+        }
+
+        // Limpar tentativas antigas
+        const recentAttempts = this.getRecentAttempts(identifier, now);
+
+        if (recentAttempts.length >= this.maxAttempts) {
+            // Sem bloqueio fixo, libera quando a tentativa mais antiga sair da janela
+            this.blockedUntil.set(identifier, this.blockDuration
+                ? now + this.blockDuration
+                : recentAttempts[0] + this.timeWindow);
+            return false;
+        }
+
+        // Registrar nova tentativa
+        recentAttempts.push(now);
+        this.attempts.set(identifier, recentAttempts);
+        this.blockedUntil.delete(identifier);
+
+        return true;
+    }
+
+    getRemainingTime(identifier) {
+        const now = Date.now();
+        const blockedUntil = this.blockedUntil.get(identifier) || 0;
+
+        if (blockedUntil > now) {
+            return blockedUntil - now;
+        }
+
+        const recentAttempts = this.getRecentAttempts(identifier, now);
+        if (recentAttempts.length >= this.maxAttempts) {
+            return recentAttempts[0] + this.timeWindow - now;
+        }
+
+        return 0;
+    }
+
+    reset(identifier) {
+        this.attempts.delete(identifier);
+        this.blockedUntil.delete(identifier);
+    }
+
+    getRecentAttempts(identifier, now = Date.now()) {
+        return (this.attempts.get(identifier) || []).filter(attempt => now - attempt < this.timeWindow);
+    }
+}
+
+/**
+ * Interface legada (validateName, validateEmail...) sobre o motor de validação
+ */
+class InputValidator {
+    constructor(engine = new ValidationEngine(VALIDATION_SCHEMAS.contact)) {
+        this.engine = engine;
+        this.patterns = VALIDATION_PATTERNS;
+    }
+
+    sanitize(input) {
+        return sanitizeInput(input);
+    }
+
+    validateEmail(email) {
+        return this.validateAs('email', email);
+    }
+
+    validatePhone(phone) {
+        return this.validateAs('telefone', phone);
+    }
+
+    validateName(name) {
+        return this.validateAs('nome', name);
+    }
+
+    validateMessage(message) {
+        return this.validateAs('mensagem', message);
+    }
+
+    /**
+     * Valor sanitizado quando válido, false caso contrário
+     */
+    validateAs(name, value) {
+        const sanitized = this.sanitize(String(value ?? ''));
+        return this.engine.validateField(name, sanitized).valid ? sanitized : false;
+    }
+
+    /**
+     * Dados sanitizados quando todos os campos enviados são válidos, false caso contrário
+     */
+    validateFormData(formData) {
+        const values = toPlainData(formData);
+        const report = this.engine.validate(values, { fields: Object.keys(values) });
+
+        if (!report.valid) {
+            Object.keys(report.errors).forEach(key => console.warn(`Campo ${key} contém dados inválidos`));
+            return false;
+        }
+
+        return report.values;
+    }
+}
+
+ValidationEngine.schemas = VALIDATION_SCHEMAS;
+ValidationEngine.patterns = VALIDATION_PATTERNS;
+ValidationEngine.messages = VALIDATION_MESSAGES;
+ValidationEngine.sanitize = sanitizeInput;
+ValidationEngine.containsInjection = containsInjection;
+RateLimiter.PRESETS = RATE_LIMIT_PRESETS;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.ValidationEngine = ValidationEngine;
+    window.RateLimiter = RateLimiter;
+    window.InputValidator = InputValidator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ValidationEngine, RateLimiter, InputValidator };
+}
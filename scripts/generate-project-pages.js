@@ -0,0 +1,371 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - PÁGINAS ESTÁTICAS DE PROJETO
+ * Gera uma página HTML por projeto e idioma a partir de assets/data/projects.json, para rastreadores e links compartilhados
+ *
+ * Uso:
+ *   node scripts/generate-project-pages.js     # grava projetos/<id>/index.html, en/projetos/<id>/index.html..., en/index.html, es/index.html e o sitemap
+ *   SITE_URL=https://staging.exemplo.com node scripts/generate-project-pages.js
+ *
+ * O conteúdo usa os mesmos templates do modal do portfólio (assets/js/project-templates.js);
+ * no grid, o link para a página continua abrindo o modal na própria página quando há JavaScript.
+ * O grid do index.html (entre os marcadores HOME_GRID_START/HOME_GRID_END) sai pré-renderizado com os links para as páginas,
+ * para rastreadores e navegadores sem JavaScript; o PortfolioManager o substitui ao carregar o manifesto.
+ * A página inicial de cada idioma (en/index.html, es/index.html) é o index.html com os textos data-i18n já traduzidos,
+ * o grid do idioma e <base href="../">, para os endereços relativos continuarem apontando para a raiz do site.
+ * As fotos saem em <picture> com as variantes de assets/data/images.json (scripts/generate-responsive-images.js), quando existe.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ProjectTemplates = require('../assets/js/project-templates.js');
+const ResponsiveImages = require('../assets/js/responsive-images.js');
+const BusinessProfile = require('../assets/js/business-profile.js');
+const sitemap = require('./generate-sitemap.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PROJECTS_FILE = path.join(ROOT_DIR, 'assets', 'data', 'projects.json');
+const IMAGES_MANIFEST_FILE = path.join(ROOT_DIR, 'assets', 'data', 'images.json');
+const HOME_FILE = 'index.html';
+const HOME_GRID_START = '<!-- generate-project-pages:grid -->';
+const HOME_GRID_END = '<!-- /generate-project-pages:grid -->';
+const HOME_ALTERNATES_START = '<!-- generate-project-pages:alternates -->';
+const HOME_ALTERNATES_END = '<!-- /generate-project-pages:alternates -->';
+const { name: SITE_NAME, founder } = BusinessProfile.PROFILE;
+// Mesmos valores de I18N_CONFIG.ogLocales (assets/js/i18n.js)
+const OG_LOCALES = { 'pt-BR': 'pt_BR', en: 'en_US', es: 'es_ES' };
+
+const { escapeHTML } = ProjectTemplates;
+
+/**
+ * Textos do catálogo do idioma, com o idioma padrão e o texto em português como fallback
+ */
+function createText(locale) {
+    const load = code => JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'assets', 'i18n', `${code}.json`), 'utf8'));
+    const catalogs = [load(locale), load(sitemap.DEFAULT_LOCALE)];
+
+    return (key, defaultValue, params = {}) => {
+        const message = catalogs
+            .map(catalog => key.split('.').reduce((value, part) => value?.[part], catalog))
+            .find(value => typeof value === 'string');
+
+        return (message || defaultValue).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] === undefined ? match : String(params[name])
+        );
+    };
+}
+
+/**
+ * Prefixo do idioma no caminho ('' no padrão, 'en/' nos demais), como I18nManager.getLocalizedPath
+ */
+function getLocalePrefix(locale) {
+    return locale === sitemap.DEFAULT_LOCALE ? '' : `${locale.toLowerCase()}/`;
+}
+
+/**
+ * Links canonical e alternate (hreflang) de uma página entre os idiomas
+ */
+function renderAlternateLinks(pagePath, { locale, locales, siteUrl }) {
+    const alternates = [
+        ...locales.map(code => ({ hreflang: code, href: sitemap.getLocalizedUrl(siteUrl, code, pagePath) })),
+        { hreflang: 'x-default', href: sitemap.getLocalizedUrl(siteUrl, sitemap.DEFAULT_LOCALE, pagePath) }
+    ];
+
+    return [
+        `    <link rel="canonical" href="${escapeHTML(sitemap.getLocalizedUrl(siteUrl, locale, pagePath))}">`,
+        ...alternates.map(({ hreflang, href }) => `    <link rel="alternate" hreflang="${hreflang}" href="${escapeHTML(href)}">`)
+    ].join('\n');
+}
+
+/**
+ * Manifesto de variantes responsivas (null antes da primeira execução de generate-responsive-images.js)
+ */
+function loadImagesManifest() {
+    if (!fs.existsSync(IMAGES_MANIFEST_FILE)) return null;
+    return JSON.parse(fs.readFileSync(IMAGES_MANIFEST_FILE, 'utf8'));
+}
+
+/**
+ * Projeto com o bloco `translations` do idioma aplicado (imagens mescladas por posição, como I18nManager.localize)
+ */
+function localizeProject(project, locale) {
+    const { translations, ...base } = project;
+    const translation = translations?.[locale];
+    if (!translation) return base;
+
+    return {
+        ...base,
+        ...translation,
+        images: base.images.map((image, index) => ({ ...image, ...translation.images?.[index] }))
+    };
+}
+
+/**
+ * Schema.org CreativeWork do projeto
+ */
+function buildProjectSchema(project, { url, locale, siteUrl }) {
+    return {
+        "@context": "https://schema.org",
+        "@type": "CreativeWork",
+        "@id": `${url}#projeto`,
+        "url": url,
+        "name": project.title,
+        "description": project.description.join(' '),
+        "inLanguage": locale,
+        "genre": project.categoryText,
+        "keywords": project.technologies.join(', '),
+        "dateCreated": String(project.year),
+        "image": project.images.map(image => sitemap.toAbsoluteUrl(siteUrl, image.src)),
+        "locationCreated": {
+            "@type": "Place",
+            "name": project.city,
+            "address": {
+                "@type": "PostalAddress",
+                "addressLocality": project.city,
+                "addressCountry": "BR"
+            }
+        },
+        "creator": {
+            "@type": "Person",
+            "name": founder.name,
+            "jobTitle": founder.jobTitle,
+            "url": `${siteUrl}/`
+        },
+        "publisher": {
+            "@type": "Organization",
+            "name": SITE_NAME,
+            "url": `${siteUrl}/`
+        }
+    };
+}
+
+/**
+ * HTML completo da página de um projeto em um idioma
+ */
+function renderProjectPage(source, { locale, locales, siteUrl, imagesManifest = null }) {
+    const project = localizeProject(source, locale);
+    const text = createText(locale);
+    const pagePath = sitemap.getProjectPath(source);
+    const url = sitemap.getLocalizedUrl(siteUrl, locale, pagePath);
+    // Caminho relativo até a raiz do site; a página inicial do idioma fica no prefixo (en/)
+    const depth = pagePath.split('/').filter(Boolean).length + (locale === sitemap.DEFAULT_LOCALE ? 0 : 1);
+    const root = '../'.repeat(depth);
+    const home = `${root}${getLocalePrefix(locale)}`;
+    const cover = project.images[0];
+    // Caminhos do manifesto são relativos à raiz do site (./assets/...): a página fica em projetos/<id>/
+    const pageProject = {
+        ...project,
+        images: project.images.map(image => ({ ...image, src: `${root}${image.src.replace(/^\.\//, '')}` }))
+    };
+    const images = imagesManifest ? new ResponsiveImages({ manifest: imagesManifest, base: root }) : null;
+    const title = `${project.title} | ${SITE_NAME}`;
+    const description = project.description[0];
+    // JSON dentro de <script>: impedir que um texto feche a tag
+    const schema = JSON.stringify(buildProjectSchema(project, { url, locale, siteUrl }), null, 4).replace(/</g, '\\u003c');
+    // Textos do botão offline no idioma da página (a página não carrega o i18n.js)
+    const offlineLabels = Object.fromEntries(['saved', 'saving', 'remove', 'error', 'savedNotice', 'removedNotice'].map(name => {
+        const key = `portfolio.offline.${name}`;
+        return [key, text(key, '')];
+    }));
+
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(title)}</title>
+    <meta name="description" content="${escapeHTML(description)}">
+    <meta name="theme-color" content="#FDFDFD">
+    <link rel="manifest" href="${root}manifest.webmanifest">
+    <link rel="icon" href="${root}assets/icons/icon.svg" type="image/svg+xml">
+    <link rel="apple-touch-icon" href="${root}assets/icons/apple-touch-icon.png">
+${renderAlternateLinks(pagePath, { locale, locales, siteUrl })}
+
+    <!-- Open Graph / Twitter -->
+    <meta property="og:type" content="article">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:locale" content="${OG_LOCALES[locale] || locale.replace('-', '_')}">
+    <meta property="og:title" content="${escapeHTML(title)}">
+    <meta property="og:description" content="${escapeHTML(description)}">
+    <meta property="og:url" content="${escapeHTML(url)}">
+    <meta property="og:image" content="${escapeHTML(sitemap.toAbsoluteUrl(siteUrl, cover.src))}">
+    <meta property="og:image:alt" content="${escapeHTML(cover.caption)}">
+    <meta name="twitter:card" content="summary_large_image">
+
+    <script type="application/ld+json" data-source="generate-project-pages.buildProjectSchema">
+${schema}
+    </script>
+
+    <!-- Preferências salvas e tema claro/escuro (aplicados antes da primeira pintura) -->
+    <script src="${root}assets/js/preference-store.js"></script>
+    <script src="${root}assets/js/theme-service.js"></script>
+
+    <link rel="stylesheet" href="${root}assets/css/styles.css">
+</head>
+<body>
+    <main class="project-page" data-project-id="${escapeHTML(source.id)}">
+        <a class="project-page__back" href="${home}#projetos">&larr; ${escapeHTML(text('portfolio.page.back', 'Voltar ao portfólio'))}</a>
+
+        <article aria-labelledby="project-title">
+            <p class="project-page__details">${escapeHTML(text('portfolio.page.details', '{category} · {city}, {year}', {
+                category: project.categoryText,
+                city: project.city,
+                year: project.year
+            }))}</p>
+            ${ProjectTemplates.details(pageProject, { text, titleTag: 'h1', titleId: 'project-title', eager: true, images })}
+        </article>
+
+        <p class="project-page__cta">
+            <a class="btn btn--primary" href="${home}#contato">${escapeHTML(text('portfolio.page.cta', 'Quer um projeto como este? Vamos conversar'))}</a>
+            <!-- Exibido por portfolio.js quando o navegador tem Cache API -->
+            <button type="button" class="btn project-page__save-offline" aria-pressed="false" data-labels="${escapeHTML(JSON.stringify(offlineLabels))}" hidden>${escapeHTML(text('portfolio.offline.save', 'Salvar para ver offline'))}</button>
+        </p>
+    </main>
+
+    <script src="${root}assets/js/project-templates.js"></script>
+    <script src="${root}assets/js/offline-projects.js"></script>
+    <script src="${root}assets/js/responsive-images.js"></script>
+    <script src="${root}assets/js/portfolio.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Grid do portfólio em um idioma, com as mesmas classes do PortfolioManager.renderProjects
+ */
+function renderHomeGrid(projects, { locale = sitemap.DEFAULT_LOCALE, imagesManifest = null } = {}) {
+    const text = createText(locale);
+    const images = imagesManifest ? new ResponsiveImages({ manifest: imagesManifest }) : null;
+
+    return `
+                <div class="portfolio__grid" role="grid" aria-label="${escapeHTML(text('portfolio.gallery', 'Galeria de projetos'))}">
+${projects.map(project => `                    <article class="portfolio__item" role="gridcell" data-project-id="${escapeHTML(project.id)}">
+                        ${ProjectTemplates.card(localizeProject(project, locale), {
+                            href: `${getLocalePrefix(locale)}${sitemap.getProjectPath(project)}`,
+                            images
+                        }).trim()}
+                    </article>`).join('\n')}
+                </div>
+                `;
+}
+
+/**
+ * Trocar o conteúdo entre dois marcadores (null quando faltam)
+ */
+function replaceBetween(html, start, end, content) {
+    const from = html.indexOf(start);
+    const to = html.indexOf(end);
+    if (from === -1 || to < from) return null;
+
+    return `${html.slice(0, from + start.length)}${content}${html.slice(to)}`;
+}
+
+/**
+ * Grid e links de idioma (canonical, hreflang) do index.html em um idioma, entre os marcadores
+ */
+function fillHomeMarkers(html, { locale, locales, siteUrl, projects, imagesManifest = null, eol = '\n' }) {
+    const grid = renderHomeGrid(projects, { locale, imagesManifest }).replace(/\n/g, eol);
+    const alternates = `${eol}${renderAlternateLinks('', { locale, locales, siteUrl }).replace(/\n/g, eol)}${eol}    `;
+
+    return replaceBetween(replaceBetween(html, HOME_GRID_START, HOME_GRID_END, grid), HOME_ALTERNATES_START, HOME_ALTERNATES_END, alternates);
+}
+
+/**
+ * Aplicar o catálogo aos elementos data-i18n (texto) e data-i18n-attr (atributos), como I18nManager.translateElement;
+ * chave sem tradução mantém o texto do index.html
+ */
+function translateHomeHtml(html, text) {
+    return html
+        .replace(/(<(\w+)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>)([^<]*)(<\/\2>)/g, (match, open, tag, key, content, close) => {
+            const message = text(key, '');
+            return message ? `${open}${escapeHTML(message)}${close}` : match;
+        })
+        .replace(/<[^>]*\sdata-i18n-attr="([^"]+)"[^>]*>/g, (tag, bindings) => bindings.split(';').reduce((result, binding) => {
+            const [attribute, key] = binding.split(':').map(part => part.trim());
+            const message = attribute && key ? text(key, '') : '';
+            if (!message) return result;
+
+            return result.replace(new RegExp(`(\\s${attribute}=")[^"]*"`), (match, prefix) => `${prefix}${escapeHTML(message)}"`);
+        }, tag));
+}
+
+/**
+ * Página inicial de um idioma a partir do index.html
+ * <base href="../"> mantém os endereços relativos (scripts, catálogos, projects.json, imagens) na raiz do site;
+ * as âncoras da própria página (#projetos) e o action="#" ganham o prefixo para não voltar à página em português
+ */
+function renderLocaleHome(html, { locale, locales, siteUrl, projects, imagesManifest = null, eol = '\n' }) {
+    const localized = fillHomeMarkers(html, { locale, locales, siteUrl, projects, imagesManifest, eol });
+
+    return translateHomeHtml(localized, createText(locale))
+        .replace(/(<html\b[^>]*\slang=")[^"]*"/, `$1${locale}"`)
+        .replace(/(<meta charset="[^"]*">)/i, `$1${eol}    <base href="../">`)
+        .replace(/(\s(?:href|action)=")#/g, `$1${getLocalePrefix(locale)}#`);
+}
+
+/**
+ * Regravar o grid e os links de idioma do index.html, mantendo as quebras de linha do arquivo (CRLF),
+ * e gravar a página inicial dos demais idiomas (en/index.html, es/index.html...)
+ */
+function updateHomePages(projects, { locales, siteUrl, imagesManifest = null, outDir = ROOT_DIR }) {
+    const file = path.join(outDir, HOME_FILE);
+    if (!fs.existsSync(file)) return [];
+
+    const source = fs.readFileSync(file, 'utf8');
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    const hasMarkers = [HOME_GRID_START, HOME_GRID_END, HOME_ALTERNATES_START, HOME_ALTERNATES_END].every(marker => source.includes(marker));
+
+    if (!hasMarkers) {
+        console.warn(`⚠️ Marcadores do grid ou dos idiomas não encontrados em ${HOME_FILE}; páginas iniciais não atualizadas`);
+        return [];
+    }
+
+    const html = fillHomeMarkers(source, { locale: sitemap.DEFAULT_LOCALE, locales, siteUrl, projects, imagesManifest, eol });
+    fs.writeFileSync(file, html);
+
+    return [HOME_FILE, ...locales.filter(locale => locale !== sitemap.DEFAULT_LOCALE).map(locale => {
+        const dir = path.join(outDir, getLocalePrefix(locale));
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, HOME_FILE), renderLocaleHome(html, { locale, locales, siteUrl, projects, imagesManifest, eol }));
+        return path.relative(outDir, path.join(dir, HOME_FILE));
+    })];
+}
+
+/**
+ * Gravar as páginas de todos os projetos e a página inicial em todos os idiomas e o sitemap
+ */
+function generate({ siteUrl = process.env.SITE_URL || sitemap.SITE_URL, outDir = ROOT_DIR } = {}) {
+    const normalizedUrl = siteUrl.replace(/\/+$/, '');
+    const { projects } = JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
+    const imagesManifest = loadImagesManifest();
+    const locales = sitemap.getLocales();
+    const files = [];
+
+    projects.forEach(project => {
+        locales.forEach(locale => {
+            const dir = path.join(outDir, getLocalePrefix(locale), 'projetos', project.id);
+
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'index.html'), renderProjectPage(project, { locale, locales, siteUrl: normalizedUrl, imagesManifest }));
+            files.push(path.relative(outDir, path.join(dir, 'index.html')));
+        });
+    });
+
+    const homePages = updateHomePages(projects, { locales, siteUrl: normalizedUrl, imagesManifest, outDir });
+    sitemap.generate({ siteUrl: normalizedUrl, outDir });
+
+    return { files, projects, locales, homePages };
+}
+
+if (require.main === module) {
+    const { files, projects, locales, homePages } = generate();
+
+    console.log(`📄 ${files.length} páginas de projeto (${projects.length} projetos × ${locales.join(', ')})`);
+    if (homePages.length) console.log(`🧱 Páginas iniciais: ${homePages.join(', ')}`);
+    console.log('🗺️ sitemap.xml atualizado');
+}
+
+module.exports = { renderProjectPage, renderHomeGrid, renderLocaleHome, updateHomePages, localizeProject, generate };
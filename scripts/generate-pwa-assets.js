@@ -0,0 +1,367 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - ÍCONES E MANIFESTO DO APP
+ * Desenha o monograma "RM" do logotipo (SVG e PNG, sem dependências) e grava o manifest.webmanifest
+ *
+ * Uso:
+ *   node scripts/generate-pwa-assets.js     # grava assets/icons/* e manifest.webmanifest
+ *
+ * Nome, descrição e idioma vêm de assets/js/business-profile.js; as cores, da paleta do index.html
+ * e de THEME_CONFIG.themeColors (assets/js/theme-service.js).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const BusinessProfile = require('../assets/js/business-profile.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const ICONS_DIR = path.join(ROOT_DIR, 'assets', 'icons');
+const MANIFEST_FILE = path.join(ROOT_DIR, 'manifest.webmanifest');
+const ICONS_PATH = '/assets/icons/';
+
+const PWA_COLORS = {
+    // --brand-dark-olive, cor do rodapé e do logotipo
+    background: '#545943',
+    // --color-page (tema claro): letras e fundo da tela de abertura
+    foreground: '#FDFDFD',
+    // --brand-terracotta: linha de base do monograma
+    accent: '#B66C48',
+    // Mesmo valor de THEME_CONFIG.themeColors.light (meta theme-color)
+    theme: '#FDFDFD'
+};
+
+// purpose "any": quadrado arredondado; "maskable": fundo até a borda e desenho na zona segura (80% central)
+const ICON_VARIANTS = [
+    { file: 'favicon-32.png', size: 32, purpose: null },
+    { file: 'apple-touch-icon.png', size: 180, purpose: null, fullBleed: true },
+    { file: 'icon-192.png', size: 192, purpose: 'any' },
+    { file: 'icon-512.png', size: 512, purpose: 'any' },
+    { file: 'icon-maskable-512.png', size: 512, purpose: 'maskable', fullBleed: true }
+];
+
+const MANIFEST_SHORTCUTS = [
+    { name: 'Projetos', description: 'Portfólio de projetos', url: '/#projetos' },
+    { name: 'Contato', description: 'Briefing e contato', url: '/#contato' }
+];
+
+/**
+ * MONOGRAMA
+ * Letras geométricas em uma grade de 96 × 71 (altura das letras 60, traço 9, linha de base em 68–71)
+ */
+function arc(cx, cy, radius, from, to, steps = 24) {
+    return Array.from({ length: steps + 1 }, (_, index) => {
+        const angle = from + (to - from) * index / steps;
+        return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+    });
+}
+
+function rect(x, y, width, height) {
+    return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+}
+
+const MONOGRAM_SIZE = { width: 96, height: 71 };
+
+// Cada forma é uma lista de contornos (regra par-ímpar: contorno interno vira furo)
+const MONOGRAM_SHAPES = {
+    foreground: [
+        // R: haste, bojo e perna
+        [rect(0, 0, 9, 60)],
+        [
+            [[9, 0], ...arc(22, 16.5, 16.5, -Math.PI / 2, Math.PI / 2), [9, 33]],
+            [[9, 9], ...arc(22, 16.5, 7.5, -Math.PI / 2, Math.PI / 2), [9, 24]]
+        ],
+        [[[16, 33], [25.5, 33], [38, 60], [28.5, 60]]],
+        // M: hastes e diagonais
+        [rect(46, 0, 9, 60)],
+        [rect(87, 0, 9, 60)],
+        [[[46, 0], [56, 0], [75.5, 45], [71, 56]]],
+        [[[96, 0], [86, 0], [66.5, 45], [71, 56]]]
+    ],
+    accent: [
+        [rect(0, 68, 96, 3)]
+    ]
+};
+
+/**
+ * Posicionar o monograma no ícone: largura relativa ao lado e centralizado
+ */
+function layoutMonogram(size, { fullBleed = false } = {}) {
+    const scale = size * (fullBleed ? 0.56 : 0.66) / MONOGRAM_SIZE.width;
+
+    return {
+        scale,
+        x: (size - MONOGRAM_SIZE.width * scale) / 2,
+        y: (size - MONOGRAM_SIZE.height * scale) / 2
+    };
+}
+
+function transformShape(shape, { scale, x, y }) {
+    return shape.map(contour => contour.map(([px, py]) => [x + px * scale, y + py * scale]));
+}
+
+function roundedRect(size, radius) {
+    const r = radius;
+    return [[
+        ...arc(size - r, r, r, -Math.PI / 2, 0, 12),
+        ...arc(size - r, size - r, r, 0, Math.PI / 2, 12),
+        ...arc(r, size - r, r, Math.PI / 2, Math.PI, 12),
+        ...arc(r, r, r, Math.PI, Math.PI * 1.5, 12)
+    ]];
+}
+
+/**
+ * Camadas do ícone (fundo, letras e linha de base), em coordenadas de pixel
+ */
+function buildIconLayers(size, { fullBleed = false } = {}) {
+    const layout = layoutMonogram(size, { fullBleed });
+    const background = fullBleed ? [rect(0, 0, size, size)] : roundedRect(size, size * 0.2);
+
+    return [
+        { color: PWA_COLORS.background, shapes: [background] },
+        { color: PWA_COLORS.foreground, shapes: MONOGRAM_SHAPES.foreground.map(shape => transformShape(shape, layout)) },
+        { color: PWA_COLORS.accent, shapes: MONOGRAM_SHAPES.accent.map(shape => transformShape(shape, layout)) }
+    ];
+}
+
+/**
+ * SVG
+ */
+function toPathData(shape) {
+    return shape.map(contour => `M${contour.map(([x, y]) => `${+x.toFixed(2)} ${+y.toFixed(2)}`).join('L')}Z`).join('');
+}
+
+function renderSVG(size, options = {}) {
+    const paths = buildIconLayers(size, options).map(layer =>
+        `    <path fill="${layer.color}" fill-rule="evenodd" d="${layer.shapes.map(toPathData).join('')}"/>`
+    );
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">
+${paths.join('\n')}
+</svg>
+`;
+}
+
+/**
+ * PNG
+ * Preenchimento por varredura com 4 sub-linhas por pixel e cobertura horizontal fracionária
+ */
+const SUBSAMPLES = 4;
+
+function hexToRGB(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Intervalos [x0, x1] de uma forma cortada pela linha horizontal y (par-ímpar entre todos os contornos)
+ */
+function shapeSpans(shape, y) {
+    const crossings = [];
+
+    shape.forEach(contour => {
+        contour.forEach(([x0, y0], index) => {
+            const [x1, y1] = contour[(index + 1) % contour.length];
+            if ((y0 <= y && y1 > y) || (y1 <= y && y0 > y)) {
+                crossings.push(x0 + (y - y0) * (x1 - x0) / (y1 - y0));
+            }
+        });
+    });
+
+    crossings.sort((a, b) => a - b);
+
+    const spans = [];
+    for (let index = 0; index + 1 < crossings.length; index += 2) {
+        spans.push([crossings[index], crossings[index + 1]]);
+    }
+    return spans;
+}
+
+/**
+ * União dos intervalos de todas as formas da camada
+ */
+function mergeSpans(spans) {
+    const merged = [];
+
+    spans.sort((a, b) => a[0] - b[0]).forEach(([x0, x1]) => {
+        const last = merged[merged.length - 1];
+        if (last && x0 <= last[1]) {
+            last[1] = Math.max(last[1], x1);
+        } else {
+            merged.push([x0, x1]);
+        }
+    });
+
+    return merged;
+}
+
+function rasterizeLayer(shapes, size) {
+    const coverage = new Float32Array(size * size);
+
+    for (let row = 0; row < size; row++) {
+        for (let sub = 0; sub < SUBSAMPLES; sub++) {
+            const y = row + (sub + 0.5) / SUBSAMPLES;
+            const spans = mergeSpans(shapes.flatMap(shape => shapeSpans(shape, y)));
+
+            spans.forEach(([x0, x1]) => {
+                const start = Math.max(0, x0);
+                const end = Math.min(size, x1);
+
+                for (let column = Math.floor(start); column < Math.ceil(end); column++) {
+                    const covered = Math.min(end, column + 1) - Math.max(start, column);
+                    coverage[row * size + column] += covered / SUBSAMPLES;
+                }
+            });
+        }
+    }
+
+    return coverage;
+}
+
+/**
+ * Camadas sobrepostas (fonte sobre destino) em RGBA de 8 bits
+ */
+function renderPixels(size, options = {}) {
+    const pixels = new Float32Array(size * size * 4);
+
+    buildIconLayers(size, options).forEach(layer => {
+        const [r, g, b] = hexToRGB(layer.color);
+        const coverage = rasterizeLayer(layer.shapes, size);
+
+        coverage.forEach((value, index) => {
+            const alpha = Math.min(value, 1);
+            if (alpha === 0) return;
+
+            const offset = index * 4;
+            const destAlpha = pixels[offset + 3];
+            const outAlpha = alpha + destAlpha * (1 - alpha);
+
+            [r, g, b].forEach((channel, c) => {
+                pixels[offset + c] = (channel * alpha + pixels[offset + c] * destAlpha * (1 - alpha)) / outAlpha;
+            });
+            pixels[offset + 3] = outAlpha;
+        });
+    });
+
+    return Buffer.from(Array.from(pixels, (value, index) =>
+        Math.round(index % 4 === 3 ? value * 255 : value)
+    ));
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 255] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    const crc = Buffer.alloc(4);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+
+    length.writeUInt32BE(data.length);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePNG(rgba, size) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8;  // bits por canal
+    header[9] = 6;  // RGBA
+
+    // Filtro 0 (nenhum) no início de cada linha
+    const raw = Buffer.alloc(size * (size * 4 + 1));
+    for (let row = 0; row < size; row++) {
+        rgba.copy(raw, row * (size * 4 + 1) + 1, row * size * 4, (row + 1) * size * 4);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * MANIFESTO
+ */
+function buildManifest() {
+    const profile = BusinessProfile.PROFILE;
+    const icon = variant => ({
+        src: `${ICONS_PATH}${variant.file}`,
+        sizes: `${variant.size}x${variant.size}`,
+        type: 'image/png',
+        purpose: variant.purpose
+    });
+    const appIcons = ICON_VARIANTS.filter(variant => variant.purpose).map(icon);
+
+    return {
+        id: '/',
+        name: profile.name,
+        short_name: profile.alternateName,
+        description: profile.description,
+        lang: 'pt-BR',
+        dir: 'ltr',
+        start_url: '/?source=pwa',
+        scope: '/',
+        display: 'standalone',
+        orientation: 'any',
+        background_color: PWA_COLORS.theme,
+        theme_color: PWA_COLORS.theme,
+        categories: ['business', 'lifestyle'],
+        icons: [
+            { src: `${ICONS_PATH}icon.svg`, sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+            ...appIcons
+        ],
+        shortcuts: MANIFEST_SHORTCUTS.map(shortcut => ({
+            ...shortcut,
+            icons: [{ src: `${ICONS_PATH}icon-192.png`, sizes: '192x192', type: 'image/png' }]
+        }))
+    };
+}
+
+/**
+ * Gravar ícones e manifesto
+ */
+function generate({ iconsDir = ICONS_DIR, manifestFile = MANIFEST_FILE } = {}) {
+    fs.mkdirSync(iconsDir, { recursive: true });
+
+    const files = [];
+    const write = (file, content) => {
+        fs.writeFileSync(file, content);
+        files.push(path.relative(ROOT_DIR, file));
+    };
+
+    write(path.join(iconsDir, 'icon.svg'), renderSVG(512));
+
+    ICON_VARIANTS.forEach(variant => {
+        write(path.join(iconsDir, variant.file), encodePNG(renderPixels(variant.size, variant), variant.size));
+    });
+
+    write(manifestFile, `${JSON.stringify(buildManifest(), null, 4)}\n`);
+
+    return { files };
+}
+
+if (require.main === module) {
+    const { files } = generate();
+
+    console.log(`📱 ${files.length} arquivos do app:`);
+    files.forEach(file => console.log(`   ${file}`));
+}
+
+module.exports = { renderSVG, renderPixels, encodePNG, buildManifest, generate };
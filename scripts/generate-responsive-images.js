@@ -0,0 +1,232 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - IMAGENS RESPONSIVAS
+ * Gera variantes AVIF/WebP/JPEG em larguras fixas para cada foto de assets/data/projects.json e o manifesto assets/data/images.json,
+ * com o placeholder de cada foto (cor dominante e miniatura em base64, exibidas até a foto carregar)
+ *
+ * Uso:
+ *   node scripts/generate-responsive-images.js             # grava só as variantes que ainda não existem
+ *   node scripts/generate-responsive-images.js --force     # regrava todas
+ *   node scripts/generate-responsive-images.js --check     # só confere manifesto x arquivos (não requer sharp)
+ *
+ * As variantes e o manifesto ficam no repositório: o site é publicado como está, sem etapa de build.
+ * Rode --check antes de publicar; ele falha se faltar foto no manifesto, arquivo listado ou se sobrar arquivo órfão.
+ *
+ * Os placeholders são recalculados a cada execução (rápido; não dependem de --force).
+ *
+ * Requer o pacote sharp (npm install --no-save sharp). Os originais ficam em assets/images/ (nomes com espaços e acentos);
+ * as variantes vão para assets/images/responsive/<id do projeto>/<nome-em-slug>-<largura>.<formato>.
+ * Depois de gerar, rode scripts/generate-project-pages.js para as páginas estáticas usarem o novo manifesto.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ResponsiveImages = require('../assets/js/responsive-images.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PROJECTS_FILE = path.join(ROOT_DIR, 'assets', 'data', 'projects.json');
+const MANIFEST_FILE = path.join(ROOT_DIR, 'assets', 'data', 'images.json');
+const OUTPUT_DIR = path.join(ROOT_DIR, 'assets', 'images', 'responsive');
+
+// Larguras do srcset; fotos menores que um degrau param no maior degrau que cabem (sem ampliar)
+const IMAGE_WIDTHS = [480, 800, 1200, 1600];
+
+// Miniatura do placeholder: poucos pixels, ampliada e desfocada pelo CSS (.image-placeholder)
+const PLACEHOLDER_WIDTH = 16;
+
+const IMAGE_ENCODERS = {
+    avif: { extension: 'avif', encode: image => image.avif({ quality: 50, effort: 4 }) },
+    webp: { extension: 'webp', encode: image => image.webp({ quality: 72 }) },
+    jpeg: { extension: 'jpg', encode: image => image.jpeg({ quality: 78, mozjpeg: true, progressive: true }) }
+};
+
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('❌ Pacote sharp não encontrado. Instale com: npm install --no-save sharp');
+        process.exit(1);
+    }
+}
+
+/**
+ * "MIGUEL VEÍCULOS - img  (1).jpg" -> "miguel-veiculos-img-1"
+ */
+function slugify(value) {
+    return value
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Larguras geradas para uma foto de sourceWidth px
+ */
+function getWidths(sourceWidth, widths = IMAGE_WIDTHS) {
+    const fitting = widths.filter(width => width <= sourceWidth);
+    return fitting.length > 0 ? fitting : [sourceWidth];
+}
+
+/**
+ * Cor dominante (#rrggbb) e miniatura WebP em data URI
+ * A cor é a média dos canais: o `dominant` do sharp (moda do histograma) cai no preto de letreiros e sombras.
+ */
+async function createPlaceholder(sharp, sourceFile) {
+    const { channels } = await sharp(sourceFile).stats();
+    const thumbnail = await sharp(sourceFile)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .webp({ quality: 50 })
+        .toBuffer();
+
+    return {
+        color: `#${channels.slice(0, 3).map(channel => Math.round(channel.mean).toString(16).padStart(2, '0')).join('')}`,
+        image: `data:image/webp;base64,${thumbnail.toString('base64')}`
+    };
+}
+
+/**
+ * Fotos de todos os projetos (capa e galeria), uma vez cada
+ */
+function collectImages(projects) {
+    const images = new Map();
+
+    projects.forEach(project => {
+        [project.image, ...project.images.map(image => image.src)].forEach(src => {
+            const key = ResponsiveImages.toKey(src);
+            if (!images.has(key)) images.set(key, { key, projectId: project.id });
+        });
+    });
+
+    return Array.from(images.values());
+}
+
+/**
+ * Gerar as variantes de uma foto e devolver a entrada do manifesto
+ */
+async function processImage(sharp, { key, projectId }, { force = false, outDir = OUTPUT_DIR } = {}) {
+    const sourceFile = path.join(ROOT_DIR, key);
+    const metadata = await sharp(sourceFile).metadata();
+    // Orientação EXIF 5-8: foto girada 90°, largura e altura trocadas (rotate() aplica antes de redimensionar)
+    const [width, height] = metadata.orientation >= 5 ? [metadata.height, metadata.width] : [metadata.width, metadata.height];
+    const slug = slugify(path.basename(key, path.extname(key)));
+    const dir = path.join(outDir, projectId);
+    const widths = getWidths(width);
+    const formats = {};
+    let written = 0;
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    for (const [format, encoder] of Object.entries(IMAGE_ENCODERS)) {
+        formats[format] = [];
+
+        for (const variantWidth of widths) {
+            const file = path.join(dir, `${slug}-${variantWidth}.${encoder.extension}`);
+
+            if (force || !fs.existsSync(file)) {
+                await encoder.encode(sharp(sourceFile).rotate().resize({ width: variantWidth, withoutEnlargement: true })).toFile(file);
+                written++;
+            }
+
+            formats[format].push({
+                src: path.relative(ROOT_DIR, file).split(path.sep).join('/'),
+                width: variantWidth
+            });
+        }
+    }
+
+    return {
+        entry: { width, height, placeholder: await createPlaceholder(sharp, sourceFile), formats },
+        written
+    };
+}
+
+/**
+ * Gravar variantes e manifesto
+ */
+async function generate({ force = false, manifestFile = MANIFEST_FILE, outDir = OUTPUT_DIR } = {}) {
+    const sharp = loadSharp();
+    const { projects } = JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
+    const manifest = {
+        version: ResponsiveImages.MANIFEST_VERSION,
+        widths: IMAGE_WIDTHS,
+        images: {}
+    };
+    let written = 0;
+
+    for (const image of collectImages(projects)) {
+        const result = await processImage(sharp, image, { force, outDir });
+        manifest.images[image.key] = result.entry;
+        written += result.written;
+    }
+
+    fs.writeFileSync(manifestFile, `${JSON.stringify(manifest, null, 4)}\n`);
+
+    return { manifest, written };
+}
+
+/**
+ * Conferir se o manifesto e assets/images/responsive/ estão em sincronia com projects.json
+ * Devolve a lista de problemas (vazia quando está tudo certo)
+ */
+function check({ manifestFile = MANIFEST_FILE, outDir = OUTPUT_DIR } = {}) {
+    const { projects } = JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    const keys = new Set(collectImages(projects).map(({ key }) => key));
+    const listed = new Set();
+    const problems = [];
+
+    keys.forEach(key => {
+        if (!manifest.images[key]) problems.push(`sem entrada no manifesto: ${key}`);
+    });
+
+    Object.entries(manifest.images).forEach(([key, entry]) => {
+        if (!keys.has(key)) problems.push(`entrada sem foto em projects.json: ${key}`);
+
+        Object.values(entry.formats).flat().forEach(({ src }) => {
+            listed.add(path.join(ROOT_DIR, src));
+            if (!fs.existsSync(path.join(ROOT_DIR, src))) problems.push(`variante ausente: ${src}`);
+        });
+    });
+
+    const files = fs.existsSync(outDir)
+        ? fs.readdirSync(outDir, { recursive: true }).map(file => path.join(outDir, file)).filter(file => fs.statSync(file).isFile())
+        : [];
+
+    files.filter(file => !listed.has(file)).forEach(file => {
+        problems.push(`arquivo fora do manifesto: ${path.relative(ROOT_DIR, file).split(path.sep).join('/')}`);
+    });
+
+    return problems;
+}
+
+if (require.main === module && process.argv.includes('--check')) {
+    const problems = check();
+
+    if (problems.length > 0) {
+        console.error(`❌ ${path.relative(ROOT_DIR, MANIFEST_FILE)} fora de sincronia com as imagens (${problems.length}):`);
+        problems.forEach(problem => console.error(`   ${problem}`));
+        console.error('   Rode node scripts/generate-responsive-images.js e versione o resultado.');
+        process.exit(1);
+    }
+
+    console.log('✅ Manifesto de imagens em sincronia com projects.json e assets/images/responsive/');
+} else if (require.main === module) {
+    generate({ force: process.argv.includes('--force') })
+        .then(({ manifest, written }) => {
+            const entries = Object.values(manifest.images);
+            const variants = entries.reduce((total, entry) => total + Object.values(entry.formats).flat().length, 0);
+
+            console.log(`🖼️ ${entries.length} fotos, ${variants} variantes (${written} gravadas agora)`);
+            console.log(`📋 ${path.relative(ROOT_DIR, MANIFEST_FILE)} atualizado`);
+        })
+        .catch(error => {
+            console.error('❌ Falha ao gerar imagens responsivas:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { slugify, getWidths, collectImages, createPlaceholder, processImage, generate, check };
@@ -0,0 +1,234 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - GERADOR DE SITEMAP E ROBOTS
+ * Gera sitemap.xml (com imagens e alternativas hreflang) e robots.txt a partir de assets/data/projects.json e do index.html
+ *
+ * Uso:
+ *   node scripts/generate-sitemap.js                         # grava sitemap.xml e robots.txt na raiz
+ *   SITE_URL=https://staging.exemplo.com node scripts/generate-sitemap.js
+ *
+ * Só entram URLs de páginas que existem no disco: a página inicial e cada projeto têm uma página por idioma
+ * (/, en/, projetos/<id>/, en/projetos/<id>/..., gerados por scripts/generate-project-pages.js), com as demais como xhtml:link alternate.
+ * As seções (#projetos, #servicos...) são âncoras da mesma página e não entram como URLs;
+ * as imagens locais delas e as fotos de todos os projetos entram como image:image.
+ * Cada projeto também tem sua página estática (projetos/<id>/, gerada por scripts/generate-project-pages.js).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SITE_URL = 'https://rafaelmunaro.com';
+// Mesmos valores de I18N_CONFIG (assets/js/i18n.js); catálogos em assets/i18n/{locale}.json
+const DEFAULT_LOCALE = 'pt-BR';
+const I18N_DIR = path.join(ROOT_DIR, 'assets', 'i18n');
+const PROJECTS_FILE = path.join(ROOT_DIR, 'assets', 'data', 'projects.json');
+const PAGE_FILE = path.join(ROOT_DIR, 'index.html');
+// Página estática de cada projeto, relativa à página inicial do idioma
+const PROJECT_PAGE_PATH = 'projetos/{id}/';
+// Rotas que não são páginas (endpoint do formulário de contato)
+const DISALLOWED_PATHS = ['/api/'];
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Idiomas com catálogo, padrão primeiro
+ */
+function getLocales() {
+    const locales = fs.readdirSync(I18N_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'));
+
+    return [DEFAULT_LOCALE, ...locales.filter(locale => locale !== DEFAULT_LOCALE).sort()];
+}
+
+/**
+ * URL de uma página em um idioma (padrão sem prefixo, como I18nManager.getLocalizedUrl)
+ */
+function getLocalizedUrl(siteUrl, locale, pagePath = '') {
+    const prefix = locale === DEFAULT_LOCALE ? '' : `${locale.toLowerCase()}/`;
+    return `${siteUrl}/${prefix}${pagePath}`;
+}
+
+/**
+ * Arquivo de uma página em um idioma (pagePath '' é a página inicial)
+ */
+function getPageFile(rootDir, locale, pagePath = '') {
+    const prefix = locale === DEFAULT_LOCALE ? '' : locale.toLowerCase();
+    return path.join(rootDir, prefix, decodeURIComponent(pagePath), 'index.html');
+}
+
+/**
+ * Idiomas em que a página foi gerada (sem arquivo, a URL daria 404)
+ */
+function getBuiltLocales(locales, pagePath, rootDir = ROOT_DIR) {
+    return locales.filter(locale => fs.existsSync(getPageFile(rootDir, locale, pagePath)));
+}
+
+function getProjectPath(project) {
+    return PROJECT_PAGE_PATH.replace('{id}', encodeURIComponent(project.id));
+}
+
+/**
+ * URL absoluta de um arquivo do site ('./assets/images/Projeto 1/x.jpg'), com cada segmento codificado
+ */
+function toAbsoluteUrl(siteUrl, src) {
+    const pathname = src.replace(/^\.?\//, '').split('/').map(encodeURIComponent).join('/');
+    return `${siteUrl}/${pathname}`;
+}
+
+/**
+ * Fotos de todos os projetos, com título e legenda no idioma pedido
+ */
+function getProjectImages(projects, locale) {
+    return projects.flatMap(project => {
+        const translation = project.translations?.[locale] || {};
+        const title = translation.title || project.title;
+
+        return (project.images || []).map((image, index) => ({
+            src: image.src,
+            title,
+            caption: translation.images?.[index]?.caption || image.caption
+        }));
+    });
+}
+
+/**
+ * Imagens locais dentro das <section id> do index.html (imagens externas ficam de fora)
+ */
+function getSectionImages(html) {
+    const sections = html.match(/<section\b[^>]*\bid="[^"]+"[\s\S]*?<\/section>/g) || [];
+
+    return sections.flatMap(section => {
+        const images = section.match(/<img\b[^>]*>/g) || [];
+
+        return images.map(tag => ({
+            src: tag.match(/\bsrc="([^"]+)"/)?.[1],
+            caption: tag.match(/\balt="([^"]*)"/)?.[1] || ''
+        }));
+    }).filter(image => image.src && !/^(https?:)?\/\//.test(image.src) && !image.src.startsWith('data:'));
+}
+
+function renderImage(siteUrl, image) {
+    const lines = [
+        '        <image:image>',
+        `            <image:loc>${escapeXml(toAbsoluteUrl(siteUrl, image.src))}</image:loc>`
+    ];
+
+    if (image.title) lines.push(`            <image:title>${escapeXml(image.title)}</image:title>`);
+    if (image.caption) lines.push(`            <image:caption>${escapeXml(image.caption)}</image:caption>`);
+
+    lines.push('        </image:image>');
+    return lines.join('\n');
+}
+
+/**
+ * Montar sitemap.xml
+ */
+function buildSitemap({ siteUrl = SITE_URL, locales, projectsData, html, rootDir = ROOT_DIR }) {
+    const sectionImages = getSectionImages(html);
+    const pages = [
+        {
+            path: '',
+            getImages: locale => [...sectionImages, ...getProjectImages(projectsData.projects, locale)]
+        },
+        ...projectsData.projects.map(project => ({
+            path: getProjectPath(project),
+            getImages: locale => getProjectImages([project], locale)
+        }))
+    ];
+
+    const urls = pages.flatMap(page => {
+        const builtLocales = getBuiltLocales(locales, page.path, rootDir);
+        // Alternativas só entre versões que existem; página em um idioma só não tem hreflang
+        const alternates = builtLocales.length > 1
+            ? [
+                ...builtLocales.map(locale => ({ hreflang: locale, href: getLocalizedUrl(siteUrl, locale, page.path) })),
+                { hreflang: 'x-default', href: getLocalizedUrl(siteUrl, DEFAULT_LOCALE, page.path) }
+            ]
+            : [];
+
+        return builtLocales.map(locale => [
+            '    <url>',
+            `        <loc>${escapeXml(getLocalizedUrl(siteUrl, locale, page.path))}</loc>`,
+            projectsData.updatedAt ? `        <lastmod>${escapeXml(projectsData.updatedAt)}</lastmod>` : null,
+            ...alternates.map(({ hreflang, href }) =>
+                `        <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(href)}"/>`
+            ),
+            ...page.getImages(locale).map(image => renderImage(siteUrl, image)),
+            '    </url>'
+        ].filter(Boolean).join('\n'));
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+        '        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"',
+        '        xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Montar robots.txt
+ */
+function buildRobots({ siteUrl = SITE_URL } = {}) {
+    return [
+        'User-agent: *',
+        'Allow: /',
+        ...DISALLOWED_PATHS.map(pathname => `Disallow: ${pathname}`),
+        '',
+        `Sitemap: ${siteUrl}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Ler conteúdo do site e gravar os dois arquivos na raiz
+ */
+function generate({ siteUrl = process.env.SITE_URL || SITE_URL, outDir = ROOT_DIR } = {}) {
+    const normalizedUrl = siteUrl.replace(/\/+$/, '');
+    const projectsData = JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
+    const html = fs.readFileSync(PAGE_FILE, 'utf8');
+    const locales = getLocales();
+
+    const sitemap = buildSitemap({ siteUrl: normalizedUrl, locales, projectsData, html, rootDir: outDir });
+    const robots = buildRobots({ siteUrl: normalizedUrl });
+
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), sitemap);
+    fs.writeFileSync(path.join(outDir, 'robots.txt'), robots);
+
+    return { sitemap, robots, locales };
+}
+
+if (require.main === module) {
+    const { sitemap, locales } = generate();
+    const urlCount = (sitemap.match(/<url>/g) || []).length;
+    const imageCount = (sitemap.match(/<image:image>/g) || []).length;
+
+    console.log(`🗺️ sitemap.xml: ${urlCount} URLs (${locales.join(', ')}), ${imageCount} imagens`);
+    console.log('🤖 robots.txt gerado');
+}
+
+module.exports = {
+    SITE_URL,
+    DEFAULT_LOCALE,
+    buildSitemap,
+    buildRobots,
+    generate,
+    getLocales,
+    getLocalizedUrl,
+    getBuiltLocales,
+    getProjectPath,
+    toAbsoluteUrl
+};
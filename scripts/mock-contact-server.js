@@ -0,0 +1,282 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - SERVIDOR SIMULADO DE CONTATO
+ * Servidor local (Node, sem dependências) para exercitar os transportes de assets/js/contact-submission.js
+ *
+ * Uso:
+ *   node scripts/mock-contact-server.js            # http://localhost:8787
+ *   PORT=3000 MOCK_MODE=error node scripts/mock-contact-server.js
+ *
+ * Rotas:
+ *   POST /api/contact          transporte JSON
+ *   POST /f/:formId            transporte estilo Formspree (multipart ou urlencoded)
+ *   GET  /__mock/submissions   envios recebidos (DELETE limpa a lista)
+ *
+ * Envios repetidos com o mesmo Idempotency-Key/submission_id são aceitos mas registrados uma única vez
+ *   GET  /*                    arquivos estáticos do site (mesma origem para /api/contact)
+ *
+ * Modos (?mode= na URL do endpoint ou MOCK_MODE): success, invalid (422), ratelimit (429), error (500), slow
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { ValidationEngine } = require('../assets/js/validation.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SLOW_DELAY = 20000;
+// Fotos de referência chegam em base64 (JSON) ou multipart
+const MAX_BODY_SIZE = 25 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon'
+};
+
+// Mesmas regras dos formulários do site
+const validator = new ValidationEngine(ValidationEngine.schemas.contact);
+const VALIDATED_FIELDS = ['nome', 'email', 'telefone', 'mensagem'];
+
+/**
+ * Ler corpo da requisição
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error('Corpo da requisição muito grande'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Interpretar multipart/form-data (arquivos são registrados apenas pelo nome)
+ */
+function parseMultipart(body, contentType) {
+    const boundary = (contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/) || [])
+        .slice(1)
+        .find(Boolean);
+    const fields = {};
+
+    if (!boundary) return fields;
+
+    body.split(`--${boundary}`).forEach(part => {
+        const file = part.match(/name="([^"]+)"; filename="([^"]*)"/);
+        if (file) {
+            fields[file[1]] = [...(fields[file[1]] || []), file[2]];
+            return;
+        }
+
+        const match = part.match(/name="([^"]+)"\r\n\r\n([\s\S]*)\r\n$/);
+        if (match) {
+            fields[match[1]] = match[2];
+        }
+    });
+
+    return fields;
+}
+
+/**
+ * Interpretar corpo conforme o Content-Type
+ */
+function parseFields(body, contentType = '') {
+    if (contentType.includes('application/json')) {
+        return JSON.parse(body || '{}');
+    }
+
+    if (contentType.includes('multipart/form-data')) {
+        return parseMultipart(body, contentType);
+    }
+
+    return Object.fromEntries(new URLSearchParams(body));
+}
+
+/**
+ * Validar campos obrigatórios
+ */
+function validateFields(fields) {
+    const { errors } = validator.validate(fields, { fields: VALIDATED_FIELDS });
+    return Object.entries(errors).map(([field, message]) => ({ field, message }));
+}
+
+function sendJSON(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Servir arquivos estáticos do site
+ * null quando o caminho tem escape inválido (ex.: /%E0%A4%A)
+ */
+function resolveStaticPath(pathname) {
+    let requested;
+    try {
+        requested = decodeURIComponent(pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+    } catch (error) {
+        return null;
+    }
+    return path.normalize(path.join(ROOT_DIR, requested));
+}
+
+/**
+ * Dentro da raiz do site (um irmão como ../tree-old também começa com ROOT_DIR)
+ */
+function isInsideRoot(filePath) {
+    const relative = path.relative(ROOT_DIR, filePath);
+    return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+function serveStatic(req, res, pathname) {
+    // Como um host estático: só o que existe no disco (páginas por idioma em en/, es/...)
+    const filePath = resolveStaticPath(pathname);
+
+    if (!filePath) {
+        sendJSON(res, 400, { message: 'Caminho inválido' });
+        return;
+    }
+
+    if (!isInsideRoot(filePath)) {
+        sendJSON(res, 403, { message: 'Acesso negado' });
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            sendJSON(res, 404, { message: 'Não encontrado' });
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+/**
+ * Criar servidor simulado
+ */
+function createMockContactServer({ mode = process.env.MOCK_MODE || 'success', slowDelay = SLOW_DELAY } = {}) {
+    const submissions = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const requestMode = url.searchParams.get('mode') || mode;
+
+        // CORS liberado para o TestingSystem rodar a partir de outra origem
+        res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, X-CSRF-Token, X-Requested-With, Idempotency-Key');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (url.pathname === '/__mock/submissions') {
+            if (req.method === 'DELETE') submissions.length = 0;
+            sendJSON(res, 200, { submissions });
+            return;
+        }
+
+        const isJSONEndpoint = url.pathname === '/api/contact';
+        const formMatch = url.pathname.match(/^\/f\/([\w-]+)$/);
+
+        if (!isJSONEndpoint && !formMatch) {
+            if (req.method === 'GET' || req.method === 'HEAD') {
+                serveStatic(req, res, url.pathname);
+            } else {
+                sendJSON(res, 404, { message: 'Não encontrado' });
+            }
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            sendJSON(res, 405, { message: 'Método não permitido' });
+            return;
+        }
+
+        let fields;
+        try {
+            fields = parseFields(await readBody(req), req.headers['content-type']);
+        } catch (error) {
+            sendJSON(res, 400, { success: false, message: 'Corpo da requisição inválido' });
+            return;
+        }
+
+        const transport = isJSONEndpoint ? 'json' : 'formspree';
+
+        if (requestMode === 'slow') {
+            await new Promise(resolve => setTimeout(resolve, slowDelay));
+        }
+
+        if (requestMode === 'error') {
+            sendJSON(res, 500, { success: false, message: 'Erro simulado no servidor' });
+            return;
+        }
+
+        if (requestMode === 'ratelimit') {
+            sendJSON(res, 429, { success: false, message: 'Muitas requisições' });
+            return;
+        }
+
+        const errors = requestMode === 'invalid'
+            ? [{ field: 'email', message: 'E-mail rejeitado (simulado).' }]
+            : validateFields(fields);
+
+        if (errors.length > 0) {
+            sendJSON(res, 422, isJSONEndpoint ? { success: false, errors } : { ok: false, errors });
+            return;
+        }
+
+        const submissionId = req.headers['idempotency-key'] || fields.submission_id || fields._submission_id || null;
+        const duplicate = submissionId && submissions.some(item => item.submissionId === submissionId);
+
+        if (duplicate) {
+            console.log(`♻️ [${transport}] reenvio ignorado (${submissionId})`);
+        } else {
+            submissions.push({ transport, submissionId, fields, receivedAt: new Date().toISOString() });
+            console.log(`📨 [${transport}] ${fields.nome} <${fields.email}>`);
+        }
+
+        sendJSON(res, 200, isJSONEndpoint
+            ? { success: true, message: 'Mensagem recebida pelo servidor simulado.' }
+            : { ok: true, next: '/obrigado' });
+    });
+
+    server.submissions = submissions;
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8787;
+    const server = createMockContactServer();
+
+    server.listen(port, () => {
+        console.log(`🧪 Servidor de contato simulado em http://localhost:${port} (modo: ${process.env.MOCK_MODE || 'success'})`);
+    });
+}
+
+module.exports = { createMockContactServer };
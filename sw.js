@@ -0,0 +1,261 @@
+/**
+ * RAFAEL MUNARO ARQUITETURA - SERVICE WORKER
+ * Precache do app shell, cache em tempo de execução por tipo de recurso e atualização versionada
+ *
+ * Estratégias:
+ *   app shell (HTML, CSS e JS do site)   cache primeiro, renovado a cada SW_VERSION
+ *   navegação                             rede primeiro, página em cache sem conexão e, sem ela, offline.html
+ *   dados JSON (projetos, catálogos)      rede primeiro com tempo limite, cópia em cache sem conexão
+ *   imagens do site                       stale-while-revalidate, com limite de entradas
+ *   projetos salvos para ver offline      cache próprio, gravado pela página (assets/js/offline-projects.js)
+ *
+ * Ao publicar mudanças no shell, incremente SW_VERSION: a nova versão fica em espera até a página
+ * pedir SKIP_WAITING (PerformanceOptimizer.updateServiceWorker) e os caches antigos são removidos na ativação.
+ * Os caches de tempo de execução têm versão própria (RUNTIME_VERSION) e sobrevivem às atualizações do shell.
+ */
+
+'use strict';
+
+// Reenvio da fila de contato pelo Background Sync (registra o listener de 'sync') e projetos salvos.
+// Os scripts importados dividem o escopo global com este arquivo: uma função daqui com o mesmo nome de
+// uma deles é sobrescrita (por isso swFetchWithTimeout, já que contact-submission.js tem fetchWithTimeout)
+importScripts(
+    '/assets/js/contact-submission.js',
+    '/assets/js/contact-outbox.js',
+    '/assets/js/offline-projects.js'
+);
+
+const offlineProjects = new OfflineProjects();
+
+const SW_VERSION = 'v7';
+const RUNTIME_VERSION = 'v1';
+const CACHE_PREFIX = 'rma-';
+const SW_CACHES = {
+    shell: `${CACHE_PREFIX}shell-${SW_VERSION}`,
+    data: `${CACHE_PREFIX}data-${RUNTIME_VERSION}`,
+    images: `${CACHE_PREFIX}images-${RUNTIME_VERSION}`,
+    saved: OfflineProjects.CACHE_NAME
+};
+const OFFLINE_PAGE = '/offline.html';
+
+// Mesmos arquivos carregados pelo index.html e pelas páginas de projeto (scripts/generate-project-pages.js)
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    OFFLINE_PAGE,
+    '/manifest.webmanifest',
+    '/assets/icons/icon.svg',
+    '/assets/icons/favicon-32.png',
+    '/assets/icons/icon-192.png',
+    '/assets/css/styles.css',
+    '/assets/css/base.css',
+    '/assets/css/components.css',
+    '/assets/css/portfolio.css',
+    '/assets/css/lightbox.css',
+    '/assets/css/briefing.css',
+    '/assets/css/notice-banner.css',
+    '/assets/css/utilities.css',
+    '/assets/js/preference-store.js',
+    '/assets/js/theme-service.js',
+    '/assets/js/business-profile.js',
+    '/assets/js/testimonials.js',
+    '/assets/js/lightbox.js',
+    '/assets/js/portfolio-filters.js',
+    '/assets/js/state-manager.js',
+    '/assets/js/i18n.js',
+    '/assets/js/language-switcher.js',
+    '/assets/js/notice-banner.js',
+    '/assets/js/performance.js',
+    '/assets/js/install-prompt.js',
+    '/assets/js/contact-submission.js',
+    '/assets/js/contact-outbox.js',
+    '/assets/js/validation.js',
+    '/assets/js/contact.js',
+    '/assets/js/briefing-wizard.js',
+    '/assets/js/project-templates.js',
+    '/assets/js/offline-projects.js',
+    '/assets/js/responsive-images.js',
+    '/assets/js/portfolio.js'
+];
+
+// Dados lidos pela página; ficam no cache de dados desde a instalação
+const DATA_PRECACHE = [
+    '/assets/data/projects.json',
+    '/assets/data/images.json',
+    '/assets/i18n/pt-BR.json',
+    '/assets/i18n/en.json',
+    '/assets/i18n/es.json'
+];
+
+const NETWORK_TIMEOUT = 4000;
+const MAX_IMAGE_ENTRIES = 80;
+
+/**
+ * INSTALAÇÃO
+ * A nova versão não assume sozinha: espera o pedido de SKIP_WAITING da página
+ */
+self.addEventListener('install', event => {
+    event.waitUntil(Promise.all([
+        caches.open(SW_CACHES.shell).then(cache => cache.addAll(APP_SHELL)),
+        caches.open(SW_CACHES.data).then(cache => cache.addAll(DATA_PRECACHE))
+    ]));
+});
+
+/**
+ * ATIVAÇÃO
+ * Remover caches de versões anteriores (só os deste site, pelo prefixo)
+ */
+self.addEventListener('activate', event => {
+    const current = Object.values(SW_CACHES);
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+                .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * MENSAGENS DA PÁGINA
+ * A resposta vai pela porta do MessageChannel quando a página envia uma
+ */
+self.addEventListener('message', event => {
+    const { type } = event.data || {};
+    const reply = message => event.ports[0]?.postMessage(message);
+
+    switch (type) {
+        case 'SKIP_WAITING':
+            event.waitUntil(self.skipWaiting().then(() => reply({ type: 'SKIP_WAITING', version: SW_VERSION })));
+            break;
+
+        case 'GET_VERSION':
+            reply({ type: 'VERSION', version: SW_VERSION, caches: SW_CACHES });
+            break;
+    }
+});
+
+/**
+ * ROTEAMENTO
+ * Só GET do próprio site; envios de formulário, CDNs e APIs seguem direto para a rede
+ */
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        // Página do idioma sem cópia própria: a mesma página sem o prefixo (o i18n lê o idioma da URL)
+        const unprefixed = url.pathname.replace(OfflineProjects.LOCALE_PREFIX, '') || '/';
+        event.respondWith(networkFirst(request, SW_CACHES.shell, { fallbacks: [unprefixed, OFFLINE_PAGE] }));
+        return;
+    }
+
+    // /en/assets/... e /assets/... são o mesmo arquivo: uma entrada de cache só
+    const assetUrl = new URL(offlineProjects.toSiteUrl(url.href));
+    const assetRequest = assetUrl.href === url.href ? request : new Request(assetUrl.href, { headers: request.headers });
+
+    if (assetUrl.pathname.endsWith('.json')) {
+        event.respondWith(networkFirst(assetRequest, SW_CACHES.data, { timeout: NETWORK_TIMEOUT }));
+    } else if (request.destination === 'image' || assetUrl.pathname.startsWith('/assets/images/')) {
+        event.respondWith(staleWhileRevalidate(assetRequest, SW_CACHES.images, event));
+    } else if (APP_SHELL.includes(assetUrl.pathname)) {
+        event.respondWith(cacheFirst(assetRequest, SW_CACHES.shell));
+    }
+});
+
+/**
+ * ESTRATÉGIAS
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request, { cacheName, ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Sem rede: cópia em qualquer cache do site (inclusive projetos salvos) e, por fim, os fallbacks em ordem
+ */
+async function networkFirst(request, cacheName, { timeout = 0, fallbacks = [] } = {}) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await swFetchWithTimeout(request, timeout);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        for (const candidate of [request, ...fallbacks]) {
+            const cached = await caches.match(candidate, { ignoreSearch: true });
+            if (cached) return cached;
+        }
+
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName, event) {
+    const cache = await caches.open(cacheName);
+    const cached = await caches.match(request);
+
+    const update = fetch(request)
+        .then(async response => {
+            if (response.ok) {
+                await cache.put(request, response.clone());
+                await trimCache(cacheName, MAX_IMAGE_ENTRIES);
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Atualização em segundo plano; falha de rede mantém a cópia atual
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+/**
+ * Rede com tempo limite (0 = sem limite); estourar o tempo cai no cache
+ */
+function swFetchWithTimeout(request, timeout) {
+    if (!timeout) return fetch(request);
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Sem resposta em ${timeout}ms`)), timeout);
+
+        fetch(request).then(
+            response => {
+                clearTimeout(timer);
+                resolve(response);
+            },
+            error => {
+                clearTimeout(timer);
+                reject(error);
+            }
+        );
+    });
+}
+
+/**
+ * Manter só as entradas mais recentes (a ordem de keys() é a de inserção)
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+
+    await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}